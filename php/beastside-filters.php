@@ -26,6 +26,11 @@ define('BEASTSIDE_FILTERS_PLUGIN_URL', plugin_dir_url(__FILE__));
 require_once BEASTSIDE_FILTERS_PLUGIN_DIR . 'includes/class-browser-detection.php';
 require_once BEASTSIDE_FILTERS_PLUGIN_DIR . 'includes/class-asset-manager.php';
 require_once BEASTSIDE_FILTERS_PLUGIN_DIR . 'includes/class-template-loader.php';
+require_once BEASTSIDE_FILTERS_PLUGIN_DIR . 'includes/class-settings.php';
+require_once BEASTSIDE_FILTERS_PLUGIN_DIR . 'includes/class-catalog.php';
+require_once BEASTSIDE_FILTERS_PLUGIN_DIR . 'includes/class-backgrounds-catalog.php';
+require_once BEASTSIDE_FILTERS_PLUGIN_DIR . 'includes/class-frames-catalog.php';
+require_once BEASTSIDE_FILTERS_PLUGIN_DIR . 'includes/class-luts-catalog.php';
 
 /**
  * Main plugin class
@@ -42,6 +47,26 @@ class Beastside_Filters {
      */
     private $asset_manager;
 
+    /**
+     * Settings instance
+     */
+    private $settings;
+
+    /**
+     * Backgrounds Catalog instance
+     */
+    private $backgrounds_catalog;
+
+    /**
+     * Frames Catalog instance
+     */
+    private $frames_catalog;
+
+    /**
+     * Color Grades Catalog instance
+     */
+    private $luts_catalog;
+
     /**
      * Get singleton instance
      */
@@ -57,6 +82,10 @@ class Beastside_Filters {
      */
     private function __construct() {
         $this->asset_manager = new Beastside_Filters_Asset_Manager();
+        $this->settings = new Beastside_Filters_Settings();
+        $this->backgrounds_catalog = new Beastside_Filters_Backgrounds_Catalog();
+        $this->frames_catalog = new Beastside_Filters_Frames_Catalog();
+        $this->luts_catalog = new Beastside_Filters_Luts_Catalog();
 
         // Register shortcode
         add_shortcode('beastside_filters', array($this, 'render_shortcode'));
@@ -71,8 +100,11 @@ class Beastside_Filters {
     public function render_shortcode($atts) {
         $atts = shortcode_atts(array(
             'mode' => 'full', // full or preview
+            'max_duration' => '', // longest video in seconds (empty = plugin setting)
         ), $atts);
 
+        $atts['max_duration'] = Beastside_Filters_Settings::get_max_recording_duration($atts['max_duration']);
+
         // Use Template Loader
         return Beastside_Filters_Template_Loader::get_template_html('filter-container.php', $atts);
     }
@@ -52,11 +52,28 @@ class Beastside_Filters_Asset_Manager {
             'nonce' => wp_create_nonce('beastside_filters_nonce'),
             'pluginUrl' => BEASTSIDE_FILTERS_PLUGIN_URL,
             'modelsPath' => BEASTSIDE_FILTERS_PLUGIN_URL . '../assets/models/',
+            'backgroundsPath' => self::get_dist_url('assets/backgrounds/'),
+            // Virtual backgrounds from Settings → BEASTSIDE Backgrounds
+            'backgrounds' => Beastside_Filters_Backgrounds_Catalog::get_catalog(),
+            // Branded frames from Settings → BEASTSIDE Frames
+            'frames' => Beastside_Filters_Frames_Catalog::get_catalog(),
+            // LUT filters from Settings → BEASTSIDE Color Grades
+            'luts' => Beastside_Filters_Luts_Catalog::get_catalog(),
             'version' => BEASTSIDE_FILTERS_VERSION,
             'deviceType' => Beastside_Filters_Browser_Detection::get_device_type(),
             'isDesktop' => Beastside_Filters_Browser_Detection::is_desktop(),
             'isMobile' => Beastside_Filters_Browser_Detection::is_mobile(),
             'currentUrl' => Beastside_Filters_Browser_Detection::get_current_url(),
+            // Developer tuning overlay: define('BEASTSIDE_FILTERS_TUNING', true) in wp-config.php
+            'tuningPanel' => defined('BEASTSIDE_FILTERS_TUNING') && BEASTSIDE_FILTERS_TUNING,
+            // Face tracker backend ('facemesh' or 'tasks'): define('BEASTSIDE_FILTERS_TRACKER', 'tasks')
+            'tracker' => defined('BEASTSIDE_FILTERS_TRACKER') ? BEASTSIDE_FILTERS_TRACKER : 'facemesh',
+            // Tracking/segmentation run in a Web Worker where supported; opt out with define('BEASTSIDE_FILTERS_VISION_WORKER', false)
+            'visionWorker' => !defined('BEASTSIDE_FILTERS_VISION_WORKER') || BEASTSIDE_FILTERS_VISION_WORKER,
+            // Start in green screen (chroma key) mode: define('BEASTSIDE_FILTERS_CHROMA_KEY', true)
+            'chromaKey' => defined('BEASTSIDE_FILTERS_CHROMA_KEY') && BEASTSIDE_FILTERS_CHROMA_KEY,
+            // Longest video in seconds from Settings → BEASTSIDE Filters (shortcode max_duration overrides)
+            'maxRecordingDuration' => Beastside_Filters_Settings::get_max_recording_duration(),
         ));
     }
 
@@ -0,0 +1,156 @@
+<?php
+/**
+ * Backgrounds Catalog Class
+ *
+ * Virtual backgrounds managed from Settings → BEASTSIDE Backgrounds.
+ * Entries are either media library attachments (image, video or GLB scene,
+ * optional poster image) or files bundled in dist/assets/backgrounds/.
+ * Images can be marked as 360° panoramas (equirectangular); GLB scenes and
+ * panoramas are rendered in 3D with head-tracked parallax. The enabled
+ * entries are passed to JavaScript in beastsideFiltersConfig.backgrounds and
+ * served at /wp-json/beastside-filters/v1/backgrounds.
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class Beastside_Filters_Backgrounds_Catalog extends Beastside_Filters_Catalog {
+
+    const OPTION = 'beastside_filters_backgrounds';
+    const TYPE = 'backgrounds';
+    const LABEL = 'Backgrounds';
+    const ITEM_LABEL = 'background';
+    const DEFAULT_ID = 'background';
+    const RESERVED_PREFIX = 'bg-';
+
+    /**
+     * Let admins upload GLB scenes to the media library (they sniff as application/octet-stream)
+     */
+    const UPLOAD_MIMES = array('glb' => 'model/gltf-binary');
+
+    /**
+     * Catalog used until an admin saves one (the bundled Subway video)
+     */
+    public static function get_default_items() {
+        return array(
+            array(
+                'id' => 'subway',
+                'name' => 'Subway',
+                'file' => 'Subway_Website.webm',
+                'attachment_id' => 0,
+                'poster_id' => 0,
+                'panorama' => false,
+                'enabled' => true,
+                'order' => 0,
+            ),
+        );
+    }
+
+    /**
+     * Turn a stored entry into URLs and a media type
+     *
+     * @return array|null { id, name, type (image|video|panorama|scene), src, thumbnail }
+     */
+    protected static function resolve_item($item) {
+        if (!empty($item['attachment_id'])) {
+            $src = wp_get_attachment_url($item['attachment_id']);
+            $mime = get_post_mime_type($item['attachment_id']);
+        } elseif (!empty($item['file'])) {
+            $src = Beastside_Filters_Asset_Manager::get_dist_url('assets/backgrounds/' . $item['file']);
+            $mime = static::get_file_mime($item['file']);
+        } else {
+            return null;
+        }
+
+        if (!$src || !$mime) {
+            return null;
+        }
+
+        if ($mime === 'model/gltf-binary') {
+            $type = 'scene';
+        } elseif (strpos($mime, 'video/') === 0) {
+            $type = 'video';
+        } else {
+            $type = !empty($item['panorama']) ? 'panorama' : 'image';
+        }
+        $thumbnail = null;
+
+        if (!empty($item['poster_id'])) {
+            $thumbnail = wp_get_attachment_image_url($item['poster_id'], 'thumbnail');
+        } elseif ($type === 'image' && !empty($item['attachment_id'])) {
+            $thumbnail = wp_get_attachment_image_url($item['attachment_id'], 'thumbnail');
+        }
+
+        return array(
+            'id' => $item['id'],
+            'name' => $item['name'],
+            'type' => $type,
+            'src' => $src,
+            // Videos and panoramas without a poster get a thumbnail in the browser
+            'thumbnail' => $thumbnail ? $thumbnail : null,
+        );
+    }
+
+    protected function get_description() {
+        return 'Virtual backgrounds offered in the filter, in order. Use images, short looping videos, 360° panoramas (equirectangular images, tick 360°) or GLB scenes; a poster image is used as the thumbnail for videos and scenes.';
+    }
+
+    protected function get_columns() {
+        return array('Media', 'Poster (videos, scenes)', '360°');
+    }
+
+    protected function get_blank_item($order) {
+        return array(
+            'id' => '',
+            'name' => '',
+            'file' => '',
+            'attachment_id' => 0,
+            'poster_id' => 0,
+            'panorama' => false,
+            'enabled' => true,
+            'order' => $order,
+        );
+    }
+
+    protected function render_hidden_fields($name, $item) {
+        ?>
+        <input type="hidden" name="<?php echo esc_attr($name); ?>[file]" value="<?php echo esc_attr($item['file']); ?>" />
+        <?php
+    }
+
+    protected function render_cells($name, $item) {
+        $media_label = '';
+        if (empty($item['attachment_id']) && !empty($item['file'])) {
+            $media_label = $item['file'] . ' (bundled)';
+        }
+        $this->render_media_cell($name . '[attachment_id]', $item['attachment_id'], 'Choose background', 'image,video,model', $media_label);
+        $this->render_media_cell($name . '[poster_id]', $item['poster_id'], 'Choose poster image', 'image');
+        ?>
+        <td>
+            <input type="checkbox" name="<?php echo esc_attr($name); ?>[panorama]" value="1" <?php checked(!empty($item['panorama'])); ?> />
+        </td>
+        <?php
+    }
+
+    protected function is_reserved_id($id) {
+        // 'custom-' ids are user uploads
+        return parent::is_reserved_id($id) || strpos($id, 'custom-') === 0;
+    }
+
+    protected function sanitize_row($row) {
+        $attachment_id = absint($row['attachment_id'] ?? 0);
+        $file = sanitize_file_name($row['file'] ?? '');
+        // A row needs media - skip blank added rows
+        if (!$attachment_id && !$file) {
+            return null;
+        }
+
+        return array(
+            'file' => $attachment_id ? '' : $file,
+            'attachment_id' => $attachment_id,
+            'poster_id' => absint($row['poster_id'] ?? 0),
+            'panorama' => !empty($row['panorama']),
+        );
+    }
+}
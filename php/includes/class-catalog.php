@@ -0,0 +1,442 @@
+<?php
+/**
+ * Catalog Base Class
+ *
+ * Shared plumbing for admin-managed lists offered in the filter (backgrounds,
+ * frames): an option holding the entries, a Settings page with an editable
+ * table and media library pickers, a public REST route and the enabled
+ * entries resolved for JavaScript. Subclasses define the option, names and
+ * columns, and how a row is rendered, sanitized and resolved.
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+abstract class Beastside_Filters_Catalog {
+
+    /**
+     * REST namespace
+     */
+    const REST_NAMESPACE = 'beastside-filters/v1';
+
+    /**
+     * Option holding the catalog (set by subclasses)
+     */
+    const OPTION = '';
+
+    /**
+     * Catalog type: form field, REST route, admin page, save action and filter name
+     */
+    const TYPE = '';
+
+    /**
+     * Page title ('Backgrounds') and singular item name ('background')
+     */
+    const LABEL = '';
+    const ITEM_LABEL = '';
+
+    /**
+     * Id for rows without a name, and prefix for ids the filter reserves
+     */
+    const DEFAULT_ID = 'item';
+    const RESERVED_PREFIX = 'item-';
+
+    /**
+     * Extra media library upload types (extension => MIME type) for admins
+     */
+    const UPLOAD_MIMES = array();
+
+    /**
+     * Initialize catalog hooks
+     */
+    public function __construct() {
+        add_action('admin_menu', array($this, 'add_admin_page'));
+        add_action('admin_post_' . self::get_save_action(), array($this, 'handle_save'));
+        add_action('rest_api_init', array($this, 'register_rest_route'));
+
+        if (static::UPLOAD_MIMES) {
+            add_filter('upload_mimes', array($this, 'allow_uploads'));
+            add_filter('wp_check_filetype_and_ext', array($this, 'check_upload_filetype'), 10, 3);
+        }
+    }
+
+    /**
+     * Add the catalog's file types to the allowed uploads (for users who can manage it)
+     */
+    public function allow_uploads($mimes) {
+        if (current_user_can('manage_options')) {
+            $mimes = array_merge($mimes, static::UPLOAD_MIMES);
+        }
+        return $mimes;
+    }
+
+    /**
+     * These files don't sniff as their own type - trust the extension for admins
+     */
+    public function check_upload_filetype($data, $file, $filename) {
+        $ext = strtolower(pathinfo($filename, PATHINFO_EXTENSION));
+        if (empty($data['type']) && current_user_can('manage_options') && isset(static::UPLOAD_MIMES[$ext])) {
+            $data['ext'] = $ext;
+            $data['type'] = static::UPLOAD_MIMES[$ext];
+        }
+        return $data;
+    }
+
+    /**
+     * MIME type of a bundled file (known regardless of who is viewing - upload_mimes depends on the user)
+     */
+    protected static function get_file_mime($file) {
+        return wp_check_filetype($file, array_merge(wp_get_mime_types(), static::UPLOAD_MIMES))['type'];
+    }
+
+    /**
+     * Catalog used until an admin saves one
+     */
+    public static function get_default_items() {
+        return array();
+    }
+
+    /**
+     * All stored entries (enabled or not), in display order
+     */
+    public static function get_items() {
+        $items = get_option(static::OPTION, null);
+        if (!is_array($items)) {
+            $items = static::get_default_items();
+        }
+
+        usort($items, function ($a, $b) {
+            return intval($a['order']) - intval($b['order']);
+        });
+
+        return $items;
+    }
+
+    /**
+     * Enabled entries as the JavaScript expects them (see resolve_item)
+     */
+    public static function get_catalog() {
+        $catalog = array();
+
+        foreach (static::get_items() as $item) {
+            if (empty($item['enabled'])) {
+                continue;
+            }
+
+            $entry = static::resolve_item($item);
+            if ($entry) {
+                $catalog[] = $entry;
+            }
+        }
+
+        return apply_filters('beastside_filters_' . static::TYPE, $catalog);
+    }
+
+    /**
+     * Turn a stored entry into what the JavaScript expects (null to leave it out)
+     */
+    abstract protected static function resolve_item($item);
+
+    /**
+     * Admin page intro
+     */
+    abstract protected function get_description();
+
+    /**
+     * Column headings between Order/Name and Enabled/Remove
+     */
+    abstract protected function get_columns();
+
+    /**
+     * Values for a newly added row
+     */
+    abstract protected function get_blank_item($order);
+
+    /**
+     * Render the subclass's cells of a row (between Order/Name and Enabled/Remove)
+     *
+     * @param string $name Form field prefix for the row
+     * @param array $item
+     */
+    abstract protected function render_cells($name, $item);
+
+    /**
+     * Render extra hidden fields of a row (in the Order cell)
+     */
+    protected function render_hidden_fields($name, $item) {
+    }
+
+    /**
+     * Sanitize a submitted row's own fields (id, name, enabled and order are handled here)
+     *
+     * @return array|null Stored fields, or null to skip the row (e.g. blank added rows)
+     */
+    abstract protected function sanitize_row($row);
+
+    /**
+     * Adjust the sanitized entries before they are saved
+     */
+    protected function prepare_items($items) {
+        return $items;
+    }
+
+    /**
+     * Ids the filter uses itself ('none' is the built-in "no selection" entry)
+     */
+    protected function is_reserved_id($id) {
+        return $id === 'none';
+    }
+
+    private static function get_save_action() {
+        return 'beastside_filters_save_' . static::TYPE;
+    }
+
+    private static function get_page_slug() {
+        return 'beastside-filters-' . static::TYPE;
+    }
+
+    /**
+     * Register the public catalog endpoint (for other consumers - the filter
+     * gets the catalog inlined in beastsideFiltersConfig)
+     */
+    public function register_rest_route() {
+        register_rest_route(self::REST_NAMESPACE, '/' . static::TYPE, array(
+            'methods' => 'GET',
+            'callback' => function () {
+                return rest_ensure_response(static::get_catalog());
+            },
+            'permission_callback' => '__return_true',
+        ));
+    }
+
+    /**
+     * Add Settings → BEASTSIDE <Label>
+     */
+    public function add_admin_page() {
+        add_options_page(
+            'BEASTSIDE ' . static::LABEL,
+            'BEASTSIDE ' . static::LABEL,
+            'manage_options',
+            self::get_page_slug(),
+            array($this, 'render_admin_page')
+        );
+    }
+
+    /**
+     * Render the catalog editor
+     */
+    public function render_admin_page() {
+        if (!current_user_can('manage_options')) {
+            return;
+        }
+
+        wp_enqueue_media();
+        $items = static::get_items();
+        $type = static::TYPE;
+        ?>
+        <div class="wrap">
+            <h1>BEASTSIDE <?php echo esc_html(static::LABEL); ?></h1>
+            <p><?php echo esc_html($this->get_description()); ?></p>
+
+            <?php if (isset($_GET['updated'])) : ?>
+                <div class="notice notice-success is-dismissible"><p><?php echo esc_html(static::LABEL); ?> saved.</p></div>
+            <?php endif; ?>
+
+            <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>">
+                <input type="hidden" name="action" value="<?php echo esc_attr(self::get_save_action()); ?>" />
+                <?php wp_nonce_field(self::get_save_action()); ?>
+
+                <table class="widefat striped beastside-catalog" id="beastside-<?php echo esc_attr($type); ?>">
+                    <thead>
+                        <tr>
+                            <th>Order</th>
+                            <th>Name</th>
+                            <?php foreach ($this->get_columns() as $column) : ?>
+                                <th><?php echo esc_html($column); ?></th>
+                            <?php endforeach; ?>
+                            <th>Enabled</th>
+                            <th>Remove</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($items as $index => $item) : ?>
+                            <?php $this->render_row($index, $item); ?>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+
+                <p>
+                    <button type="button" class="button beastside-add-row">Add <?php echo esc_html(static::ITEM_LABEL); ?></button>
+                </p>
+
+                <?php submit_button('Save ' . strtolower(static::LABEL)); ?>
+            </form>
+
+            <script type="text/html" id="tmpl-beastside-<?php echo esc_attr($type); ?>-row">
+                <?php $this->render_row('__INDEX__', $this->get_blank_item(count($items))); ?>
+            </script>
+        </div>
+
+        <script>
+        (function () {
+            var table = document.querySelector('#beastside-<?php echo esc_js($type); ?> tbody');
+            var template = document.getElementById('tmpl-beastside-<?php echo esc_js($type); ?>-row').innerHTML;
+            var nextIndex = <?php echo intval(count($items)); ?>;
+
+            document.querySelector('.beastside-add-row').addEventListener('click', function () {
+                table.insertAdjacentHTML('beforeend', template.replace(/__INDEX__/g, nextIndex++));
+            });
+
+            table.addEventListener('click', function (event) {
+                // Media library picker for media columns
+                var button = event.target.closest('.beastside-pick-media');
+                if (button) {
+                    var cell = button.closest('td');
+                    var frame = wp.media({
+                        title: button.dataset.title,
+                        library: { type: button.dataset.library.split(',') },
+                        multiple: false
+                    });
+
+                    frame.on('select', function () {
+                        var attachment = frame.state().get('selection').first().toJSON();
+                        cell.querySelector('input[type="hidden"]').value = attachment.id;
+                        cell.querySelector('.beastside-media-name').textContent = attachment.filename;
+                    });
+                    frame.open();
+                    return;
+                }
+
+                var clear = event.target.closest('.beastside-clear-media');
+                if (clear) {
+                    var clearCell = clear.closest('td');
+                    clearCell.querySelector('input[type="hidden"]').value = 0;
+                    clearCell.querySelector('.beastside-media-name').textContent = '—';
+                    return;
+                }
+
+                // Checkboxes only one row can have ticked (e.g. the default frame)
+                if (event.target.matches('.beastside-exclusive') && event.target.checked) {
+                    table.querySelectorAll('.beastside-exclusive').forEach(function (checkbox) {
+                        if (checkbox !== event.target) checkbox.checked = false;
+                    });
+                }
+            });
+        })();
+        </script>
+        <?php
+    }
+
+    /**
+     * Render one editable catalog row
+     */
+    private function render_row($index, $item) {
+        $name = static::TYPE . '[' . $index . ']';
+        ?>
+        <tr>
+            <td>
+                <input type="number" class="small-text" name="<?php echo esc_attr($name); ?>[order]" value="<?php echo esc_attr(intval($item['order'])); ?>" />
+                <input type="hidden" name="<?php echo esc_attr($name); ?>[id]" value="<?php echo esc_attr($item['id']); ?>" />
+                <?php $this->render_hidden_fields($name, $item); ?>
+            </td>
+            <td>
+                <input type="text" name="<?php echo esc_attr($name); ?>[name]" value="<?php echo esc_attr($item['name']); ?>" required />
+            </td>
+            <?php $this->render_cells($name, $item); ?>
+            <td>
+                <input type="checkbox" name="<?php echo esc_attr($name); ?>[enabled]" value="1" <?php checked(!empty($item['enabled'])); ?> />
+            </td>
+            <td>
+                <input type="checkbox" name="<?php echo esc_attr($name); ?>[remove]" value="1" />
+            </td>
+        </tr>
+        <?php
+    }
+
+    /**
+     * Render a media library picker cell
+     *
+     * @param string $field Full field name
+     * @param int $attachment_id
+     * @param string $title Picker title
+     * @param string $library Comma-separated media types
+     * @param string $label Shown instead of the file name (e.g. for bundled files)
+     * @param bool $clearable Offer a Clear button
+     */
+    protected function render_media_cell($field, $attachment_id, $title, $library, $label = '', $clearable = false) {
+        if (!$label) {
+            $label = $attachment_id ? basename(get_attached_file($attachment_id)) : '—';
+        }
+        ?>
+        <td>
+            <span class="beastside-media-name"><?php echo esc_html($label); ?></span>
+            <input type="hidden" name="<?php echo esc_attr($field); ?>" value="<?php echo esc_attr(intval($attachment_id)); ?>" />
+            <button type="button" class="button button-small beastside-pick-media" data-title="<?php echo esc_attr($title); ?>" data-library="<?php echo esc_attr($library); ?>">Choose</button>
+            <?php if ($clearable) : ?>
+                <button type="button" class="button button-small beastside-clear-media">Clear</button>
+            <?php endif; ?>
+        </td>
+        <?php
+    }
+
+    /**
+     * Save the catalog from the admin form
+     */
+    public function handle_save() {
+        if (!current_user_can('manage_options')) {
+            wp_die('You are not allowed to manage ' . strtolower(static::LABEL) . '.');
+        }
+        check_admin_referer(self::get_save_action());
+
+        $rows = isset($_POST[static::TYPE]) && is_array($_POST[static::TYPE]) ? wp_unslash($_POST[static::TYPE]) : array();
+        $items = array();
+        $used_ids = array();
+
+        foreach ($rows as $row) {
+            if (!empty($row['remove'])) {
+                continue;
+            }
+
+            $fields = $this->sanitize_row($row);
+            if (!$fields) {
+                continue;
+            }
+
+            $name = sanitize_text_field($row['name'] ?? '');
+            $id = sanitize_key($row['id'] ?? '');
+            if (!$id) {
+                $id = sanitize_key($name) ?: static::DEFAULT_ID;
+            }
+            if ($this->is_reserved_id($id)) {
+                $id = static::RESERVED_PREFIX . $id;
+            }
+            $base_id = $id;
+            $suffix = 2;
+            while (in_array($id, $used_ids, true)) {
+                $id = $base_id . '-' . $suffix++;
+            }
+            $used_ids[] = $id;
+
+            $items[] = array_merge(
+                array(
+                    'id' => $id,
+                    'name' => $name ?: $id,
+                ),
+                $fields,
+                array(
+                    'enabled' => !empty($row['enabled']),
+                    'order' => intval($row['order'] ?? 0),
+                )
+            );
+        }
+
+        update_option(static::OPTION, $this->prepare_items($items));
+
+        wp_safe_redirect(add_query_arg(
+            array('page' => self::get_page_slug(), 'updated' => '1'),
+            admin_url('options-general.php')
+        ));
+        exit;
+    }
+}
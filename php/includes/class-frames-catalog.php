@@ -0,0 +1,167 @@
+<?php
+/**
+ * Frames Catalog Class
+ *
+ * Branded frames managed from Settings → BEASTSIDE Frames. A frame combines
+ * a full-frame PNG border, a logo watermark (corner, size, opacity) and
+ * campaign hashtag text, all optional. The filter draws the selected frame
+ * over the live view, so photos, videos and GIFs carry it. One frame can be
+ * marked as the default, selected when the filter opens. The enabled entries
+ * are passed to JavaScript in beastsideFiltersConfig.frames and served at
+ * /wp-json/beastside-filters/v1/frames.
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class Beastside_Filters_Frames_Catalog extends Beastside_Filters_Catalog {
+
+    const OPTION = 'beastside_filters_frames';
+    const TYPE = 'frames';
+    const LABEL = 'Frames';
+    const ITEM_LABEL = 'frame';
+    const DEFAULT_ID = 'frame';
+    const RESERVED_PREFIX = 'frame-';
+
+    /**
+     * Logo corners
+     */
+    const LOGO_POSITIONS = array(
+        'top-left' => 'Top left',
+        'top-right' => 'Top right',
+        'bottom-left' => 'Bottom left',
+        'bottom-right' => 'Bottom right',
+    );
+
+    /**
+     * Turn a stored entry into URLs
+     *
+     * @return array|null { id, name, thumbnail, border, logo, logoPosition, logoSize, logoOpacity, hashtag, hashtagPosition, default }
+     */
+    protected static function resolve_item($item) {
+        $border = !empty($item['border_id']) ? wp_get_attachment_url($item['border_id']) : null;
+        $logo = !empty($item['logo_id']) ? wp_get_attachment_url($item['logo_id']) : null;
+
+        if (!$border && !$logo && empty($item['hashtag'])) {
+            return null;
+        }
+
+        $thumbnail = null;
+        if ($border) {
+            $thumbnail = wp_get_attachment_image_url($item['border_id'], 'thumbnail');
+        } elseif ($logo) {
+            $thumbnail = wp_get_attachment_image_url($item['logo_id'], 'thumbnail');
+        }
+
+        return array(
+            'id' => $item['id'],
+            'name' => $item['name'],
+            // Hashtag-only frames get an icon in the browser
+            'thumbnail' => $thumbnail ? $thumbnail : null,
+            'border' => $border ? $border : null,
+            'logo' => $logo ? $logo : null,
+            'logoPosition' => $item['logo_position'],
+            'logoSize' => intval($item['logo_size']),
+            'logoOpacity' => intval($item['logo_opacity']),
+            'hashtag' => $item['hashtag'],
+            'hashtagPosition' => $item['hashtag_position'],
+            'default' => !empty($item['default']),
+        );
+    }
+
+    protected function get_description() {
+        return 'Branded frames offered in the filter\'s Frame section, in order. Each frame can have a full-frame border (a PNG with a transparent middle, ideally the shape of the camera view), a logo watermark and a hashtag; all of them appear on captured photos, videos and GIFs. A logo in a bottom corner sits above a bottom hashtag, so they never overlap. The default frame is selected when the filter opens.';
+    }
+
+    protected function get_columns() {
+        return array('Border (PNG)', 'Logo', 'Logo position', 'Logo size (% of width)', 'Logo opacity (%)', 'Hashtag', 'Default');
+    }
+
+    protected function get_blank_item($order) {
+        return array(
+            'id' => '',
+            'name' => '',
+            'border_id' => 0,
+            'logo_id' => 0,
+            'logo_position' => 'bottom-right',
+            'logo_size' => 20,
+            'logo_opacity' => 80,
+            'hashtag' => '',
+            'hashtag_position' => 'bottom',
+            'default' => false,
+            'enabled' => true,
+            'order' => $order,
+        );
+    }
+
+    protected function render_cells($name, $item) {
+        $this->render_media_cell($name . '[border_id]', $item['border_id'], 'Choose border', 'image', '', true);
+        $this->render_media_cell($name . '[logo_id]', $item['logo_id'], 'Choose logo', 'image', '', true);
+        ?>
+        <td>
+            <select name="<?php echo esc_attr($name); ?>[logo_position]">
+                <?php foreach (self::LOGO_POSITIONS as $value => $label) : ?>
+                    <option value="<?php echo esc_attr($value); ?>" <?php selected($item['logo_position'], $value); ?>><?php echo esc_html($label); ?></option>
+                <?php endforeach; ?>
+            </select>
+        </td>
+        <td>
+            <input type="number" class="small-text" min="1" max="100" name="<?php echo esc_attr($name); ?>[logo_size]" value="<?php echo esc_attr(intval($item['logo_size'])); ?>" />
+        </td>
+        <td>
+            <input type="number" class="small-text" min="0" max="100" name="<?php echo esc_attr($name); ?>[logo_opacity]" value="<?php echo esc_attr(intval($item['logo_opacity'])); ?>" />
+        </td>
+        <td>
+            <input type="text" placeholder="#Campaign" name="<?php echo esc_attr($name); ?>[hashtag]" value="<?php echo esc_attr($item['hashtag']); ?>" />
+            <select name="<?php echo esc_attr($name); ?>[hashtag_position]">
+                <option value="bottom" <?php selected($item['hashtag_position'], 'bottom'); ?>>Bottom</option>
+                <option value="top" <?php selected($item['hashtag_position'], 'top'); ?>>Top</option>
+            </select>
+        </td>
+        <td>
+            <input type="checkbox" class="beastside-exclusive" name="<?php echo esc_attr($name); ?>[default]" value="1" <?php checked(!empty($item['default'])); ?> />
+        </td>
+        <?php
+    }
+
+    protected function sanitize_row($row) {
+        $border_id = absint($row['border_id'] ?? 0);
+        $logo_id = absint($row['logo_id'] ?? 0);
+        $hashtag = sanitize_text_field($row['hashtag'] ?? '');
+        if ($hashtag !== '' && strpos($hashtag, '#') !== 0) {
+            $hashtag = '#' . $hashtag;
+        }
+        // A row needs something to draw - skip blank added rows
+        if (!$border_id && !$logo_id && $hashtag === '') {
+            return null;
+        }
+
+        $logo_position = sanitize_key($row['logo_position'] ?? '');
+
+        return array(
+            'border_id' => $border_id,
+            'logo_id' => $logo_id,
+            'logo_position' => isset(self::LOGO_POSITIONS[$logo_position]) ? $logo_position : 'bottom-right',
+            'logo_size' => min(100, max(1, intval($row['logo_size'] ?? 20))),
+            'logo_opacity' => min(100, max(0, intval($row['logo_opacity'] ?? 80))),
+            'hashtag' => $hashtag,
+            'hashtag_position' => ($row['hashtag_position'] ?? '') === 'top' ? 'top' : 'bottom',
+            'default' => !empty($row['default']),
+        );
+    }
+
+    /**
+     * Only one default frame (the first ticked)
+     */
+    protected function prepare_items($items) {
+        $has_default = false;
+        foreach ($items as &$item) {
+            $item['default'] = $item['default'] && !$has_default;
+            $has_default = $has_default || $item['default'];
+        }
+        unset($item);
+
+        return $items;
+    }
+}
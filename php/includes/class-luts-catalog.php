@@ -0,0 +1,127 @@
+<?php
+/**
+ * Color Grades Catalog Class
+ *
+ * LUT photo filters managed from Settings → BEASTSIDE Color Grades. Each
+ * entry is a 3D LUT exported from a grading tool - an Adobe/Resolve .cube
+ * file or a HALD CLUT PNG - from the media library or bundled in
+ * dist/assets/luts/, with its default intensity. The filter offers them next
+ * to the built-in filters. The enabled entries are passed to JavaScript in
+ * beastsideFiltersConfig.luts and served at /wp-json/beastside-filters/v1/luts.
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class Beastside_Filters_Luts_Catalog extends Beastside_Filters_Catalog {
+
+    const OPTION = 'beastside_filters_luts';
+    const TYPE = 'luts';
+    const LABEL = 'Color Grades';
+    const ITEM_LABEL = 'color grade';
+    const DEFAULT_ID = 'grade';
+    const RESERVED_PREFIX = 'grade-';
+
+    /**
+     * Let admins upload .cube files to the media library (they sniff as text/plain)
+     */
+    const UPLOAD_MIMES = array('cube' => 'text/plain');
+
+    /**
+     * Catalog used until an admin saves one (the bundled sample grade)
+     */
+    public static function get_default_items() {
+        return array(
+            array(
+                'id' => 'teal-orange',
+                'name' => 'Teal & Orange',
+                'file' => 'teal-orange.cube',
+                'attachment_id' => 0,
+                'intensity' => 80,
+                'enabled' => true,
+                'order' => 0,
+            ),
+        );
+    }
+
+    /**
+     * Turn a stored entry into a URL
+     *
+     * @return array|null { id, name, src, intensity (0-1) }
+     */
+    protected static function resolve_item($item) {
+        if (!empty($item['attachment_id'])) {
+            $src = wp_get_attachment_url($item['attachment_id']);
+        } elseif (!empty($item['file'])) {
+            $src = Beastside_Filters_Asset_Manager::get_dist_url('assets/luts/' . $item['file']);
+        } else {
+            return null;
+        }
+
+        if (!$src) {
+            return null;
+        }
+
+        return array(
+            'id' => $item['id'],
+            'name' => $item['name'],
+            'src' => $src,
+            'intensity' => intval($item['intensity']) / 100,
+        );
+    }
+
+    protected function get_description() {
+        return 'LUT filters offered next to the built-in filters, in order. Export a 3D LUT from your grading tool as a .cube file or a HALD CLUT PNG and upload it; the intensity is where the filter\'s slider starts.';
+    }
+
+    protected function get_columns() {
+        return array('LUT (.cube or HALD PNG)', 'Intensity (%)');
+    }
+
+    protected function get_blank_item($order) {
+        return array(
+            'id' => '',
+            'name' => '',
+            'file' => '',
+            'attachment_id' => 0,
+            'intensity' => 100,
+            'enabled' => true,
+            'order' => $order,
+        );
+    }
+
+    protected function render_hidden_fields($name, $item) {
+        ?>
+        <input type="hidden" name="<?php echo esc_attr($name); ?>[file]" value="<?php echo esc_attr($item['file']); ?>" />
+        <?php
+    }
+
+    protected function render_cells($name, $item) {
+        $media_label = '';
+        if (empty($item['attachment_id']) && !empty($item['file'])) {
+            $media_label = $item['file'] . ' (bundled)';
+        }
+        $this->render_media_cell($name . '[attachment_id]', $item['attachment_id'], 'Choose LUT', 'image,text', $media_label);
+        ?>
+        <td>
+            <input type="number" class="small-text" min="0" max="100" name="<?php echo esc_attr($name); ?>[intensity]" value="<?php echo esc_attr(intval($item['intensity'])); ?>" />
+        </td>
+        <?php
+    }
+
+    protected function sanitize_row($row) {
+        $attachment_id = absint($row['attachment_id'] ?? 0);
+        $file = sanitize_file_name($row['file'] ?? '');
+        // A row needs a LUT - skip blank added rows
+        if (!$attachment_id && !$file) {
+            return null;
+        }
+
+        return array(
+            'file' => $attachment_id ? '' : $file,
+            'attachment_id' => $attachment_id,
+            'intensity' => min(100, max(0, intval($row['intensity'] ?? 100))),
+        );
+    }
+}
@@ -0,0 +1,128 @@
+<?php
+/**
+ * Settings Class
+ *
+ * General plugin settings under Settings → BEASTSIDE Filters, stored with
+ * the WordPress Settings API. Shortcode attributes override them per page.
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class Beastside_Filters_Settings {
+
+    /**
+     * Settings group and page slug
+     */
+    const GROUP = 'beastside_filters_settings';
+    const PAGE = 'beastside-filters';
+
+    /**
+     * Option holding the longest video recording in seconds
+     */
+    const MAX_RECORDING_OPTION = 'beastside_filters_max_recording';
+
+    /**
+     * Recording length bounds and default (seconds)
+     */
+    const MAX_RECORDING_DEFAULT = 30;
+    const MAX_RECORDING_MIN = 3;
+    const MAX_RECORDING_MAX = 300;
+
+    /**
+     * Initialize settings hooks
+     */
+    public function __construct() {
+        add_action('admin_menu', array($this, 'add_admin_page'));
+        add_action('admin_init', array($this, 'register_settings'));
+    }
+
+    /**
+     * Longest video recording in seconds
+     *
+     * Uses $value (shortcode max_duration) when given, otherwise the plugin
+     * setting. Kept between 3 seconds and 5 minutes.
+     */
+    public static function get_max_recording_duration($value = '') {
+        if ($value === '' || $value === null) {
+            $value = get_option(self::MAX_RECORDING_OPTION, self::MAX_RECORDING_DEFAULT);
+        }
+        return self::sanitize_max_recording($value);
+    }
+
+    /**
+     * Clamp a recording length to the allowed range
+     */
+    public static function sanitize_max_recording($value) {
+        return max(self::MAX_RECORDING_MIN, min(self::MAX_RECORDING_MAX, absint($value)));
+    }
+
+    /**
+     * Register options and fields
+     */
+    public function register_settings() {
+        register_setting(self::GROUP, self::MAX_RECORDING_OPTION, array(
+            'type' => 'integer',
+            'default' => self::MAX_RECORDING_DEFAULT,
+            'sanitize_callback' => array(__CLASS__, 'sanitize_max_recording'),
+        ));
+
+        add_settings_section('beastside_filters_capture', 'Capture', '__return_false', self::PAGE);
+
+        add_settings_field(
+            self::MAX_RECORDING_OPTION,
+            'Longest video (seconds)',
+            array($this, 'render_max_recording_field'),
+            self::PAGE,
+            'beastside_filters_capture',
+            array('label_for' => self::MAX_RECORDING_OPTION)
+        );
+    }
+
+    /**
+     * Add Settings → BEASTSIDE Filters
+     */
+    public function add_admin_page() {
+        add_options_page(
+            'BEASTSIDE Filters',
+            'BEASTSIDE Filters',
+            'manage_options',
+            self::PAGE,
+            array($this, 'render_admin_page')
+        );
+    }
+
+    /**
+     * Render the settings page
+     */
+    public function render_admin_page() {
+        if (!current_user_can('manage_options')) {
+            return;
+        }
+        ?>
+        <div class="wrap">
+            <h1>BEASTSIDE Filters</h1>
+            <form method="post" action="options.php">
+                <?php
+                settings_fields(self::GROUP);
+                do_settings_sections(self::PAGE);
+                submit_button();
+                ?>
+            </form>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the recording length field
+     */
+    public function render_max_recording_field() {
+        ?>
+        <input type="number" class="small-text" id="<?php echo esc_attr(self::MAX_RECORDING_OPTION); ?>" name="<?php echo esc_attr(self::MAX_RECORDING_OPTION); ?>"
+            min="<?php echo esc_attr(self::MAX_RECORDING_MIN); ?>" max="<?php echo esc_attr(self::MAX_RECORDING_MAX); ?>"
+            value="<?php echo esc_attr(self::get_max_recording_duration()); ?>" />
+        <p class="description">Recording stops automatically at this length (3–300). The shortcode's <code>max_duration</code> attribute overrides it on a page.</p>
+        <?php
+    }
+}
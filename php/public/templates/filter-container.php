@@ -15,7 +15,7 @@ $is_https = Beastside_Filters_Browser_Detection::is_https();
 $current_url = Beastside_Filters_Browser_Detection::get_current_url();
 ?>
 
-<div id="beastside-filters-root" class="beastside-filters-root" data-device="<?php echo esc_attr($device_type); ?>">
+<div id="beastside-filters-root" class="beastside-filters-root" data-device="<?php echo esc_attr($device_type); ?>" data-max-duration="<?php echo esc_attr(isset($max_duration) ? $max_duration : ''); ?>">
 
     <?php if ($is_desktop) : ?>
         <!-- Desktop: Show QR Code Modal -->
@@ -0,0 +1,104 @@
+/**
+ * Fitting Profiles
+ *
+ * Scale/offset/rotation/smoothing values that place a GLB character on the
+ * tracked face. Every character gets the defaults below, with its own
+ * overrides (from the roster manifest) layered on top.
+ */
+
+// Default fitting profile (tweak these to fit your GLB)
+export const DEFAULT_FITTING_PROFILE = Object.freeze({
+    // === SCALE ===
+    // Scale is now normalized: 1.0 = face at reference distance
+    scaleBase: 28.0,          // Base scale when face is at reference distance (scale=1.0)
+    scaleMultiplier: 1.0,    // How much face distance affects scale
+    scaleMin: 0.1,           // Minimum allowed scale
+    scaleMax: 50.0,          // Maximum allowed scale (increase for bigger)
+    scaleX: 1.0,             // Width scale multiplier (increase if too narrow)
+    scaleY: 1.0,             // Height scale multiplier (increase if too short)
+    scaleZ: 1.0,             // Depth scale multiplier
+
+    // === POSITION ===
+    positionScale: 2.0,      // Overall position sensitivity
+    positionScaleX: 2.0,     // Horizontal movement multiplier
+    positionScaleY: 2.0,     // Vertical movement multiplier
+    positionScaleZ: 2.0,     // Depth movement multiplier (forward/backward)
+    positionOffsetX: 0.0,    // Horizontal offset (positive = right)
+    positionOffsetY: 0.0,    // Vertical offset (positive = up)
+    positionOffsetZ: -10.0,    // Depth offset (positive = forward)
+    mirrorX: true,           // Mirror X axis for selfie-camera
+
+    // === ROTATION ===
+    baseRotationX: -0.8,        // Base X rotation in radians (tilt forward/back on load)
+    baseRotationY: Math.PI,  // Base Y rotation in radians (180° = face camera)
+    baseRotationZ: 0,        // Base Z rotation in radians (tilt sideways on load)
+    rotationScale: 1.0,      // Overall rotation sensitivity
+    pitchScale: 1.0,         // Up/down head tilt multiplier
+    yawScale: 1.0,           // Left/right head turn multiplier
+    rollScale: -1.0,         // Head tilt (ear to shoulder) multiplier (negative = mirror for selfie)
+    pitchOffset: 0.0,        // Pitch offset in radians
+    yawOffset: 0.0,          // Yaw offset in radians
+    rollOffset: 0.0,         // Roll offset in radians
+
+    // === SMOOTHING (One Euro filter per channel, see utils/OneEuroFilter.js) ===
+    // MinCutoff (Hz): lower = steadier at rest but laggier on slow moves
+    // Beta: higher = less lag on fast moves (blinks, quick head turns)
+    positionMinCutoff: 1.0,
+    positionBeta: 0.5,
+    rotationMinCutoff: 1.0,
+    rotationBeta: 1.0,
+    scaleMinCutoff: 0.5,     // Scale jitters most with face distance - keep it steady
+    scaleBeta: 0.05,
+    blendshapeMinCutoff: 1.5,
+    blendshapeBeta: 5.0,
+    eyeMinCutoff: 2.5,       // Eyes respond faster so blinks reach full closure
+    eyeBeta: 10.0,
+    derivativeCutoff: 1.0    // Cutoff (Hz) for the speed estimate, shared by all channels
+});
+
+/**
+ * Build a fitting profile from the defaults plus any number of override layers
+ * Later layers win. Unknown keys and values of the wrong type are ignored.
+ * @param {...Object} layers - Partial profiles, e.g. a named preset then per-character overrides
+ * @returns {Object} Complete fitting profile
+ */
+export function createFittingProfile(...layers) {
+    const profile = { ...DEFAULT_FITTING_PROFILE };
+
+    layers.forEach(layer => {
+        if (!layer) return;
+
+        Object.entries(layer).forEach(([key, value]) => {
+            if (!(key in DEFAULT_FITTING_PROFILE)) {
+                console.warn(`FittingProfile: Unknown setting "${key}" ignored`);
+                return;
+            }
+            if (typeof value !== typeof DEFAULT_FITTING_PROFILE[key]) {
+                console.warn(`FittingProfile: Invalid value for "${key}" ignored`, value);
+                return;
+            }
+            profile[key] = value;
+        });
+    });
+
+    return profile;
+}
+
+/**
+ * Smoothing pipeline channel parameters for a fitting profile
+ * @param {Object} profile - Complete fitting profile
+ * @returns {Object} { channel: { minCutoff, beta, dCutoff } } for SmoothingPipeline
+ */
+export function getSmoothingChannels(profile) {
+    const channels = {};
+
+    ['position', 'rotation', 'scale', 'blendshape', 'eye'].forEach(channel => {
+        channels[channel] = {
+            minCutoff: profile[`${channel}MinCutoff`],
+            beta: profile[`${channel}Beta`],
+            dCutoff: profile.derivativeCutoff
+        };
+    });
+
+    return channels;
+}
@@ -1,9 +1,27 @@
 /**
  * Performance Configuration
  *
- * Detects device capabilities and adjusts settings for optimal performance
+ * Detects device capabilities and adjusts settings for optimal performance.
+ * The tier only sets the starting point - QualityController steps through
+ * QUALITY_STEPS at runtime based on measured FPS.
  */
 
+/**
+ * Runtime degradation ladder, cheapest visual loss first. Each step is applied
+ * on top of the previous ones (only where it lowers quality), so a low-tier
+ * device that already starts without antialiasing simply skips that step.
+ */
+export const QUALITY_STEPS = [
+    { shadowsEnabled: false },
+    { pixelRatio: 1 },
+    { segmentEveryN: 3 },
+    { antialiasing: false },
+    { pixelRatio: 0.75 },
+    { maskRefinement: false },
+    { videoResolution: { width: 640, height: 480 } },
+    { segmentEveryN: 4 }
+];
+
 export class PerformanceConfig {
     constructor() {
         this.deviceTier = null;
@@ -74,8 +92,9 @@ export class PerformanceConfig {
                 // High-end device settings
                 pixelRatio: Math.min(window.devicePixelRatio, 2),
                 targetFPS: 60,
-                shadowsEnabled: false, // Not used yet
+                shadowsEnabled: true,
                 antialiasing: true,
+                maskRefinement: true, // Guided/temporal mask cleanup (MaskRefiner)
                 faceMeshDetail: 'high',
                 videoResolution: { width: 1280, height: 720 },
                 recordingQuality: 'high',
@@ -86,8 +105,9 @@ export class PerformanceConfig {
                 // Mid-range device settings
                 pixelRatio: 1.5,
                 targetFPS: 30,
-                shadowsEnabled: false,
+                shadowsEnabled: true, // QualityController drops these first
                 antialiasing: true,
+                maskRefinement: true,
                 faceMeshDetail: 'medium',
                 videoResolution: { width: 1280, height: 720 },
                 recordingQuality: 'medium',
@@ -98,8 +118,9 @@ export class PerformanceConfig {
                 // Low-end device settings
                 pixelRatio: 1,
                 targetFPS: 30,
-                shadowsEnabled: false,
+                shadowsEnabled: true,
                 antialiasing: false,
+                maskRefinement: true,
                 faceMeshDetail: 'low',
                 videoResolution: { width: 640, height: 480 },
                 recordingQuality: 'low',
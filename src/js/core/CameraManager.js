@@ -15,6 +15,9 @@ class CameraManager {
 
         // Get performance settings
         this.perfSettings = performanceConfig.getSettings();
+
+        // Requested resolution (QualityController may lower it at runtime)
+        this.resolution = { ...this.perfSettings.videoResolution };
     }
 
     /**
@@ -30,7 +33,7 @@ class CameraManager {
 
             // Request camera with optimal constraints for face tracking
             // Use performance settings for resolution
-            const { width, height } = this.perfSettings.videoResolution;
+            const { width, height } = this.resolution;
             const constraints = {
                 video: {
                     facingMode: facingMode,
@@ -130,6 +133,25 @@ class CameraManager {
         }
     }
 
+    /**
+     * Change the capture resolution without restarting the stream
+     * @param {number} width
+     * @param {number} height
+     */
+    async setResolution(width, height) {
+        this.resolution = { width, height };
+
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        if (!track) return;
+
+        try {
+            await track.applyConstraints({ width: { ideal: width }, height: { ideal: height } });
+            console.log(`CameraManager: Resolution set to ${width}x${height}`);
+        } catch (error) {
+            console.warn('CameraManager: Could not change resolution', error);
+        }
+    }
+
     /**
      * Get video dimensions
      */
@@ -8,6 +8,8 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import ThumbnailGenerator from '../utils/ThumbnailGenerator.js';
+import SmoothingPipeline from '../utils/SmoothingPipeline.js';
+import { createFittingProfile, getSmoothingChannels } from '../config/fitting-profile.js';
 
 class CharacterManager {
     constructor(scene, eventEmitter, camera) {
@@ -22,16 +24,13 @@ class CharacterManager {
         // Get base path for models (WordPress or local dev)
         this.modelsBasePath = this.getModelsBasePath();
 
-        // Character configuration (paths are relative to modelsBasePath)
-        this.characters = [
-            { id: 'rafsby', name: 'Rafsby', path: '1.glb', loaded: false, thumbnail: null },
-            // Other characters commented out for now:
-            // { id: 'boy1', name: 'Boy #1', path: 'boy1.glb', loaded: false },
-            // { id: 'girl1', name: 'Girl #1', path: 'girl1.glb', loaded: false },
-            // { id: 'boy2', name: 'Boy #2', path: 'boy2.glb', loaded: false },
-            // { id: 'girl2', name: 'Girl #2', path: 'girl2.glb', loaded: false },
-            // { id: 'girl3', name: 'Girl #3', path: 'girl3.glb', loaded: false }
+        // Character roster (paths are relative to modelsBasePath)
+        // Populated from the JSON manifest in loadRoster(); this is the fallback
+        // used when the manifest is missing or invalid.
+        this.defaultCharacters = [
+            { id: 'rafsby', name: 'Rafsby', path: '1.glb' }
         ];
+        this.characters = [];
 
         this.currentCharacterIndex = 0;
         this.currentModel = null;
@@ -44,68 +43,27 @@ class CharacterManager {
         // Blendshape name mapping (our names -> GLB model names)
         // Add mappings here if your GLB uses different naming conventions
         // Example: { 'eyeBlinkLeft': 'EyeBlink_L', 'jawOpen': 'Jaw_Open' }
-        this.blendshapeNameMap = {
+        // Per-character overrides from the manifest are merged on top in switchToCharacter()
+        this.defaultBlendshapeNameMap = {
         };
+        this.blendshapeNameMap = { ...this.defaultBlendshapeNameMap };
 
-        // Model adjustments (tweak these to fit your GLB)
-        this.modelConfig = {
-            // === SCALE ===
-            // Scale is now normalized: 1.0 = face at reference distance
-            scaleBase: 28.0,          // Base scale when face is at reference distance (scale=1.0)
-            scaleMultiplier: 1.0,    // How much face distance affects scale
-            scaleMin: 0.1,           // Minimum allowed scale
-            scaleMax: 50.0,          // Maximum allowed scale (increase for bigger)
-            scaleX: 1.0,             // Width scale multiplier (increase if too narrow)
-            scaleY: 1.0,             // Height scale multiplier (increase if too short)
-            scaleZ: 1.0,             // Depth scale multiplier
-
-            // === POSITION ===
-            positionScale: 2.0,      // Overall position sensitivity
-            positionScaleX: 2.0,     // Horizontal movement multiplier
-            positionScaleY: 2.0,     // Vertical movement multiplier
-            positionScaleZ: 2.0,     // Depth movement multiplier (forward/backward)
-            positionOffsetX: 0.0,    // Horizontal offset (positive = right)
-            positionOffsetY: 0.0,    // Vertical offset (positive = up)
-            positionOffsetZ: -10.0,    // Depth offset (positive = forward)
-            mirrorX: true,           // Mirror X axis for selfie-camera
-
-            // === ROTATION ===
-            baseRotationX: -0.8,        // Base X rotation in radians (tilt forward/back on load)
-            baseRotationY: Math.PI,  // Base Y rotation in radians (180° = face camera)
-            baseRotationZ: 0,        // Base Z rotation in radians (tilt sideways on load)
-            rotationScale: 1.0,      // Overall rotation sensitivity
-            pitchScale: 1.0,         // Up/down head tilt multiplier
-            yawScale: 8.0,          // Left/right head turn multiplier (high for full range of motion)
-            rollScale: -1.2,         // Head tilt (ear to shoulder) multiplier (negative = mirror for selfie)
-            pitchOffset: 0.0,        // Pitch offset in radians
-            yawOffset: 0.0,          // Yaw offset in radians
-            rollOffset: 0.0,         // Roll offset in radians
-
-            // === SMOOTHING ===
-            // Higher values = smoother but more lag (0-0.95 range)
-            smoothing: 0.7,          // Overall smoothing (0 = none, higher = smoother but laggy)
-            positionSmoothing: 0.5,  // Position-specific smoothing
-            rotationSmoothing: 0.7,  // Rotation-specific smoothing
-            scaleSmoothing: 0.9,     // Scale-specific smoothing
-            blendshapeSmoothing: 0.9, // Blendshape/expression smoothing (higher = less jitter)
-            eyeSmoothing: 0.6,       // Lower = faster blink response (was 0.9, too laggy for blinks)
-
-            // === DEADZONES (ignore small movements to reduce jitter) ===
-            // Higher values = less jitter but less responsive to small movements
-            positionDeadzone: 0.01,  // Ignore position changes smaller than this
-            rotationDeadzone: 0.1,  // Ignore rotation changes smaller than this
-            blendshapeDeadzone: 0.1, // Ignore blendshape changes smaller than this
-            eyeDeadzone: 0.04       // Lowered so blinks can reach full closure (was 0.1)
-        };
+        // Fitting profile for the current character (scale/offset/rotation/smoothing)
+        // Defaults live in config/fitting-profile.js; switchToCharacter() swaps in
+        // the character's own profile.
+        this.modelConfig = createFittingProfile();
+
+        // One Euro filters for transform and blendshapes, configured from the fitting profile
+        this.smoothing = new SmoothingPipeline(getSmoothingChannels(this.modelConfig));
 
-        // Smoothed transform values (for lerping to reduce jitter)
+        // Smoothed transform values (last filtered result)
         this.smoothedTransform = {
             position: { x: 0, y: 0, z: 0 },
             rotation: { pitch: 0, yaw: 0, roll: 0 },
             scale: 1
         };
 
-        // Smoothed blendshape values (for lerping facial expressions)
+        // Smoothed blendshape values (last filtered result)
         this.smoothedBlendshapes = {};
 
         // Hide model until first tracking frame so it doesn't flash at center
@@ -144,29 +102,152 @@ class CharacterManager {
         return '/assets/models/';
     }
 
+    /**
+     * Get path for the character roster manifest
+     * Lives next to the models unless WordPress config points elsewhere
+     */
+    getManifestPath() {
+        if (typeof window !== 'undefined' && window.beastsideFiltersConfig && window.beastsideFiltersConfig.charactersManifest) {
+            return window.beastsideFiltersConfig.charactersManifest;
+        }
+        return this.modelsBasePath + 'characters.json';
+    }
+
     /**
      * Get full path for a model file
+     * Absolute URLs, root-relative and data/blob URLs are returned unchanged
      */
     getModelPath(relativePath) {
+        if (/^(https?:|data:|blob:|\/)/.test(relativePath)) {
+            return relativePath;
+        }
         return this.modelsBasePath + relativePath;
     }
 
     /**
-     * Linear interpolation helper
+     * Load the character roster from the JSON manifest
+     *
+     * Manifest format:
+     * {
+     *   "profiles": {                          // optional shared fitting presets
+     *     "tall-rig": { "positionOffsetY": -1.5, "scaleBase": 24 }
+     *   },
+     *   "characters": [
+     *     {
+     *       "id": "rafsby",
+     *       "name": "Rafsby",
+     *       "path": "1.glb",
+     *       "thumbnail": "rafsby.png",         // optional, generated from the GLB if omitted
+     *       "enabled": true,                   // optional, false hides the character
+     *       "profile": "tall-rig",             // optional preset from "profiles"
+     *       "modelConfig": { "scaleBase": 30 }, // optional fitting overrides (win over the preset)
+     *       "blendshapeNameMap": { "jawOpen": "Jaw_Open" } // optional
+     *     }
+     *   ]
+     * }
+     *
+     * Falls back to defaultCharacters if the manifest can't be loaded.
+     */
+    async loadRoster() {
+        const manifestPath = this.getManifestPath();
+
+        try {
+            const response = await fetch(manifestPath, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const manifest = await response.json();
+            const entries = Array.isArray(manifest) ? manifest : manifest.characters;
+            const characters = this.parseRoster(entries, manifest.profiles);
+
+            if (characters.length === 0) {
+                throw new Error('Manifest contains no enabled characters');
+            }
+
+            this.characters = characters;
+            console.log(`CharacterManager: Loaded ${characters.length} characters from ${manifestPath}`);
+        } catch (error) {
+            console.warn(`CharacterManager: Could not load roster manifest (${manifestPath}), using defaults`, error);
+            this.characters = this.parseRoster(this.defaultCharacters);
+        }
+
+        this.events.emit('rosterLoaded', { characters: this.characters });
+        return this.characters;
+    }
+
+    /**
+     * Normalize manifest entries into character records
+     * Skips disabled entries and entries missing an id or GLB path
+     * @param {Array} entries - Manifest character entries
+     * @param {Object} [profiles] - Named fitting presets referenced by entry.profile
      */
-    lerp(current, target, factor) {
-        return current + (target - current) * (1 - factor);
+    parseRoster(entries, profiles = {}) {
+        if (!Array.isArray(entries)) return [];
+
+        return entries
+            .filter(entry => {
+                if (!entry || entry.enabled === false) return false;
+                if (!entry.id || !entry.path) {
+                    console.warn('CharacterManager: Skipping manifest entry without id/path', entry);
+                    return false;
+                }
+                return true;
+            })
+            .map(entry => ({
+                id: entry.id,
+                name: entry.name || entry.id,
+                path: entry.path,
+                thumbnail: entry.thumbnail ? this.getModelPath(entry.thumbnail) : null,
+                fittingProfile: this.resolveFittingProfile(entry, profiles),
+                blendshapeNameMap: entry.blendshapeNameMap || {},
+                loaded: false
+            }));
     }
 
     /**
-     * Apply deadzone - ignore changes smaller than threshold
+     * Resolve a character's fitting profile: defaults < named preset < own overrides
      */
-    applyDeadzone(current, target, deadzone) {
-        const diff = Math.abs(target - current);
-        if (diff < deadzone) {
-            return current; // No change if within deadzone
+    resolveFittingProfile(entry, profiles = {}) {
+        let preset = null;
+
+        if (entry.profile) {
+            preset = profiles && profiles[entry.profile];
+            if (!preset) {
+                console.warn(`CharacterManager: Unknown fitting profile "${entry.profile}" for ${entry.id}, using defaults`);
+            }
         }
-        return target;
+
+        return createFittingProfile(preset, entry.modelConfig);
+    }
+
+    /**
+     * Get the fitting profile for a character
+     * @param {number} [index] - Character index (defaults to current)
+     */
+    getFittingProfile(index = this.currentCharacterIndex) {
+        const character = this.characters[index];
+        return character ? character.fittingProfile : this.modelConfig;
+    }
+
+    /**
+     * Update a character's fitting profile at runtime
+     * Changes to the current character apply on the next tracking frame.
+     * @param {Object} overrides - Partial fitting profile
+     * @param {number} [index] - Character index (defaults to current)
+     */
+    setFittingProfile(overrides, index = this.currentCharacterIndex) {
+        const character = this.characters[index];
+        if (!character) return;
+
+        character.fittingProfile = createFittingProfile(character.fittingProfile, overrides);
+
+        if (index === this.currentCharacterIndex) {
+            this.modelConfig = character.fittingProfile;
+            this.smoothing.configure(getSmoothingChannels(this.modelConfig));
+        }
+
+        this.events.emit('fittingProfileChanged', { index, profile: character.fittingProfile });
     }
 
     /**
@@ -176,7 +257,8 @@ class CharacterManager {
         console.log('CharacterManager: Initializing...');
 
         try {
-            // Attempt to preload first character
+            // Load roster from manifest, then preload first character
+            await this.loadRoster();
             await this.loadCharacter(0);
 
             // Set up event listeners
@@ -563,6 +645,13 @@ class CharacterManager {
         this.currentModel = character.model;
         this.currentCharacterIndex = index;
 
+        // Apply the character's own fitting profile and blendshape names
+        this.modelConfig = character.fittingProfile || createFittingProfile();
+        this.smoothing.configure(getSmoothingChannels(this.modelConfig));
+        this.smoothing.reset();
+        this.blendshapeNameMap = { ...this.defaultBlendshapeNameMap, ...character.blendshapeNameMap };
+        this._blendshapeDebugLogged = false;
+
         if (this.currentModel) {
             // Apply base rotation so model faces camera
             this.currentModel.rotation.y = this.modelConfig.baseRotationY;
@@ -574,8 +663,8 @@ class CharacterManager {
 
             this.scene.add(this.currentModel);
 
-            // Re-find skin materials for the new character
-            this.findSkinMaterials(this.currentModel);
+            // Re-find morph target meshes and skin materials for the new character
+            this.findMorphTargetMeshes(this.currentModel);
 
             // Re-apply previous skin color if one was set
             if (previousSkinColor) {
@@ -592,27 +681,28 @@ class CharacterManager {
     setupEventListeners() {
         // Listen for face tracking updates
         this.events.on('faceTracked', (data) => {
-            this.updateCharacter(data.blendshapes, data.transform);
+            this.updateCharacter(data.blendshapes, data.transform, data.timestamp);
         });
     }
 
     /**
      * Update character with blendshapes and transform
+     * @param {number} [timestamp] - Frame time in ms (drives the frame-rate independent smoothing)
      */
-    updateCharacter(blendshapes, transform) {
+    updateCharacter(blendshapes, transform, timestamp = performance.now()) {
         if (!this.currentModel) return;
 
         // Update position and rotation
-        this.updateTransform(transform);
+        this.updateTransform(transform, timestamp);
 
         // Update morph targets (expressions)
-        this.updateMorphTargets(blendshapes);
+        this.updateMorphTargets(blendshapes, timestamp);
     }
 
     /**
      * Update character position and rotation
      */
-    updateTransform(transform) {
+    updateTransform(transform, timestamp = performance.now()) {
         if (!this.currentModel || !transform) return;
 
         const { position, rotation, scale } = transform;
@@ -649,49 +739,19 @@ class CharacterManager {
         const maxScale = cfg.scaleMax || 50.0;
         const targetScaleVal = Math.max(minScale, Math.min(baseScale, maxScale));
 
-        // === APPLY DEADZONES (ignore tiny movements) ===
-        const posDead = cfg.positionDeadzone || 0.01;
-        const rotDead = cfg.rotationDeadzone || 0.02;
-
-        const finalTargetX = this.applyDeadzone(this.smoothedTransform.position.x, targetX, posDead);
-        const finalTargetY = this.applyDeadzone(this.smoothedTransform.position.y, targetY, posDead);
-        const finalTargetZ = this.applyDeadzone(this.smoothedTransform.position.z, targetZ, posDead);
+        // === APPLY SMOOTHING (One Euro filters, first frame passes through) ===
+        this.smoothedTransform.position = this.smoothing.filterValues('position', { x: targetX, y: targetY, z: targetZ }, timestamp);
+        this.smoothedTransform.rotation = this.smoothing.filterValues('rotation', { pitch: targetPitch, yaw: targetYaw, roll: targetRoll }, timestamp);
+        this.smoothedTransform.scale = this.smoothing.filter('scale', 'scale', targetScaleVal, timestamp);
 
-        const finalTargetPitch = this.applyDeadzone(this.smoothedTransform.rotation.pitch, targetPitch, rotDead);
-        const finalTargetYaw = this.applyDeadzone(this.smoothedTransform.rotation.yaw, targetYaw, rotDead);
-        const finalTargetRoll = this.applyDeadzone(this.smoothedTransform.rotation.roll, targetRoll, rotDead);
-
-        // === APPLY SMOOTHING (lerp toward target values) ===
-        // On first frame, snap directly to face position (no lerp from center)
+        // Show the model on the first tracking frame — it's at the correct face position
         if (this.firstTrackingFrame) {
             this.firstTrackingFrame = false;
-            this.smoothedTransform.position.x = finalTargetX;
-            this.smoothedTransform.position.y = finalTargetY;
-            this.smoothedTransform.position.z = finalTargetZ;
-            this.smoothedTransform.rotation.pitch = finalTargetPitch;
-            this.smoothedTransform.rotation.yaw = finalTargetYaw;
-            this.smoothedTransform.rotation.roll = finalTargetRoll;
-            this.smoothedTransform.scale = targetScaleVal;
-
-            // Now show the model — it's at the correct face position
+
             if (this.currentModel && !this.modelVisible) {
                 this.currentModel.visible = true;
                 this.modelVisible = true;
             }
-        } else {
-            const posSmooth = cfg.positionSmoothing;
-            const rotSmooth = cfg.rotationSmoothing;
-            const scaleSmooth = cfg.scaleSmoothing;
-
-            this.smoothedTransform.position.x = this.lerp(this.smoothedTransform.position.x, finalTargetX, posSmooth);
-            this.smoothedTransform.position.y = this.lerp(this.smoothedTransform.position.y, finalTargetY, posSmooth);
-            this.smoothedTransform.position.z = this.lerp(this.smoothedTransform.position.z, finalTargetZ, posSmooth);
-
-            this.smoothedTransform.rotation.pitch = this.lerp(this.smoothedTransform.rotation.pitch, finalTargetPitch, rotSmooth);
-            this.smoothedTransform.rotation.yaw = this.lerp(this.smoothedTransform.rotation.yaw, finalTargetYaw, rotSmooth);
-            this.smoothedTransform.rotation.roll = this.lerp(this.smoothedTransform.rotation.roll, finalTargetRoll, rotSmooth);
-
-            this.smoothedTransform.scale = this.lerp(this.smoothedTransform.scale, targetScaleVal, scaleSmooth);
         }
 
         // === APPLY POSITION ===
@@ -722,7 +782,7 @@ class CharacterManager {
     /**
      * Update morph targets (character expressions) with smoothing and deadzones
      */
-    updateMorphTargets(blendshapes) {
+    updateMorphTargets(blendshapes, timestamp = performance.now()) {
         if (!blendshapes) return;
 
         // If using placeholder character, animate it differently
@@ -753,47 +813,25 @@ class CharacterManager {
             console.log('================================');
         }
 
-        const defaultSmooth = this.modelConfig.blendshapeSmoothing;
-        const eyeSmooth = this.modelConfig.eyeSmoothing || defaultSmooth;
-        const defaultDeadzone = this.modelConfig.blendshapeDeadzone || 0.03;
-        const eyeDeadzone = this.modelConfig.eyeDeadzone || 0.06;
+        // Smooth each blendshape once per frame (eyes get their own faster channel)
+        Object.keys(blendshapes).forEach(shapeName => {
+            const lowerName = shapeName.toLowerCase();
+            const channel = lowerName.includes('eye') || lowerName.includes('blink') ? 'eye' : 'blendshape';
+            this.smoothedBlendshapes[shapeName] = this.smoothing.filter(channel, shapeName, blendshapes[shapeName], timestamp);
+        });
 
-        // Apply blendshapes to morph target meshes with smoothing
+        // Apply smoothed blendshapes to morph target meshes
         this.morphTargetMeshes.forEach(mesh => {
             const morphDict = mesh.morphTargetDictionary;
             const influences = mesh.morphTargetInfluences;
 
             // Map each blendshape to morph target
             Object.keys(blendshapes).forEach(shapeName => {
-                const targetValue = blendshapes[shapeName];
-
                 // Check for mapped name first, then fall back to original name
                 const mappedName = this.blendshapeNameMap[shapeName] || shapeName;
                 const morphIndex = morphDict[mappedName];
 
                 if (morphIndex !== undefined && influences[morphIndex] !== undefined) {
-                    // Use eye-specific settings for eye blendshapes
-                    const isEyeBlendshape = shapeName.toLowerCase().includes('eye') ||
-                                            shapeName.toLowerCase().includes('blink');
-                    const smoothFactor = isEyeBlendshape ? eyeSmooth : defaultSmooth;
-                    const deadzone = isEyeBlendshape ? eyeDeadzone : defaultDeadzone;
-
-                    // Initialize smoothed value if not exists
-                    if (this.smoothedBlendshapes[shapeName] === undefined) {
-                        this.smoothedBlendshapes[shapeName] = 0;
-                    }
-
-                    // Apply deadzone - ignore tiny changes
-                    const currentValue = this.smoothedBlendshapes[shapeName];
-                    const finalTarget = this.applyDeadzone(currentValue, targetValue, deadzone);
-
-                    // Lerp toward target value for smooth transitions
-                    this.smoothedBlendshapes[shapeName] = this.lerp(
-                        currentValue,
-                        finalTarget,
-                        smoothFactor
-                    );
-
                     // Apply smoothed blendshape value (0-1 range)
                     influences[morphIndex] = this.smoothedBlendshapes[shapeName];
                 }
@@ -919,6 +957,7 @@ class CharacterManager {
             scale: 1
         };
         this.smoothedBlendshapes = {};
+        this.smoothing.reset();
 
         // Briefly hide then re-show on next frame to snap cleanly
         if (this.currentModel) {
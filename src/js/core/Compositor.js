@@ -0,0 +1,772 @@
+/**
+ * Compositor - Single GPU pass for the live view and captures
+ *
+ * Draws the final frame into the Three.js canvas from:
+ *   camera video (cover-fit, mirrored) → virtual background (image, video or
+ *   ThreeRenderer's 3D scene) or portrait
+ *   blur via the segmentation mask → background effect (blur / tint / vignette) →
+ *   character (ThreeRenderer's render target) → photo filter color matrix →
+ *   photo filter LUT, blended with the unfiltered frame by the filter intensity →
+ *   frame overlay (FrameOverlays: border, logo, hashtag - never filtered)
+ *
+ * The canvas it draws is what users see, what photos are read from and what
+ * captureStream() records, so all three match exactly.
+ *
+ * The mask is first cleaned up by MaskRefiner (edge snapping + temporal
+ * stabilization); virtual backgrounds then get edge decontamination and a
+ * light wrap so hair and shoulders don't halo against the new background.
+ *
+ * Runs in the FrameScheduler 'composite' phase, after the character render.
+ * Everything except the character and 3D backgrounds is sampled as-is (sRGB),
+ * so filter math matches the CSS filter strings the effects are written in;
+ * those two render targets are linear and get tone mapped + encoded here. LUTs are indexed
+ * with that sRGB color too, which is what grading tools export for.
+ */
+
+import * as THREE from 'three';
+import MaskRefiner from './MaskRefiner.js';
+import { loadLut } from '../utils/LutLoader.js';
+import { performanceConfig } from '../config/performance-config.js';
+
+const vertexShader = `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const fragmentShader = `
+    uniform sampler2D uVideo;
+    uniform vec2 uVideoScale;      // Cover-fit scale (display uv → video uv)
+    uniform float uVideoReady;
+
+    uniform sampler2D uMask;       // Person confidence in alpha, mirrored (display orientation)
+    uniform float uUseMask;
+
+    uniform sampler2D uBackground;
+    uniform vec2 uBackgroundScale;   // Cover-fit scale divided by zoom
+    uniform vec2 uBackgroundCenter;  // Background uv shown at the view center
+    uniform float uBackgroundLinear; // 3D scene background (linear render target)
+    uniform float uBackgroundToneMap;
+    uniform float uLightWrap;        // How much background light spills onto the person's edge
+    uniform vec2 uKeyChroma;         // Chroma key direction (unit CbCr), when keying a green screen
+    uniform float uSpill;            // How much key color to take out of the person (0 = off)
+
+    uniform sampler2D uCharacter;  // Linear, premultiplied
+    uniform float uExposure;
+
+    uniform vec2 uViewSize;        // CSS px
+    uniform float uBlur;           // CSS px
+    uniform float uBokeh;          // CSS px, background only (needs uMask)
+    uniform float uMaskBlur;       // CSS px
+    uniform vec4 uTint;
+    uniform vec4 uVignette;        // radius, inner, mid position, mid alpha (radius 0 = off)
+    uniform float uVignetteAlpha;  // Alpha at the outer edge
+
+    uniform mat3 uColorMatrix;
+    uniform vec3 uColorOffset;
+    uniform float uFilterIntensity;
+
+    uniform sampler2D uOverlay;    // Straight alpha, drawn at the canvas size
+    uniform float uUseOverlay;
+
+#ifdef USE_LUT
+    precision highp sampler3D;
+    uniform sampler3D uLut;
+    uniform float uLutSize;
+    uniform vec3 uLutDomainMin;
+    uniform vec3 uLutDomainMax;
+#endif
+
+    varying vec2 vUv;
+
+    const float GOLDEN_ANGLE = 2.39996323;
+    const int BLUR_TAPS = 24;
+    // Flat-disc bokeh shows sparse sampling sooner than the Gaussian blur
+    const int BOKEH_TAPS = 32;
+
+    // Display uv (mirrored) → camera uv
+    vec2 videoUv(vec2 uv) {
+        vec2 cover = (uv - 0.5) * uVideoScale + 0.5;
+        return vec2(1.0 - cover.x, cover.y);
+    }
+
+    vec3 sampleVideo(vec2 uv) {
+        return texture2D(uVideo, videoUv(uv)).rgb;
+    }
+
+    // three.js ACESFilmicToneMapping (render targets skip the renderer's tone mapping)
+    vec3 RRTAndODTFit(vec3 v) {
+        vec3 a = v * (v + 0.0245786) - 0.000090537;
+        vec3 b = v * (0.983729 * v + 0.4329510) + 0.238081;
+        return a / b;
+    }
+
+    vec3 toneMap(vec3 color) {
+        const mat3 inputMat = mat3(
+            vec3(0.59719, 0.07600, 0.02840),
+            vec3(0.35458, 0.90834, 0.13383),
+            vec3(0.04823, 0.01566, 0.83777)
+        );
+        const mat3 outputMat = mat3(
+            vec3(1.60475, -0.10208, -0.00327),
+            vec3(-0.53108, 1.10813, -0.07276),
+            vec3(-0.07367, -0.00605, 1.07602)
+        );
+        color *= uExposure / 0.6;
+        color = outputMat * RRTAndODTFit(inputMat * color);
+        return clamp(color, 0.0, 1.0);
+    }
+
+    vec3 linearToSRGB(vec3 color) {
+        return mix(
+            pow(color, vec3(0.41666)) * 1.055 - vec3(0.055),
+            color * 12.92,
+            vec3(lessThanEqual(color, vec3(0.0031308)))
+        );
+    }
+
+    // Virtual background at a display uv (3D scenes arrive linear and get encoded here)
+    vec3 sampleBackground(vec2 uv) {
+        vec3 color = texture2D(uBackground, (uv - 0.5) * uBackgroundScale + uBackgroundCenter).rgb;
+        if (uBackgroundLinear > 0.5) {
+            color = linearToSRGB(uBackgroundToneMap > 0.5 ? toneMap(color) : clamp(color, 0.0, 1.0));
+        }
+        return color;
+    }
+
+    // Gaussian-weighted disc (sigma = radius / 2, like CSS blur())
+    vec3 blurVideo(vec2 uv, float radius) {
+        vec2 pixel = 1.0 / uViewSize;
+        vec3 sum = sampleVideo(uv);
+        float total = 1.0;
+
+        for (int i = 1; i <= BLUR_TAPS; i++) {
+            float r = sqrt(float(i) / float(BLUR_TAPS));
+            float theta = float(i) * GOLDEN_ANGLE;
+            vec2 offset = vec2(cos(theta), sin(theta)) * r * radius * 2.0 * pixel;
+            float weight = exp(-2.0 * r * r);
+            sum += sampleVideo(uv + offset) * weight;
+            total += weight;
+        }
+        return sum / total;
+    }
+
+    // Display uv → mask uv (the mask is already in display orientation)
+    vec2 maskUv(vec2 uv) {
+        return (uv - 0.5) * uVideoScale + 0.5;
+    }
+
+    // Mask in display orientation, feathered to hide the model's blocky edge
+    float sampleMask(vec2 uv) {
+        vec2 cover = maskUv(uv);
+        vec2 pixel = uMaskBlur / uViewSize * uVideoScale;
+
+        float sum = texture2D(uMask, cover).a * 4.0;
+        sum += texture2D(uMask, cover + vec2(pixel.x, 0.0)).a * 2.0;
+        sum += texture2D(uMask, cover - vec2(pixel.x, 0.0)).a * 2.0;
+        sum += texture2D(uMask, cover + vec2(0.0, pixel.y)).a * 2.0;
+        sum += texture2D(uMask, cover - vec2(0.0, pixel.y)).a * 2.0;
+        sum += texture2D(uMask, cover + pixel).a;
+        sum += texture2D(uMask, cover - pixel).a;
+        sum += texture2D(uMask, cover + vec2(pixel.x, -pixel.y)).a;
+        sum += texture2D(uMask, cover + vec2(-pixel.x, pixel.y)).a;
+        return sum / 16.0;
+    }
+
+    // Remove the key color cast from green screen spill, keeping luma
+    vec3 despill(vec3 color) {
+        float y = dot(color, vec3(0.299, 0.587, 0.114));
+        vec2 cbcr = vec2((color.b - y) * 0.564, (color.r - y) * 0.713);
+        cbcr -= uKeyChroma * max(dot(cbcr, uKeyChroma), 0.0) * uSpill;
+
+        float r = y + cbcr.y / 0.713;
+        float b = y + cbcr.x / 0.564;
+        return clamp(vec3(r, (y - 0.299 * r - 0.114 * b) / 0.587, b), 0.0, 1.0);
+    }
+
+    // Camera color just outside the person, to take back out of edge pixels
+    vec3 roomColor(vec2 uv, vec3 fallback) {
+        vec2 pixel = 8.0 / uViewSize;
+        vec3 sum = vec3(0.0);
+        float total = 0.0;
+
+        for (int i = 0; i < 8; i++) {
+            float angle = float(i) * 0.78539816;
+            vec2 tap = uv + vec2(cos(angle), sin(angle)) * pixel;
+            float weight = 1.0 - texture2D(uMask, maskUv(tap)).a;
+            sum += sampleVideo(tap) * weight;
+            total += weight;
+        }
+        return total > 0.001 ? sum / total : fallback;
+    }
+
+    // New background around this pixel (rgb) and how much of the ring is background (a)
+    vec4 wrapLight(vec2 uv) {
+        vec2 pixel = 12.0 / uViewSize;
+        vec3 sum = vec3(0.0);
+        float outside = 0.0;
+
+        for (int i = 0; i < 8; i++) {
+            float angle = float(i) * 0.78539816;
+            vec2 tap = uv + vec2(cos(angle), sin(angle)) * pixel;
+            sum += sampleBackground(tap);
+            outside += 1.0 - texture2D(uMask, maskUv(tap)).a;
+        }
+        return vec4(sum / 8.0, outside / 8.0);
+    }
+
+    // Lens-style blur of the background only: flat disc weights, and taps that
+    // land on the person are left out so they don't halo into the blur
+    vec3 blurBackground(vec2 uv, float radius) {
+        vec2 pixel = 1.0 / uViewSize;
+        float centerWeight = 1.0 - texture2D(uMask, maskUv(uv)).a;
+        vec3 sum = sampleVideo(uv) * centerWeight;
+        float total = centerWeight;
+
+        for (int i = 1; i <= BOKEH_TAPS; i++) {
+            float r = sqrt(float(i) / float(BOKEH_TAPS));
+            float theta = float(i) * GOLDEN_ANGLE;
+            vec2 tap = uv + vec2(cos(theta), sin(theta)) * r * radius * pixel;
+            float weight = 1.0 - texture2D(uMask, maskUv(tap)).a;
+            sum += sampleVideo(tap) * weight;
+            total += weight;
+        }
+
+        // Deep inside the person there's no background to blur (hidden by the mix anyway)
+        return total > 0.001 ? sum / total : sampleVideo(uv);
+    }
+
+#ifdef USE_LUT
+    vec3 applyLut(vec3 color) {
+        vec3 uvw = clamp((color - uLutDomainMin) / (uLutDomainMax - uLutDomainMin), 0.0, 1.0);
+        // Sample texel centers so the domain ends hit the first/last table entries
+        uvw = uvw * ((uLutSize - 1.0) / uLutSize) + 0.5 / uLutSize;
+        return texture(uLut, uvw).rgb;
+    }
+#endif
+
+    float vignetteAlpha(vec2 uv) {
+        float radius = uVignette.x * max(uViewSize.x, uViewSize.y);
+        float start = uVignette.y * radius;
+        float d = length((uv - 0.5) * uViewSize);
+        float t = clamp((d - start) / max(radius - start, 0.0001), 0.0, 1.0);
+
+        if (t < uVignette.z) {
+            return mix(0.0, uVignette.w, t / uVignette.z);
+        }
+        return mix(uVignette.w, uVignetteAlpha, (t - uVignette.z) / max(1.0 - uVignette.z, 0.0001));
+    }
+
+    void main() {
+        // --- Camera / background layer ---
+        vec3 color = vec3(0.0);
+
+        if (uVideoReady > 0.5) {
+            color = uBlur > 0.0 ? blurVideo(vUv, uBlur) : sampleVideo(vUv);
+
+            if (uBokeh > 0.0) {
+                color = mix(blurBackground(vUv, uBokeh), color, sampleMask(vUv));
+            }
+        }
+
+        if (uUseMask > 0.5) {
+            vec3 background = sampleBackground(vUv);
+            float alpha = sampleMask(vUv);
+            vec3 person = color;
+
+            if (alpha > 0.01) {
+                if (uSpill > 0.0) {
+                    person = despill(person);
+                }
+                // Edge pixels are partly the real room - take its share back out
+                if (alpha < 0.99) {
+                    vec3 room = roomColor(vUv, color);
+                    person = clamp((color - (1.0 - alpha) * room) / max(alpha, 0.25), 0.0, 1.0);
+                }
+                if (uLightWrap > 0.0) {
+                    vec4 wrap = wrapLight(vUv);
+                    person = mix(person, wrap.rgb, wrap.a * uLightWrap);
+                }
+            }
+
+            color = mix(background, person, alpha);
+        }
+
+        // --- Background effect overlays ---
+        color = mix(color, uTint.rgb, uTint.a);
+        if (uVignette.x > 0.0) {
+            color = mix(color, vec3(0.0), vignetteAlpha(vUv));
+        }
+
+        // --- Character ---
+        vec4 character = texture2D(uCharacter, vUv);
+        if (character.a > 0.0) {
+            vec3 characterColor = linearToSRGB(toneMap(character.rgb / character.a));
+            color = mix(color, characterColor, character.a);
+        }
+
+        // --- Photo filter ---
+        vec3 filtered = clamp(uColorMatrix * color + uColorOffset, 0.0, 1.0);
+#ifdef USE_LUT
+        filtered = applyLut(filtered);
+#endif
+        color = mix(color, filtered, uFilterIntensity);
+
+        // --- Frame overlay ---
+        if (uUseOverlay > 0.5) {
+            vec4 overlay = texture2D(uOverlay, vUv);
+            color = mix(color, overlay.rgb, overlay.a);
+        }
+
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+class Compositor {
+    /**
+     * @param {ThreeRenderer} threeRenderer - Owns the WebGL renderer and character render target
+     * @param {HTMLVideoElement} videoElement - Camera video
+     * @param {EventEmitter} eventEmitter
+     * @param {FrameScheduler} scheduler
+     */
+    constructor(threeRenderer, videoElement, eventEmitter, scheduler) {
+        this.threeRenderer = threeRenderer;
+        this.video = videoElement;
+        this.events = eventEmitter;
+        this.scheduler = scheduler;
+
+        // Effect sources (set once MediaCapture / SegmentationManager exist)
+        this.backgroundEffects = null;
+        this.photoFilters = null;
+        this.frameOverlays = null;
+        this.segmentationManager = null;
+
+        // Last uploaded color matrix (only re-uploaded when the filter changes)
+        this.currentColorMatrix = null;
+
+        // LUT of the current filter (null until loaded)
+        this.currentLutUrl = null;
+        this.currentLut = null;
+
+        this.maskTexture = null;
+        this.backgroundTexture = null;
+        this.overlayTexture = null;
+        this.overlaySize = new THREE.Vector2();
+        this.removeFrameCallback = null;
+
+        // Refined mask (QualityController turns this off on slow devices)
+        this.maskRefinement = performanceConfig.getSettings().maskRefinement !== false;
+        // Set when the model delivers a mask, cleared once refined
+        this.maskFresh = false;
+
+        this.render = this.render.bind(this);
+        this.handleSegmentationUpdate = this.handleSegmentationUpdate.bind(this);
+        this.handleBackgroundChanged = this.handleBackgroundChanged.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * Create the full-screen pass
+     */
+    initialize() {
+        this.videoTexture = new THREE.VideoTexture(this.video);
+        this.videoTexture.minFilter = THREE.LinearFilter;
+        this.videoTexture.magFilter = THREE.LinearFilter;
+        this.videoTexture.generateMipmaps = false;
+
+        // 1x1 placeholders until a mask/background arrives
+        this.emptyTexture = new THREE.DataTexture(new Uint8Array([0, 0, 0, 0]), 1, 1);
+        this.emptyTexture.needsUpdate = true;
+
+        this.material = new THREE.ShaderMaterial({
+            vertexShader,
+            fragmentShader,
+            uniforms: {
+                uVideo: { value: this.videoTexture },
+                uVideoScale: { value: new THREE.Vector2(1, 1) },
+                uVideoReady: { value: 0 },
+                uMask: { value: this.emptyTexture },
+                uUseMask: { value: 0 },
+                uBackground: { value: this.emptyTexture },
+                uBackgroundScale: { value: new THREE.Vector2(1, 1) },
+                uBackgroundCenter: { value: new THREE.Vector2(0.5, 0.5) },
+                uBackgroundLinear: { value: 0 },
+                uBackgroundToneMap: { value: 0 },
+                uLightWrap: { value: 0.35 },
+                uKeyChroma: { value: new THREE.Vector2(0, 0) },
+                uSpill: { value: 0 },
+                uCharacter: { value: this.emptyTexture },
+                uExposure: { value: 1 },
+                uViewSize: { value: new THREE.Vector2(1, 1) },
+                uBlur: { value: 0 },
+                uBokeh: { value: 0 },
+                uMaskBlur: { value: 4 },
+                uTint: { value: new THREE.Vector4(0, 0, 0, 0) },
+                uVignette: { value: new THREE.Vector4(0, 0, 0, 0) },
+                uVignetteAlpha: { value: 0 },
+                uColorMatrix: { value: new THREE.Matrix3() },
+                uColorOffset: { value: new THREE.Vector3() },
+                uFilterIntensity: { value: 1 },
+                uLut: { value: null },
+                uLutSize: { value: 1 },
+                uLutDomainMin: { value: new THREE.Vector3(0, 0, 0) },
+                uLutDomainMax: { value: new THREE.Vector3(1, 1, 1) },
+                uOverlay: { value: this.emptyTexture },
+                uUseOverlay: { value: 0 }
+            },
+            defines: {},
+            depthTest: false,
+            depthWrite: false,
+            toneMapped: false
+        });
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.quad.frustumCulled = false;
+        this.scene.add(this.quad);
+
+        this.maskRefiner = new MaskRefiner(this.threeRenderer.renderer);
+
+        this.events.on('segmentationUpdate', this.handleSegmentationUpdate);
+        this.events.on('backgroundChanged', this.handleBackgroundChanged);
+
+        console.log('Compositor: Initialized');
+    }
+
+    /**
+     * Set where background effects and photo filters are read from
+     */
+    setEffects(backgroundEffects, photoFilters) {
+        this.backgroundEffects = backgroundEffects;
+        this.photoFilters = photoFilters;
+    }
+
+    /**
+     * Set where the frame overlay is read from
+     */
+    setFrameOverlays(frameOverlays) {
+        this.frameOverlays = frameOverlays;
+    }
+
+    /**
+     * Set the segmentation manager (virtual backgrounds)
+     */
+    setSegmentationManager(segmentationManager) {
+        this.segmentationManager = segmentationManager;
+    }
+
+    /**
+     * Start compositing once per scheduler frame
+     */
+    start() {
+        if (this.removeFrameCallback) return;
+        this.removeFrameCallback = this.scheduler.add('composite', this.render);
+    }
+
+    /**
+     * Stop compositing
+     */
+    stop() {
+        if (this.removeFrameCallback) {
+            this.removeFrameCallback();
+            this.removeFrameCallback = null;
+        }
+    }
+
+    /**
+     * Upload the new mask (recreated when the video size changes)
+     */
+    handleSegmentationUpdate({ mask, width, height }) {
+        if (!this.maskTexture || this.maskTexture.image !== mask ||
+            this.maskTexture.userData.width !== width || this.maskTexture.userData.height !== height) {
+            if (this.maskTexture) this.maskTexture.dispose();
+
+            this.maskTexture = new THREE.CanvasTexture(mask);
+            this.maskTexture.generateMipmaps = false;
+            this.maskTexture.minFilter = THREE.LinearFilter;
+            this.maskTexture.userData = { width, height };
+            this.maskRefiner.reset();
+        }
+        this.maskTexture.needsUpdate = true;
+        this.maskFresh = true;
+    }
+
+    /**
+     * Turn mask refinement on/off (QualityController)
+     * @param {boolean} enabled
+     */
+    setMaskRefinement(enabled) {
+        this.maskRefinement = enabled;
+        this.maskRefiner.reset();
+    }
+
+    /**
+     * Swap the background texture
+     */
+    handleBackgroundChanged({ enabled, image }) {
+        if (this.backgroundTexture) {
+            this.backgroundTexture.dispose();
+            this.backgroundTexture = null;
+        }
+        if (this.maskTexture) {
+            this.maskTexture.dispose();
+            this.maskTexture = null;
+        }
+        this.maskRefiner.reset();
+
+        if (!enabled || !image) return;
+
+        this.backgroundTexture = image instanceof HTMLVideoElement
+            ? new THREE.VideoTexture(image)
+            : new THREE.Texture(image);
+        this.backgroundTexture.generateMipmaps = false;
+        this.backgroundTexture.minFilter = THREE.LinearFilter;
+        this.backgroundTexture.needsUpdate = true;
+    }
+
+    /**
+     * Scale that cover-fits a source into the view (display uv → source uv)
+     */
+    coverScale(target, sourceWidth, sourceHeight, viewWidth, viewHeight) {
+        const sourceAspect = sourceWidth / sourceHeight;
+        const viewAspect = viewWidth / viewHeight;
+
+        if (sourceAspect > viewAspect) {
+            target.set(viewAspect / sourceAspect, 1);
+        } else {
+            target.set(1, sourceAspect / viewAspect);
+        }
+    }
+
+    /**
+     * Point uMask at this frame's mask - refined, or the raw model output
+     */
+    updateMask() {
+        const uniforms = this.material.uniforms;
+
+        if (this.maskRefinement) {
+            uniforms.uMask.value = this.maskRefiner.update(
+                this.maskTexture, this.videoTexture,
+                this.video.videoWidth, this.video.videoHeight,
+                this.maskFresh
+            );
+            // Already edge-aligned - only soften the last pixel
+            uniforms.uMaskBlur.value = 1.5;
+        } else {
+            uniforms.uMask.value = this.maskTexture;
+            uniforms.uMaskBlur.value = 4;
+        }
+        this.maskFresh = false;
+    }
+
+    /**
+     * Zoom into the cover-fit background and pan within the cropped-off part
+     * @param {Object} fit - { zoom, x, y } (x/y 0-1 like CSS object-position)
+     */
+    applyBackgroundFit({ zoom, x, y }) {
+        const uniforms = this.material.uniforms;
+        const scale = uniforms.uBackgroundScale.value.divideScalar(zoom);
+
+        // Texture uv has y up, the fit's y goes down
+        uniforms.uBackgroundCenter.value.set(
+            0.5 + (x - 0.5) * (1 - scale.x),
+            0.5 - (y - 0.5) * (1 - scale.y)
+        );
+    }
+
+    /**
+     * Update uniforms from the current effects and sources
+     */
+    updateUniforms() {
+        const uniforms = this.material.uniforms;
+        const renderer = this.threeRenderer.renderer;
+        const size = renderer.getSize(uniforms.uViewSize.value);
+
+        // Camera
+        const videoReady = this.video.readyState >= 2 && this.video.videoWidth > 0;
+        uniforms.uVideoReady.value = videoReady ? 1 : 0;
+        if (videoReady) {
+            this.coverScale(uniforms.uVideoScale.value, this.video.videoWidth, this.video.videoHeight, size.x, size.y);
+        }
+
+        // Virtual background
+        const segmentation = this.segmentationManager;
+        const maskReady = !!(segmentation && segmentation.isMaskReady() && this.maskTexture);
+        const sceneBackground = this.threeRenderer.sceneBackground;
+        const sceneReady = sceneBackground.isReady();
+        const useMask = maskReady && segmentation.isEnabled() && (!!this.backgroundTexture || sceneReady);
+        uniforms.uUseMask.value = useMask ? 1 : 0;
+        uniforms.uBackgroundLinear.value = 0;
+        if (maskReady) {
+            this.updateMask();
+        }
+        if (useMask && sceneReady) {
+            // Rendered at the view's size - no fit needed
+            uniforms.uBackground.value = sceneBackground.getTexture();
+            uniforms.uBackgroundScale.value.set(1, 1);
+            uniforms.uBackgroundCenter.value.set(0.5, 0.5);
+            uniforms.uBackgroundLinear.value = 1;
+            uniforms.uBackgroundToneMap.value = sceneBackground.isToneMapped() ? 1 : 0;
+        } else if (useMask) {
+            const image = this.backgroundTexture.image;
+            uniforms.uBackground.value = this.backgroundTexture;
+            this.coverScale(
+                uniforms.uBackgroundScale.value,
+                image.videoWidth || image.width, image.videoHeight || image.height,
+                size.x, size.y
+            );
+            this.applyBackgroundFit(segmentation.getBackgroundFit());
+        }
+        // Green screen spill (the key color cast on the person)
+        const keying = useMask && segmentation.isChromaKey();
+        uniforms.uSpill.value = keying ? segmentation.getChromaKey().spill : 0;
+        if (keying) {
+            uniforms.uKeyChroma.value.fromArray(segmentation.getKeyChroma()).normalize();
+        }
+
+        // Background effect
+        const effect = this.backgroundEffects ? this.backgroundEffects.getEffectParams() : {};
+        uniforms.uBlur.value = effect.blur || 0;
+        // Portrait blur waits for the first mask rather than blurring the person
+        uniforms.uBokeh.value = maskReady && effect.bokeh ? effect.bokeh : 0;
+        if (effect.tint) {
+            uniforms.uTint.value.fromArray(effect.tint);
+        } else {
+            uniforms.uTint.value.set(0, 0, 0, 0);
+        }
+        if (effect.vignette) {
+            const { radius, inner, stops } = effect.vignette;
+            uniforms.uVignette.value.set(radius, inner, stops[0][0], stops[0][1]);
+            uniforms.uVignetteAlpha.value = stops[stops.length - 1][1];
+        } else {
+            uniforms.uVignette.value.set(0, 0, 0, 0);
+        }
+
+        // Photo filter (identity until effects are attached)
+        const colorMatrix = this.photoFilters ? this.photoFilters.getColorMatrix() : null;
+        if (colorMatrix !== this.currentColorMatrix) {
+            if (colorMatrix) {
+                uniforms.uColorMatrix.value.set(...colorMatrix.matrix);
+                uniforms.uColorOffset.value.fromArray(colorMatrix.offset);
+            }
+            this.currentColorMatrix = colorMatrix;
+        }
+        uniforms.uFilterIntensity.value = this.photoFilters ? this.photoFilters.getIntensity() : 1;
+        this.updateLut(this.photoFilters ? this.photoFilters.getLut() : null);
+
+        // Character
+        uniforms.uCharacter.value = this.threeRenderer.getCharacterTexture();
+        uniforms.uExposure.value = renderer.toneMappingExposure;
+
+        this.updateOverlay();
+    }
+
+    /**
+     * Re-upload the frame overlay when it was redrawn
+     * Drawn at the canvas's pixel size so logos and text stay sharp in captures.
+     */
+    updateOverlay() {
+        const uniforms = this.material.uniforms;
+        const active = !!(this.frameOverlays && this.frameOverlays.isActive());
+        uniforms.uUseOverlay.value = active ? 1 : 0;
+        if (!active) return;
+
+        const canvas = this.frameOverlays.getCanvas();
+        const size = this.threeRenderer.renderer.getDrawingBufferSize(this.overlaySize);
+        const resized = canvas.width !== size.x || canvas.height !== size.y;
+        if (!this.frameOverlays.update(size.x, size.y) && this.overlayTexture) return;
+
+        // Recreated on resize (texture storage is allocated once per size)
+        if (this.overlayTexture && resized) {
+            this.overlayTexture.dispose();
+            this.overlayTexture = null;
+        }
+        if (!this.overlayTexture) {
+            this.overlayTexture = new THREE.CanvasTexture(canvas);
+            this.overlayTexture.generateMipmaps = false;
+            this.overlayTexture.minFilter = THREE.LinearFilter;
+            uniforms.uOverlay.value = this.overlayTexture;
+        }
+        this.overlayTexture.needsUpdate = true;
+    }
+
+    /**
+     * Follow the current filter's LUT
+     * Loads in the background; the frame is drawn without the LUT until it's ready.
+     * @param {string|null} url
+     */
+    updateLut(url) {
+        if (url !== this.currentLutUrl) {
+            this.currentLutUrl = url;
+            this.currentLut = null;
+
+            if (url && !this.threeRenderer.renderer.capabilities.isWebGL2) {
+                console.warn('Compositor: LUT filters need WebGL2, skipping', url);
+            } else if (url) {
+                loadLut(url)
+                    .then((lut) => {
+                        // Ignore if the filter changed while loading
+                        if (this.currentLutUrl === url) this.currentLut = lut;
+                    })
+                    .catch((error) => console.error('Compositor: Failed to load LUT', error));
+            }
+        }
+
+        const lut = this.currentLut;
+        const uniforms = this.material.uniforms;
+        if (lut) {
+            uniforms.uLut.value = lut.texture;
+            uniforms.uLutSize.value = lut.size;
+            uniforms.uLutDomainMin.value.fromArray(lut.domainMin);
+            uniforms.uLutDomainMax.value.fromArray(lut.domainMax);
+        }
+
+        // Toggling the define recompiles, so it only happens on filter changes
+        if (!!lut !== !!this.material.defines.USE_LUT) {
+            if (lut) {
+                this.material.defines.USE_LUT = '';
+            } else {
+                delete this.material.defines.USE_LUT;
+            }
+            this.material.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Draw the final frame to the canvas
+     */
+    render() {
+        this.updateUniforms();
+
+        const renderer = this.threeRenderer.renderer;
+        renderer.setRenderTarget(null);
+        renderer.render(this.scene, this.camera);
+    }
+
+    /**
+     * Release GPU resources
+     */
+    dispose() {
+        this.stop();
+        this.events.off('segmentationUpdate', this.handleSegmentationUpdate);
+        this.events.off('backgroundChanged', this.handleBackgroundChanged);
+
+        this.videoTexture.dispose();
+        this.emptyTexture.dispose();
+        if (this.maskTexture) this.maskTexture.dispose();
+        if (this.backgroundTexture) this.backgroundTexture.dispose();
+        if (this.overlayTexture) this.overlayTexture.dispose();
+        this.maskRefiner.dispose();
+        this.quad.geometry.dispose();
+        this.material.dispose();
+
+        console.log('Compositor: Disposed');
+    }
+}
+
+export default Compositor;
@@ -0,0 +1,253 @@
+/**
+ * ExpressionCalibrator - Guided per-user expression calibration
+ *
+ * Walks the user through a short sequence (neutral face, open mouth, raise
+ * brows), samples landmarks from faceTracked events and hands the
+ * measurements to BlendshapeMapper.calibrate(). The resulting baseline and
+ * ranges are applied immediately and saved to localStorage so returning
+ * users skip straight to a calibrated face.
+ */
+
+const STORAGE_KEY = 'beastside-filters:expression-calibration';
+const STORAGE_VERSION = 1;
+
+class ExpressionCalibrator {
+    constructor(containerElement, eventEmitter, blendshapeMapper) {
+        this.container = containerElement;
+        this.events = eventEmitter;
+        this.blendshapeMapper = blendshapeMapper;
+
+        this.overlay = null;
+        this.isRunning = false;
+
+        // Guided steps - each waits `settle` ms for the user to get into the pose,
+        // then collects samples for `sample` ms
+        this.steps = [
+            { id: 'neutral', prompt: 'Relax your face and look at the camera', settle: 1200, sample: 1500 },
+            { id: 'mouthOpen', prompt: 'Open your mouth wide', settle: 1000, sample: 1200 },
+            { id: 'browRaise', prompt: 'Raise your eyebrows', settle: 1000, sample: 1200 }
+        ];
+
+        // Minimum face samples per step before it counts
+        this.minSamples = 8;
+
+        this.stepIndex = 0;
+        this.stepStartTime = 0;
+        this.samples = {};
+
+        this.handleFaceTracked = this.handleFaceTracked.bind(this);
+    }
+
+    /**
+     * Build the overlay and apply any saved calibration
+     */
+    initialize() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'calibration-overlay';
+        this.overlay.innerHTML = `
+            <div class="calibration-card" role="dialog" aria-live="polite">
+                <div class="calibration-step"></div>
+                <div class="calibration-prompt"></div>
+                <div class="calibration-progress"><div class="calibration-progress-bar"></div></div>
+                <button class="calibration-cancel">Skip</button>
+            </div>
+        `;
+
+        this.stepLabel = this.overlay.querySelector('.calibration-step');
+        this.promptLabel = this.overlay.querySelector('.calibration-prompt');
+        this.progressBar = this.overlay.querySelector('.calibration-progress-bar');
+
+        // Keep taps on the overlay from reaching swipe/shortcut handlers
+        ['touchstart', 'touchmove', 'touchend', 'mousedown', 'mouseup', 'click'].forEach(type => {
+            this.overlay.addEventListener(type, (e) => e.stopPropagation());
+        });
+        this.overlay.querySelector('.calibration-cancel').addEventListener('click', () => this.cancel());
+
+        this.container.querySelector('.filter-container').appendChild(this.overlay);
+
+        this.loadSaved();
+    }
+
+    /**
+     * Apply calibration saved from a previous session
+     * @returns {boolean} Whether a saved calibration was applied
+     */
+    loadSaved() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (!saved || saved.version !== STORAGE_VERSION) return false;
+
+            this.blendshapeMapper.applyTuning(saved.tuning);
+            console.log('ExpressionCalibrator: Applied saved calibration from', new Date(saved.timestamp).toLocaleString());
+            return true;
+        } catch (error) {
+            // Storage unavailable (private mode) or corrupt entry - run uncalibrated
+            console.warn('ExpressionCalibrator: Could not load saved calibration', error);
+            return false;
+        }
+    }
+
+    /**
+     * Persist calibration for the next session
+     */
+    save(tuning) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                version: STORAGE_VERSION,
+                timestamp: Date.now(),
+                tuning
+            }));
+        } catch (error) {
+            console.warn('ExpressionCalibrator: Could not save calibration', error);
+        }
+    }
+
+    /**
+     * Forget the saved calibration
+     */
+    clearSaved() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.warn('ExpressionCalibrator: Could not clear calibration', error);
+        }
+    }
+
+    /**
+     * Start the guided calibration
+     */
+    start() {
+        if (this.isRunning) return;
+
+        console.log('ExpressionCalibrator: Starting calibration');
+        this.isRunning = true;
+        this.samples = {};
+        this.overlay.classList.add('active');
+        this.startStep(0);
+
+        this.events.on('faceTracked', this.handleFaceTracked);
+        this.events.emit('calibrationStarted');
+    }
+
+    /**
+     * Begin a step
+     */
+    startStep(index) {
+        const step = this.steps[index];
+
+        this.stepIndex = index;
+        this.stepStartTime = performance.now();
+        this.samples[step.id] = [];
+
+        this.stepLabel.textContent = `Calibrating ${index + 1} / ${this.steps.length}`;
+        this.promptLabel.textContent = step.prompt;
+        this.progressBar.style.width = '0%';
+    }
+
+    /**
+     * Collect samples for the current step
+     */
+    handleFaceTracked(data) {
+        if (!this.isRunning) return;
+
+        const step = this.steps[this.stepIndex];
+        const elapsed = performance.now() - this.stepStartTime;
+
+        // Still getting into position
+        if (elapsed < step.settle) return;
+
+        const measurement = this.blendshapeMapper.measure(data.landmarks);
+        if (measurement) {
+            this.samples[step.id].push(measurement);
+        }
+
+        const progress = Math.min((elapsed - step.settle) / step.sample, 1);
+        this.progressBar.style.width = `${Math.round(progress * 100)}%`;
+
+        if (progress < 1) return;
+
+        // Face was lost for most of the window - restart this step
+        if (this.samples[step.id].length < this.minSamples) {
+            console.warn(`ExpressionCalibrator: Not enough samples for ${step.id}, retrying`);
+            this.startStep(this.stepIndex);
+            return;
+        }
+
+        if (this.stepIndex < this.steps.length - 1) {
+            this.startStep(this.stepIndex + 1);
+        } else {
+            this.finish();
+        }
+    }
+
+    /**
+     * Compute, apply and persist the calibration
+     */
+    finish() {
+        // Median for the resting pose, upper percentile for the extremes
+        // (users rarely hold the peak for the whole window)
+        const neutral = this.aggregate(this.samples.neutral, 0.5);
+        const mouthOpen = this.aggregate(this.samples.mouthOpen, 0.9);
+        const browRaise = this.aggregate(this.samples.browRaise, 0.9);
+
+        const tuning = this.blendshapeMapper.calibrate(neutral, mouthOpen, browRaise);
+        this.blendshapeMapper.applyTuning(tuning);
+        this.save(tuning);
+
+        console.log('ExpressionCalibrator: Calibration complete', tuning);
+        this.stop();
+        this.events.emit('calibrationComplete', { tuning });
+    }
+
+    /**
+     * Abort without changing the current calibration
+     */
+    cancel() {
+        if (!this.isRunning) return;
+
+        console.log('ExpressionCalibrator: Calibration cancelled');
+        this.stop();
+        this.events.emit('calibrationCancelled');
+    }
+
+    /**
+     * Hide the overlay and stop sampling
+     */
+    stop() {
+        this.isRunning = false;
+        this.events.off('faceTracked', this.handleFaceTracked);
+        this.overlay.classList.remove('active');
+    }
+
+    /**
+     * Reduce samples to one measurement (per-key percentile)
+     * @param {Array<Object>} samples - Measurements from BlendshapeMapper.measure()
+     * @param {number} percentile - 0-1
+     */
+    aggregate(samples, percentile) {
+        if (!samples || samples.length === 0) return null;
+
+        const result = {};
+        Object.keys(samples[0]).forEach(key => {
+            const values = samples.map(sample => sample[key]).sort((a, b) => a - b);
+            result[key] = values[Math.min(Math.floor(values.length * percentile), values.length - 1)];
+        });
+        return result;
+    }
+
+    /**
+     * Remove the overlay and listeners
+     */
+    dispose() {
+        if (this.isRunning) {
+            this.stop();
+        }
+
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
+
+export default ExpressionCalibrator;
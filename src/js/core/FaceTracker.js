@@ -1,24 +1,66 @@
 /**
- * FaceTracker - MediaPipe Face Mesh integration
+ * FaceTracker - MediaPipe face tracking integration
  *
  * Processes video frames to detect face landmarks and calculate blendshapes.
  * Emits events with face tracking data for other modules to consume.
  *
- * Note: MediaPipe is loaded from CDN in index.html and adds FaceMesh to window
+ * Two backends, selectable at runtime (?tracker=tasks or beastsideFiltersConfig.tracker):
+ * - 'facemesh': legacy Face Mesh, blendshapes derived by BlendshapeMapper
+ * - 'tasks': MediaPipe Tasks FaceLandmarker, model-predicted blendshapes and
+ *   facial transformation matrix (heuristic blendshapes available for A/B
+ *   with ?blendshapes=heuristic)
+ * - 'worker': FaceLandmarker running in a Web Worker (see VisionWorker)
+ *
+ * Both emit the same faceTracked payload.
+ *
+ * Note: Face Mesh is loaded from CDN in index.html and adds FaceMesh to window.
+ * Tasks Vision is an ES module, imported from CDN on demand.
  */
 
 import BlendshapeMapper from '../utils/BlendshapeMapper.js';
+import HeadPoseSolver from '../utils/HeadPoseSolver.js';
+import SmoothingPipeline from '../utils/SmoothingPipeline.js';
+
+const TASKS_VISION_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14';
+const FACE_LANDMARKER_MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task';
+
+export const TRACKER_BACKENDS = ['facemesh', 'tasks', 'worker'];
+export const BLENDSHAPE_SOURCES = ['native', 'heuristic'];
 
 class FaceTracker {
-    constructor(videoElement, eventEmitter) {
+    constructor(videoElement, eventEmitter, options = {}) {
         this.videoElement = videoElement;
         this.eventEmitter = eventEmitter;
 
+        const settings = { ...FaceTracker.getRequestedSettings(), ...options };
+        this.backend = TRACKER_BACKENDS.includes(settings.backend) ? settings.backend : 'facemesh';
+        // Only used by the FaceLandmarker backends ('facemesh' is always heuristic)
+        this.blendshapeSource = BLENDSHAPE_SOURCES.includes(settings.blendshapeSource) ? settings.blendshapeSource : 'native';
+
+        // Drives processFrame() in the 'track' phase
+        this.scheduler = settings.scheduler;
+        this.removeFrameCallback = null;
+        this.frameInProgress = null;
+        this.processFrame = this.processFrame.bind(this);
+
         this.faceMesh = null;
+        this.faceLandmarker = null;
+        // Shared with SegmentationManager, owned by FilterApp ('worker' backend only)
+        this.visionWorker = settings.visionWorker || null;
         this.blendshapeMapper = new BlendshapeMapper();
+        this.headPoseSolver = new HeadPoseSolver();
+
+        // Light landmark smoothing before pose/blendshape calculation
+        // (pose and expressions get their own filters in CharacterManager)
+        this.smoothing = new SmoothingPipeline({
+            landmarks: { minCutoff: 3.0, beta: 20.0, dCutoff: 1.0, ...settings.landmarkSmoothing }
+        });
         this.isInitialized = false;
         this.isTracking = false;
 
+        // Last video time sent to FaceLandmarker (skip duplicate frames)
+        this.lastVideoTime = -1;
+
         // Performance tracking
         this.lastFrameTime = 0;
         this.frameCount = 0;
@@ -30,10 +72,111 @@ class FaceTracker {
         this.currentBlendshapes = null;
     }
 
+    /**
+     * Read backend selection from the URL or WordPress config
+     * @returns {Object} { backend?, blendshapeSource? }
+     */
+    static getRequestedSettings() {
+        if (typeof window === 'undefined') return {};
+
+        const params = new URLSearchParams(window.location.search);
+        const config = window.beastsideFiltersConfig || {};
+
+        return {
+            backend: params.get('tracker') || config.tracker,
+            blendshapeSource: params.get('blendshapes') || config.blendshapeSource
+        };
+    }
+
+    /**
+     * Initialize the selected backend
+     * Falls back to Face Mesh if FaceLandmarker can't be loaded
+     * @param {Object} [options]
+     * @param {boolean} [options.fallback=true] - Reject instead of falling back to Face Mesh
+     */
+    async initialize({ fallback = true } = {}) {
+        if (this.backend === 'worker') {
+            try {
+                await this.initializeWorker();
+                return;
+            } catch (error) {
+                if (!fallback) throw error;
+                console.error('FaceTracker: Vision worker failed to load - face tracking falls back to Face Mesh on the main thread', error);
+                this.backend = 'facemesh';
+            }
+        }
+
+        if (this.backend === 'tasks') {
+            try {
+                await this.initializeFaceLandmarker();
+                return;
+            } catch (error) {
+                if (!fallback) throw error;
+                console.warn('FaceTracker: FaceLandmarker unavailable, falling back to Face Mesh', error);
+                this.backend = 'facemesh';
+            }
+        }
+
+        await this.initializeFaceMesh();
+    }
+
+    /**
+     * Initialize FaceLandmarker in the vision worker
+     */
+    async initializeWorker() {
+        if (!this.visionWorker) {
+            throw new Error('Vision worker not supported in this browser');
+        }
+
+        console.log('FaceTracker: Initializing FaceLandmarker in worker...');
+        await this.visionWorker.load('face');
+
+        this.visionWorker.setHandler('face', (face) => {
+            if (!this.isTracking) return;
+
+            if (face) {
+                this.handleFace(face.landmarks, face.blendshapes, face.matrix);
+            } else {
+                this.handleNoFace();
+            }
+        });
+
+        this.isInitialized = true;
+        console.log('FaceTracker: Worker initialized successfully');
+    }
+
+    /**
+     * Initialize MediaPipe Tasks FaceLandmarker
+     */
+    async initializeFaceLandmarker() {
+        console.log('FaceTracker: Initializing MediaPipe FaceLandmarker...');
+
+        const { FaceLandmarker, FilesetResolver } = await import(/* @vite-ignore */ `${TASKS_VISION_URL}/vision_bundle.mjs`);
+        const fileset = await FilesetResolver.forVisionTasks(`${TASKS_VISION_URL}/wasm`);
+
+        this.faceLandmarker = await FaceLandmarker.createFromOptions(fileset, {
+            baseOptions: {
+                modelAssetPath: FACE_LANDMARKER_MODEL_URL,
+                delegate: 'GPU'
+            },
+            runningMode: 'VIDEO',
+            numFaces: 1,                                // Track single face for performance
+            outputFaceBlendshapes: true,
+            outputFacialTransformationMatrixes: true,
+            minFaceDetectionConfidence: 0.5,            // Same thresholds as Face Mesh
+            minFacePresenceConfidence: 0.5,
+            minTrackingConfidence: 0.5
+        });
+
+        this.lastVideoTime = -1;
+        this.isInitialized = true;
+        console.log('FaceTracker: FaceLandmarker initialized successfully');
+    }
+
     /**
      * Initialize MediaPipe Face Mesh
      */
-    async initialize() {
+    async initializeFaceMesh() {
         try {
             console.log('FaceTracker: Initializing MediaPipe Face Mesh...');
 
@@ -78,7 +221,17 @@ class FaceTracker {
 
         console.log('FaceTracker: Starting tracking...');
         this.isTracking = true;
-        this.processFrame();
+
+        // Worker backend is fed by VisionWorker's own 'track' callback
+        if (this.backend === 'worker') {
+            this.visionWorker.setActive('face', true);
+            this.visionWorker.start();
+            return;
+        }
+
+        if (!this.removeFrameCallback) {
+            this.removeFrameCallback = this.scheduler.add('track', this.processFrame);
+        }
     }
 
     /**
@@ -87,23 +240,133 @@ class FaceTracker {
     stop() {
         console.log('FaceTracker: Stopping tracking...');
         this.isTracking = false;
+
+        if (this.removeFrameCallback) {
+            this.removeFrameCallback();
+            this.removeFrameCallback = null;
+        }
+
+        if (this.backend === 'worker' && this.visionWorker) {
+            this.visionWorker.setActive('face', false);
+        }
     }
 
     /**
-     * Process video frame for face detection
+     * Switch tracker backend at runtime
+     * If the new backend can't load, the previous one is restored (and tracking
+     * restarted) before the promise rejects.
+     * @param {string} backend - 'facemesh', 'tasks' or 'worker'
+     * @returns {Promise<string>} The backend actually in use
      */
-    async processFrame() {
-        if (!this.isTracking || !this.videoElement.readyState >= 2) {
-            return;
+    async setBackend(backend) {
+        if (!TRACKER_BACKENDS.includes(backend) || backend === this.backend) {
+            return this.backend;
+        }
+
+        const previousBackend = this.backend;
+        const wasTracking = this.isTracking;
+        this.stop();
+        // Let an in-flight frame finish before closing its backend
+        if (this.frameInProgress) {
+            await this.frameInProgress;
         }
+        this.closeBackend();
 
+        // Keep the mapper's calibration, only drop per-frame state
+        this.backend = backend;
+        this.faceDetected = false;
+        this.currentLandmarks = null;
+        this.currentBlendshapes = null;
         try {
-            // Send frame to MediaPipe
-            await this.faceMesh.send({ image: this.videoElement });
+            await this.initialize({ fallback: false });
+        } catch (error) {
+            console.error(`FaceTracker: Could not switch to ${backend}, restoring ${previousBackend}`, error);
+            this.closeBackend();
+            this.backend = previousBackend;
+            try {
+                await this.initialize();
+                if (wasTracking) {
+                    await this.start();
+                }
+            } catch (restoreError) {
+                console.error(`FaceTracker: Could not restore ${previousBackend}`, restoreError);
+            }
+            throw error;
+        }
+
+        console.log(`FaceTracker: Backend switched to ${this.backend}`);
+        this.eventEmitter.emit('trackerBackendChanged', { backend: this.backend, blendshapeSource: this.getBlendshapeSource() });
+
+        if (wasTracking) {
+            await this.start();
+        }
+        return this.backend;
+    }
 
-            // Continue processing next frame
-            if (this.isTracking) {
-                requestAnimationFrame(() => this.processFrame());
+    /**
+     * Choose where blendshapes come from on the FaceLandmarker backends
+     * @param {string} source - 'native' (model-predicted) or 'heuristic' (BlendshapeMapper)
+     */
+    setBlendshapeSource(source) {
+        if (!BLENDSHAPE_SOURCES.includes(source)) return;
+
+        this.blendshapeSource = source;
+        console.log(`FaceTracker: Blendshape source set to ${source}`);
+        this.eventEmitter.emit('trackerBackendChanged', { backend: this.backend, blendshapeSource: this.getBlendshapeSource() });
+    }
+
+    /**
+     * Blendshape source currently in effect
+     */
+    getBlendshapeSource() {
+        return this.backend === 'facemesh' ? 'heuristic' : this.blendshapeSource;
+    }
+
+    /**
+     * Release the current backend's model
+     */
+    closeBackend() {
+        if (this.faceMesh) {
+            this.faceMesh.close();
+            this.faceMesh = null;
+        }
+        if (this.faceLandmarker) {
+            this.faceLandmarker.close();
+            this.faceLandmarker = null;
+        }
+        if (this.backend === 'worker' && this.visionWorker) {
+            this.visionWorker.setHandler('face', null);
+            this.visionWorker.unload('face');
+        }
+        this.isInitialized = false;
+    }
+
+    /**
+     * Process video frame for face detection (FrameScheduler 'track' phase)
+     * Resolves once faceTracked has been emitted for this frame.
+     * @param {Object} frame - Scheduler frame info
+     */
+    processFrame(frame) {
+        if (!this.isTracking || this.videoElement.readyState < 2 || !frame.isNewVideoFrame) {
+            return null;
+        }
+
+        this.frameInProgress = this.trackFrame().finally(() => {
+            this.frameInProgress = null;
+        });
+        return this.frameInProgress;
+    }
+
+    /**
+     * Send the current video frame to the active backend
+     */
+    async trackFrame() {
+        try {
+            // Send frame to MediaPipe
+            if (this.faceLandmarker) {
+                this.detectWithFaceLandmarker();
+            } else {
+                await this.faceMesh.send({ image: this.videoElement });
             }
         } catch (error) {
             console.error('FaceTracker: Frame processing error', error);
@@ -111,62 +374,118 @@ class FaceTracker {
     }
 
     /**
-     * Handle MediaPipe results
+     * Run FaceLandmarker on the current video frame (synchronous in VIDEO mode)
+     */
+    detectWithFaceLandmarker() {
+        // FaceLandmarker requires increasing timestamps - skip frames we've already seen
+        const videoTime = this.videoElement.currentTime;
+        if (videoTime === this.lastVideoTime) return;
+        this.lastVideoTime = videoTime;
+
+        const results = this.faceLandmarker.detectForVideo(this.videoElement, performance.now());
+
+        if (results.faceLandmarks && results.faceLandmarks.length > 0) {
+            const blendshapes = results.faceBlendshapes && results.faceBlendshapes[0];
+            const matrix = results.facialTransformationMatrixes && results.facialTransformationMatrixes[0];
+
+            this.handleFace(
+                results.faceLandmarks[0],
+                blendshapes ? this.convertNativeBlendshapes(blendshapes.categories) : null,
+                matrix ? Array.from(matrix.data) : null
+            );
+        } else {
+            this.handleNoFace();
+        }
+    }
+
+    /**
+     * Convert FaceLandmarker categories to the { name: score } shape used by BlendshapeMapper
+     * @param {Array} categories - [{ categoryName, score }]
+     */
+    convertNativeBlendshapes(categories) {
+        const blendshapes = {};
+        categories.forEach(({ categoryName, score }) => {
+            // '_neutral' is not an ARKit shape
+            if (categoryName.startsWith('_')) return;
+            blendshapes[categoryName] = score;
+        });
+        return blendshapes;
+    }
+
+    /**
+     * Handle Face Mesh results
      */
     onResults(results) {
+        if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
+            this.handleFace(results.multiFaceLandmarks[0]);
+        } else {
+            this.handleNoFace();
+        }
+    }
+
+    /**
+     * Emit tracking data for a detected face (shared by both backends)
+     * @param {Array} rawLandmarks - Normalized landmarks (468, or 478 with irises)
+     * @param {Object|null} nativeBlendshapes - Model-predicted blendshapes (FaceLandmarker only)
+     * @param {Array|null} matrix - Column-major 4x4 facial transformation matrix (FaceLandmarker only)
+     */
+    handleFace(rawLandmarks, nativeBlendshapes = null, matrix = null) {
         // Update FPS tracking
         this.updateFPS();
 
-        if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-            // Face detected
-            if (!this.faceDetected) {
-                this.faceDetected = true;
-                this.eventEmitter.emit('faceDetected', { detected: true });
-                console.log('FaceTracker: Face detected');
-            }
+        const timestamp = performance.now();
 
-            // Get landmarks (468 points)
-            this.currentLandmarks = results.multiFaceLandmarks[0];
+        if (!this.faceDetected) {
+            this.faceDetected = true;
+            this.eventEmitter.emit('faceDetected', { detected: true });
+            console.log('FaceTracker: Face detected');
+        }
 
-            // Calculate blendshapes
-            this.currentBlendshapes = this.blendshapeMapper.calculateBlendshapes(this.currentLandmarks);
+        const landmarks = this.smoothing.filterLandmarks('landmarks', rawLandmarks, timestamp);
+        this.currentLandmarks = landmarks;
 
-            // Calculate face position and rotation
-            const faceTransform = this.calculateFaceTransform(this.currentLandmarks);
+        // Native coefficients when available and selected, otherwise derive from landmarks
+        this.currentBlendshapes = nativeBlendshapes && this.blendshapeSource === 'native'
+            ? nativeBlendshapes
+            : this.blendshapeMapper.calculateBlendshapes(landmarks);
 
-            // Emit tracking data
-            this.eventEmitter.emit('faceTracked', {
-                landmarks: this.currentLandmarks,
-                blendshapes: this.currentBlendshapes,
-                transform: faceTransform,
-                fps: this.fps
-            });
-        } else {
-            // No face detected
-            if (this.faceDetected) {
-                this.faceDetected = false;
-                this.eventEmitter.emit('faceDetected', { detected: false });
-                console.log('FaceTracker: Face lost');
-            }
+        // Calculate face position and rotation
+        const faceTransform = this.calculateFaceTransform(landmarks, matrix);
+
+        // Emit tracking data
+        this.eventEmitter.emit('faceTracked', {
+            landmarks: this.currentLandmarks,
+            blendshapes: this.currentBlendshapes,
+            transform: faceTransform,
+            fps: this.fps,
+            timestamp
+        });
+    }
+
+    /**
+     * Handle a frame without a face
+     */
+    handleNoFace() {
+        this.updateFPS();
+
+        if (this.faceDetected) {
+            this.faceDetected = false;
+            this.headPoseSolver.reset();
+            this.smoothing.reset();
+            this.eventEmitter.emit('faceDetected', { detected: false });
+            console.log('FaceTracker: Face lost');
         }
     }
 
     /**
      * Calculate face position and rotation from landmarks
-     * Uses proper 3D head pose estimation from multiple landmark points
+     * Head pose is solved geometrically (see HeadPoseSolver); position and scale
+     * stay in normalized screen space for CharacterManager's screen mapping.
+     * @param {Array} landmarks - Normalized landmarks
+     * @param {Array|null} matrix - FaceLandmarker facial transformation matrix, if available
      */
-    calculateFaceTransform(landmarks) {
-        // Key landmarks for head pose estimation
-        const noseTip = landmarks[1];           // Nose tip
+    calculateFaceTransform(landmarks, matrix = null) {
         const noseBridge = landmarks[6];        // Between eyes
-        const chin = landmarks[152];            // Bottom of chin
-        const leftEyeOuter = landmarks[33];     // Left eye outer corner
-        const rightEyeOuter = landmarks[263];   // Right eye outer corner
-        const leftEyeInner = landmarks[133];    // Left eye inner corner
-        const rightEyeInner = landmarks[362];   // Right eye inner corner
-        const leftMouth = landmarks[61];        // Left mouth corner
-        const rightMouth = landmarks[291];      // Right mouth corner
-        const forehead = landmarks[10];         // Top of forehead
 
         // === FACE SCALE ===
         // Use face width (cheekbones) instead of eyes - more stable during blinks
@@ -194,42 +513,29 @@ class FaceTracker {
             z: zFromScale                      // Z from face scale (closer = positive)
         };
 
-        // === HEAD ROTATION ===
-
-        // YAW (left-right head turn)
-        // Calculate from the difference in Z depth between left and right side of face
-        const leftZ = (leftEyeOuter.z + leftEyeInner.z + leftMouth.z) / 3;
-        const rightZ = (rightEyeOuter.z + rightEyeInner.z + rightMouth.z) / 3;
-        const zDiff = leftZ - rightZ;
-        // Also use X position difference of nose relative to eye center
-        const eyeCenterX = (leftEyeOuter.x + rightEyeOuter.x) / 2;
-        const noseOffsetX = noseTip.x - eyeCenterX;
-        // Combine both signals for more accurate yaw (INVERTED for correct direction)
-        const yaw = -((zDiff * 4) + (noseOffsetX * 3));
-
-        // PITCH (up-down head tilt)
-        // Calculate from vertical relationship between forehead, nose, and chin
-        const foreheadToNoseY = noseBridge.y - forehead.y;
-        const noseToChinY = chin.y - noseBridge.y;
-        const verticalRatio = foreheadToNoseY / (noseToChinY + 0.001);
-        // Also use Z depth difference between nose tip and nose bridge
-        const noseZDiff = (noseTip.z || 0) - (noseBridge.z || 0);
-        // Combine signals (INVERTED for correct direction)
-        const pitch = -(((verticalRatio - 0.8) * 2) + (noseZDiff * 5));
-
-        // ROLL (head tilt - ear to shoulder)
-        // Calculate from angle of line between eyes
-        const rollAngle = Math.atan2(
-            rightEyeOuter.y - leftEyeOuter.y,
-            rightEyeOuter.x - leftEyeOuter.x
-        );
-        const roll = rollAngle;
-
-        return {
+        // === HEAD POSE ===
+        // Rotation quaternion + translation (cm) in camera space
+        const pose = matrix
+            ? this.headPoseSolver.fromMatrix(matrix)
+            : this.headPoseSolver.solveFromLandmarks(
+                landmarks,
+                this.videoElement.videoWidth || 640,
+                this.videoElement.videoHeight || 480
+            );
+
+        const transform = {
             position: faceCenter,
-            rotation: { pitch, yaw, roll },
-            scale
+            rotation: this.headPoseSolver.toEuler(pose.quaternion),
+            scale,
+            quaternion: pose.quaternion,
+            translation: pose.translation
         };
+
+        if (matrix) {
+            transform.matrix = matrix;
+        }
+
+        return transform;
     }
 
     /**
@@ -263,6 +569,8 @@ class FaceTracker {
     getTrackingState() {
         return {
             isTracking: this.isTracking,
+            backend: this.backend,
+            blendshapeSource: this.getBlendshapeSource(),
             faceDetected: this.faceDetected,
             fps: this.fps,
             landmarks: this.currentLandmarks,
@@ -9,16 +9,35 @@
 
 import CameraManager from './CameraManager.js';
 import ThreeRenderer from './ThreeRenderer.js';
+import Compositor from './Compositor.js';
 import FaceTracker from './FaceTracker.js';
 import CharacterManager from './CharacterManager.js';
 import SegmentationManager from './SegmentationManager.js';
+import VisionWorker from './VisionWorker.js';
+import FrameScheduler from './FrameScheduler.js';
 import UIController from './UIController.js';
 import MediaCapture from './MediaCapture.js';
+import { effectRegistry } from '../effects/EffectRegistry.js';
+import QualityController from './QualityController.js';
+import ExpressionCalibrator from './ExpressionCalibrator.js';
+import TuningPanel from './TuningPanel.js';
+import VideoTrimmer from './VideoTrimmer.js';
 import EventEmitter from '../utils/EventEmitter.js';
 import ErrorHandler from '../utils/ErrorHandler.js';
 import PerformanceMonitor from '../utils/PerformanceMonitor.js';
 import SoundManager from '../utils/SoundManager.js';
 
+// Capture modes in mode button order (icon = Lucide name)
+const CAPTURE_MODES = {
+    photo: { icon: 'camera', label: 'Photo mode' },
+    video: { icon: 'video', label: 'Video mode' },
+    gif: { icon: 'film', label: 'GIF mode' },
+    boomerang: { icon: 'infinity', label: 'Boomerang mode' }
+};
+
+// Press length (ms) that turns a capture tap into hold-to-record
+const HOLD_TO_RECORD_DELAY = 350;
+
 class FilterApp {
     constructor(rootElement) {
         this.root = rootElement;
@@ -29,7 +48,7 @@ class FilterApp {
             faceTracking: false,
             faceDetected: false,
             currentCharacter: 0,
-            totalCharacters: 5,
+            totalCharacters: 0, // Set from the character roster manifest
             fps: 0,
             isRecording: false,
             error: null
@@ -38,19 +57,29 @@ class FilterApp {
         // Event emitter for module communication
         this.events = new EventEmitter();
 
-        // Error handling, performance monitoring, and sound
+        // Error handling and sound
         this.errorHandler = new ErrorHandler(this.events);
-        this.performanceMonitor = new PerformanceMonitor(this.events);
         this.soundManager = new SoundManager();
 
         // Module instances (will be initialized in init())
+        this.scheduler = null;
+        this.performanceMonitor = null;
         this.cameraManager = null;
         this.renderer = null;
+        this.compositor = null;
         this.faceTracker = null;
+        this.visionWorker = null;
         this.characterManager = null;
         this.segmentationManager = null;
         this.uiController = null;
         this.mediaCapture = null;
+        this.qualityController = null;
+        this.expressionCalibrator = null;
+        this.tuningPanel = null;
+        this.videoTrimmer = null;
+
+        // Pending "tap to pick the key color" listener
+        this.keyColorPickHandler = null;
     }
 
     /**
@@ -80,8 +109,9 @@ class FilterApp {
             // Initialize sound manager
             await this.soundManager.initialize();
 
-            // Start performance monitoring
+            // Start performance monitoring (and adapt quality to it)
             this.performanceMonitor.start();
+            this.qualityController.start();
 
             this.state.initialized = true;
             console.log('BEASTSIDE Filters: Initialization complete');
@@ -114,7 +144,6 @@ class FilterApp {
                     </div>
                 </div>
                 <div class="video-container">
-                    <canvas id="background-canvas"></canvas>
                     <video id="camera-video" autoplay playsinline></video>
                     <canvas id="filter-canvas"></canvas>
                 </div>
@@ -134,14 +163,22 @@ class FilterApp {
                     <div class="effects-section">
                         <div class="effects-section-title">Virtual Background</div>
                         <div class="effects-grid" id="virtual-backgrounds-list"></div>
+                        <div class="effects-controls" id="virtual-background-controls"></div>
+                        <input type="file" id="background-upload-input" accept="image/*,video/*" hidden>
                     </div>
                     <div class="effects-section">
                         <div class="effects-section-title">Effects</div>
                         <div class="effects-grid" id="background-effects-list"></div>
+                        <div class="effects-controls" id="background-effect-controls"></div>
                     </div>
                     <div class="effects-section">
                         <div class="effects-section-title">Filter</div>
                         <div class="effects-grid" id="photo-filters-list"></div>
+                        <div class="effects-controls" id="photo-filter-controls"></div>
+                    </div>
+                    <div class="effects-section" id="frames-section" hidden>
+                        <div class="effects-section-title">Frame</div>
+                        <div class="effects-grid" id="frames-list"></div>
                     </div>
                 </div>
 
@@ -183,6 +220,9 @@ class FilterApp {
                 <div class="recording-indicator" id="recording-indicator">
                     <div class="recording-dot"></div>
                     <div class="recording-time" id="recording-time">00:00</div>
+                    <button class="recording-pause" id="recording-pause-btn" aria-label="Pause recording">
+                        <i data-lucide="pause"></i>
+                    </button>
                 </div>
 
                 <!-- Bottom Island Control Bar -->
@@ -190,8 +230,12 @@ class FilterApp {
                     <button class="island-thumbnail" id="thumbnail-btn" aria-label="View last capture">
                         <i data-lucide="image"></i>
                     </button>
-                    <button class="capture-btn" id="capture-btn" aria-label="Take photo or start recording"></button>
-                    <button class="island-mode" id="mode-btn" aria-label="Toggle photo/video mode">
+                    <button class="capture-btn" id="capture-btn" aria-label="Take photo or start recording (hold to record)">
+                        <svg class="capture-progress" viewBox="0 0 100 100" aria-hidden="true">
+                            <circle cx="50" cy="50" r="48" pathLength="100"></circle>
+                        </svg>
+                    </button>
+                    <button class="island-mode" id="mode-btn" aria-label="Switch capture mode">
                         <i data-lucide="camera"></i>
                     </button>
                 </div>
@@ -224,6 +268,7 @@ class FilterApp {
                         <img class="preview-image" style="display: none;" alt="Captured photo preview" />
                         <video class="preview-video" style="display: none;" autoplay loop muted playsinline aria-label="Captured video preview"></video>
                         <div class="preview-actions">
+                            <button class="btn-preview btn-trim" title="Trim" aria-label="Trim video and choose cover" hidden><i data-lucide="scissors"></i></button>
                             <button class="btn-preview btn-download" title="Save to device" aria-label="Download media"><i data-lucide="download"></i></button>
                             <button class="btn-preview btn-share" title="Share" aria-label="Share media"><i data-lucide="share-2"></i></button>
                             <button class="btn-preview btn-retake" title="Retake" aria-label="Close and retake"><i data-lucide="refresh-cw"></i></button>
@@ -234,10 +279,9 @@ class FilterApp {
         `;
 
         // Store references to key elements
+        this.videoContainer = this.root.querySelector('.video-container');
         this.videoElement = this.root.querySelector('#camera-video');
         this.canvasElement = this.root.querySelector('#filter-canvas');
-        this.backgroundCanvas = this.root.querySelector('#background-canvas');
-        this.backgroundCtx = this.backgroundCanvas.getContext('2d');
         this.errorElement = this.root.querySelector('.error-message');
         this.fpsCounter = this.root.querySelector('#fps-counter');
         this.faceStatus = this.root.querySelector('#face-status');
@@ -262,6 +306,8 @@ class FilterApp {
         this.characterSelectorName = this.root.querySelector('#character-name');
         this.recordingIndicator = this.root.querySelector('#recording-indicator');
         this.recordingTime = this.root.querySelector('#recording-time');
+        this.recordingPauseBtn = this.root.querySelector('#recording-pause-btn');
+        this.captureProgress = this.root.querySelector('.capture-progress circle');
 
         // Preview modal
         this.previewModal = this.root.querySelector('.preview-modal');
@@ -271,6 +317,8 @@ class FilterApp {
         this.downloadBtn = this.root.querySelector('.btn-download');
         this.shareBtn = this.root.querySelector('.btn-share');
         this.retakeBtn = this.root.querySelector('.btn-retake');
+        this.trimBtn = this.root.querySelector('.btn-trim');
+        this.videoTrimmer = new VideoTrimmer(this.root.querySelector('.preview-content'), this.previewVideo, this.events);
 
         // Utility controls
         this.fullscreenBtn = this.root.querySelector('#fullscreen-btn');
@@ -283,6 +331,12 @@ class FilterApp {
         this.virtualBackgroundsList = this.root.querySelector('#virtual-backgrounds-list');
         this.backgroundEffectsList = this.root.querySelector('#background-effects-list');
         this.photoFiltersList = this.root.querySelector('#photo-filters-list');
+        this.framesSection = this.root.querySelector('#frames-section');
+        this.framesList = this.root.querySelector('#frames-list');
+        this.virtualBackgroundControls = this.root.querySelector('#virtual-background-controls');
+        this.backgroundUploadInput = this.root.querySelector('#background-upload-input');
+        this.backgroundEffectControls = this.root.querySelector('#background-effect-controls');
+        this.photoFilterControls = this.root.querySelector('#photo-filter-controls');
         this.skinTonesGrid = this.root.querySelector('#skin-tones-grid');
 
         // Countdown overlay
@@ -290,12 +344,31 @@ class FilterApp {
         this.countdownNumber = this.root.querySelector('#countdown-number');
 
         // State
-        this.currentMode = 'photo'; // 'photo' or 'video'
+        this.currentMode = 'photo'; // 'photo', 'video', 'gif' or 'boomerang'
         this.useCountdown = false;
         this.lastCapture = null;
 
-        // Main capture button
-        this.captureBtn.addEventListener('click', () => this.handleCapture());
+        // Hold-to-record state
+        this.holdTimer = null;
+        this.isHoldRecording = false;
+        this.captureHoldHandled = false;
+        this.stopRecordingOnStart = false;
+
+        // Main capture button - tap to capture/toggle recording, hold to record
+        this.captureBtn.addEventListener('pointerdown', (e) => this.handleCapturePress(e));
+        this.captureBtn.addEventListener('pointerup', () => this.handleCaptureRelease());
+        this.captureBtn.addEventListener('pointercancel', () => this.handleCaptureRelease());
+        this.captureBtn.addEventListener('click', () => {
+            // The press already started/stopped a recording
+            if (this.captureHoldHandled) {
+                this.captureHoldHandled = false;
+                return;
+            }
+            this.handleCapture();
+        });
+
+        // Pause/resume while recording
+        this.recordingPauseBtn.addEventListener('click', () => this.togglePauseRecording());
 
         // Thumbnail button - open last capture or preview
         this.thumbnailBtn.addEventListener('click', () => {
@@ -320,10 +393,11 @@ class FilterApp {
             }
         });
 
-        // Mode button - toggle between photo/video
+        // Mode button - cycle photo → video → GIF → Boomerang
         this.modeBtn.addEventListener('click', () => {
-            const newMode = this.currentMode === 'photo' ? 'video' : 'photo';
-            this.setMode(newMode);
+            const modes = Object.keys(CAPTURE_MODES);
+            const next = modes[(modes.indexOf(this.currentMode) + 1) % modes.length];
+            this.setMode(next);
         });
 
         // Effects button toggle
@@ -345,11 +419,27 @@ class FilterApp {
             }
         });
 
+        // Keep slider drags in the effects dropdown from reaching the swipe handler
+        [this.virtualBackgroundControls, this.backgroundEffectControls, this.photoFilterControls].forEach(container => {
+            ['touchstart', 'touchmove', 'touchend'].forEach(type => {
+                container.addEventListener(type, (e) => e.stopPropagation());
+            });
+        });
+
+        // Custom background upload
+        this.backgroundUploadInput.addEventListener('change', () => {
+            const file = this.backgroundUploadInput.files[0];
+            // Reset so picking the same file again still fires change
+            this.backgroundUploadInput.value = '';
+            if (file) this.uploadVirtualBackground(file);
+        });
+
         // Add click handlers to preview modal
         this.previewClose.addEventListener('click', () => this.closePreview());
         this.retakeBtn.addEventListener('click', () => this.closePreview());
         this.downloadBtn.addEventListener('click', () => this.handleDownload());
         this.shareBtn.addEventListener('click', () => this.handleShare());
+        this.trimBtn.addEventListener('click', () => this.videoTrimmer.toggle(this.currentPreviewMedia));
 
         // Utility controls
         this.fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
@@ -359,6 +449,11 @@ class FilterApp {
             if (this.characterManager) {
                 this.characterManager.resync();
             }
+            // Re-measure this user's face so expressions start from their own neutral
+            if (this.expressionCalibrator) {
+                this.closeAllDropdowns();
+                this.expressionCalibrator.start();
+            }
         });
         this.closeBtn.addEventListener('click', () => {
             // Close/exit the filter experience
@@ -406,6 +501,10 @@ class FilterApp {
     async initializeModules() {
         console.log('Initializing modules...');
 
+        // 0. Frame Scheduler - one per-camera-frame loop driving track → segment → render → composite → monitor
+        this.scheduler = new FrameScheduler(this.videoElement);
+        this.performanceMonitor = new PerformanceMonitor(this.events, this.scheduler);
+
         // 1. Camera Manager (no dependencies) - 0-20%
         this.updateLoadingText('Setting up camera...');
         this.updateLoadingProgress(5);
@@ -415,7 +514,9 @@ class FilterApp {
         // 2. Three.js Renderer (needs canvas element) - 20-40%
         this.updateLoadingText('Initializing 3D engine...');
         this.updateLoadingProgress(25);
-        this.renderer = new ThreeRenderer(this.canvasElement, this.events);
+        this.renderer = new ThreeRenderer(this.canvasElement, this.events, this.scheduler);
+        // Compositor draws the on-screen frame (camera + background + effects + character)
+        this.compositor = new Compositor(this.renderer, this.videoElement, this.events, this.scheduler);
         this.updateLoadingProgress(40);
 
         // 3. Character Manager (needs Three.js scene) - 40-80%
@@ -423,6 +524,7 @@ class FilterApp {
         this.updateLoadingProgress(45);
         this.characterManager = new CharacterManager(this.renderer.scene, this.events, this.renderer.camera);
         await this.characterManager.initialize();
+        this.state.totalCharacters = this.characterManager.getAllCharacters().length;
         this.updateLoadingProgress(80);
 
         // Populate character selector after characters are loaded
@@ -436,7 +538,17 @@ class FilterApp {
         // 4. Face Tracker (needs video element and event emitter) - 80-90%
         this.updateLoadingText('Starting face tracking...');
         this.updateLoadingProgress(85);
-        this.faceTracker = new FaceTracker(this.videoElement, this.events);
+        // Vision worker runs tracking/segmentation off the main thread. The worker
+        // thread only starts once a task loads, so the tracker backend can still
+        // be switched to it at runtime when it's opted out of up front.
+        this.visionWorker = VisionWorker.isSupported() ? new VisionWorker(this.videoElement, this.scheduler) : null;
+        const useVisionWorker = !!this.visionWorker && VisionWorker.isEnabled();
+
+        this.faceTracker = new FaceTracker(this.videoElement, this.events, {
+            scheduler: this.scheduler,
+            visionWorker: this.visionWorker,
+            ...(useVisionWorker ? { backend: 'worker' } : {})
+        });
 
         // 5. UI Controller (needs container element)
         this.uiController = new UIController(this.root, this.events);
@@ -444,19 +556,47 @@ class FilterApp {
         this.updateLoadingProgress(90);
 
         // 6. Media Capture (needs canvas and video elements)
-        this.mediaCapture = new MediaCapture(this.canvasElement, this.videoElement, this.events);
+        this.mediaCapture = new MediaCapture(this.canvasElement, this.events, this.scheduler);
         await this.mediaCapture.initialize();
+        const maxRecordingDuration = this.getMaxRecordingDuration();
+        if (maxRecordingDuration) {
+            this.mediaCapture.setMaxRecordingDuration(maxRecordingDuration);
+        }
+        this.compositor.setEffects(this.mediaCapture.getBackgroundEffects(), this.mediaCapture.getPhotoFilters());
+        this.compositor.setFrameOverlays(this.mediaCapture.getFrameOverlays());
         this.updateLoadingProgress(92);
 
         // 7. Segmentation Manager (for virtual backgrounds)
-        this.segmentationManager = new SegmentationManager(this.videoElement, this.events);
+        this.segmentationManager = new SegmentationManager(this.videoElement, this.events, this.scheduler);
+        if (useVisionWorker) {
+            this.segmentationManager.setVisionWorker(this.visionWorker);
+        }
         await this.segmentationManager.initialize();
-        this.mediaCapture.setSegmentationManager(this.segmentationManager);
+        this.compositor.setSegmentationManager(this.segmentationManager);
         this.updateLoadingProgress(95);
 
+        // Adaptive quality (steps render/segmentation/camera settings with measured FPS)
+        this.qualityController = new QualityController(this.events, {
+            renderer: this.renderer,
+            compositor: this.compositor,
+            cameraManager: this.cameraManager,
+            segmentationManager: this.segmentationManager,
+            mediaCapture: this.mediaCapture
+        });
+
         // Wire up events
         this.setupEventHandlers();
 
+        // 8. Expression Calibrator (applies saved per-user calibration, runs on Resync)
+        this.expressionCalibrator = new ExpressionCalibrator(this.root, this.events, this.faceTracker.blendshapeMapper);
+        this.expressionCalibrator.initialize();
+
+        // 9. Tuning Panel (developer overlay, only with ?tune or WP config)
+        if (TuningPanel.isEnabled()) {
+            this.tuningPanel = new TuningPanel(this.root, this.events, this.characterManager, this.faceTracker.blendshapeMapper, this.faceTracker);
+            this.tuningPanel.initialize();
+        }
+
         console.log('Modules initialized');
     }
 
@@ -561,13 +701,80 @@ class FilterApp {
             this.showPreview('video', video);
         });
 
+        this.events.on('gifCaptured', (gif) => {
+            console.log(gif.boomerang ? 'Boomerang captured' : 'GIF captured');
+            this.soundManager.play('shutter');
+            this.showPreview('gif', gif);
+        });
+
+        // GIF / Boomerang burst: recording UI while grabbing frames, then encode
+        this.events.on('burstStarted', () => {
+            this.recordingPauseBtn.hidden = true;
+            this.updateRecordingUI(true);
+            this.startRecordingTimer();
+        });
+
+        this.events.on('burstCaptured', ({ boomerang }) => {
+            this.updateRecordingUI(false);
+            this.stopRecordingTimer();
+            this.uiController.showMessage(boomerang ? 'Making your Boomerang…' : 'Making your GIF…', 2500);
+        });
+
         this.events.on('recordingStarted', () => {
             this.state.isRecording = true;
+            this.recordingPauseBtn.hidden = false;
+            this.updatePauseUI(false);
             this.updateRecordingUI(true);
             this.startRecordingTimer();
+
+            // Finger lifted before the recorder was ready
+            if (this.stopRecordingOnStart) {
+                this.stopRecordingOnStart = false;
+                this.handleVideoStop();
+            }
+        });
+
+        // Also fires on auto-stop at the max duration
+        this.events.on('recordingStopped', () => {
+            this.state.isRecording = false;
+            this.isHoldRecording = false;
+            this.updatePauseUI(false);
+            this.updateRecordingUI(false);
+            this.stopRecordingTimer();
+        });
+
+        this.events.on('recordingPaused', () => this.updatePauseUI(true));
+        this.events.on('recordingResumed', () => this.updatePauseUI(false));
+
+        // Video editing (trim / cover) in the preview
+        this.events.on('videoCoverSelected', ({ media, time }) => {
+            media.coverTime = time;
+            if (this.lastCapture && this.lastCapture.media === media) {
+                this.generateVideoThumbnail(media.url, time);
+            }
+        });
+
+        this.events.on('videoTrimRequested', ({ media, start, end, coverTime }) => {
+            // Still inside the Save click - trimVideo starts playback before its first await
+            this.mediaCapture.trimVideo(media, { start, end, coverTime });
+        });
+
+        this.events.on('trimProgress', ({ progress }) => {
+            this.videoTrimmer.setProgress(progress);
+        });
+
+        this.events.on('videoTrimmed', (video) => {
+            console.log('Video trimmed');
+            this.videoTrimmer.close();
+            this.showPreview('video', video);
         });
 
         this.events.on('captureError', (data) => {
+            if (data.type === 'trim') {
+                this.videoTrimmer.setBusy(false);
+            } else if (data.type === 'video') {
+                this.resetHoldRecording();
+            }
             console.error('Capture error:', data.error);
             this.handleError(data.error, { type: data.type });
         });
@@ -596,6 +803,11 @@ class FilterApp {
         this.events.on('performanceCritical', (data) => {
             console.error('Critical performance:', data);
 
+            // Quality controller is still stepping down - only warn once it has nothing left
+            if (this.qualityController && !this.qualityController.isAtLowest()) {
+                return;
+            }
+
             // Show performance warning (non-blocking)
             if (this.uiController) {
                 this.uiController.showMessage(
@@ -605,23 +817,22 @@ class FilterApp {
             }
         });
 
+        this.events.on('qualityLevelChanged', (data) => {
+            console.log(`Quality level: ${data.level}/${data.maxLevel} (${data.direction})`);
+        });
+
         this.events.on('memoryWarning', (data) => {
             console.warn(`High memory usage: ${data.usedMB}MB / ${data.limitMB}MB (${data.percentage}%)`);
         });
 
-        // Virtual background changed
-        this.events.on('backgroundChanged', (data) => {
-            console.log('Background changed:', data);
-            if (data.enabled) {
-                // Start live background rendering
-                this.startVirtualBackgroundRender();
-                this.videoElement.style.opacity = '0';
-                this.backgroundCanvas.style.display = 'block';
-            } else {
-                // Stop live background rendering
-                this.stopVirtualBackgroundRender();
-                this.videoElement.style.opacity = '1';
-                this.backgroundCanvas.style.display = 'none';
+        // Looks registered after startup show up in an already-built dropdown
+        this.removeRegistryListener = effectRegistry.onChange(() => {
+            if (this.backgroundEffectsList.children.length === 0) return;
+
+            this.populateBackgroundEffects();
+            this.populatePhotoFilters();
+            if (window.lucide) {
+                window.lucide.createIcons();
             }
         });
 
@@ -660,10 +871,12 @@ class FilterApp {
         this.updateLoadingProgress(96);
         await this.cameraManager.start();
         this.state.cameraActive = true;
+        this.scheduler.start();
         this.updateLoadingProgress(97);
 
         // Start renderer
         this.renderer.start();
+        this.compositor.start();
         this.state.renderingActive = true;
         this.updateLoadingProgress(98);
 
@@ -673,8 +886,8 @@ class FilterApp {
         this.state.faceTracking = true;
         this.updateLoadingProgress(99);
 
-        // Segmentation will be started on-demand when virtual background is enabled
-        // (we don't call start() here - the render loop will drive processCurrentFrame)
+        // Segmentation only sends frames while a virtual background is enabled
+        this.segmentationManager.start();
         this.updateLoadingProgress(100);
 
         // Hide loading overlay - we're ready!
@@ -810,21 +1023,127 @@ class FilterApp {
         }
     }
 
+    /**
+     * Handle GIF / Boomerang capture
+     * @param {boolean} boomerang - Loop forward then backward
+     * @param {boolean} useCountdown - Whether to use countdown before capture
+     */
+    handleBurstCapture(boomerang, useCountdown = false) {
+        if (this.state.isRecording || this.mediaCapture.isCapturingBurst) {
+            console.warn('Cannot capture a GIF while recording');
+            return;
+        }
+
+        const capture = () => this.mediaCapture.captureGif({ boomerang });
+        if (useCountdown) {
+            this.startCountdown(capture);
+        } else {
+            capture();
+        }
+    }
+
     /**
      * Handle video recording start
      */
     async handleVideoStart() {
-        await this.mediaCapture.startRecording();
+        try {
+            await this.mediaCapture.startRecording();
+        } finally {
+            // Didn't start - a pending hold release must not stop the next recording
+            if (!this.mediaCapture.getIsRecording()) {
+                this.resetHoldRecording();
+            }
+        }
     }
 
     /**
-     * Handle video recording stop
+     * Forget a hold-to-record in progress
+     */
+    resetHoldRecording() {
+        this.isHoldRecording = false;
+        this.stopRecordingOnStart = false;
+    }
+
+    /**
+     * Handle video recording stop (UI resets on 'recordingStopped')
      */
     handleVideoStop() {
         this.mediaCapture.stopRecording();
-        this.state.isRecording = false;
-        this.updateRecordingUI(false);
-        this.stopRecordingTimer();
+    }
+
+    /**
+     * Capture button pressed - start recording if held (photo/video modes)
+     */
+    handleCapturePress(e) {
+        this.captureHoldHandled = false;
+        if (e.button !== 0 || this.state.isRecording || this.mediaCapture.isCapturingBurst) return;
+        if (this.currentMode !== 'photo' && this.currentMode !== 'video') return;
+
+        // Keep getting pointerup if the finger slides off the button
+        this.captureBtn.setPointerCapture(e.pointerId);
+
+        this.holdTimer = setTimeout(() => {
+            this.holdTimer = null;
+            this.isHoldRecording = true;
+            this.captureHoldHandled = true;
+            this.handleVideoStart();
+        }, HOLD_TO_RECORD_DELAY);
+    }
+
+    /**
+     * Capture button released - a tap is left to the click handler, a hold stops recording
+     */
+    handleCaptureRelease() {
+        if (this.holdTimer) {
+            clearTimeout(this.holdTimer);
+            this.holdTimer = null;
+            return;
+        }
+
+        if (this.isHoldRecording) {
+            this.isHoldRecording = false;
+            if (this.state.isRecording) {
+                this.handleVideoStop();
+            } else {
+                this.stopRecordingOnStart = true;
+            }
+        }
+    }
+
+    /**
+     * Pause or resume the current recording
+     */
+    togglePauseRecording() {
+        if (!this.state.isRecording) return;
+
+        if (this.mediaCapture.getIsPaused()) {
+            this.mediaCapture.resumeRecording();
+        } else {
+            this.mediaCapture.pauseRecording();
+        }
+    }
+
+    /**
+     * Update pause button and paused styling
+     */
+    updatePauseUI(isPaused) {
+        this.recordingPauseBtn.innerHTML = `<i data-lucide="${isPaused ? 'play' : 'pause'}"></i>`;
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+        this.recordingPauseBtn.setAttribute('aria-label', isPaused ? 'Resume recording' : 'Pause recording');
+        this.recordingIndicator.classList.toggle('paused', isPaused);
+        this.captureBtn.classList.toggle('paused', isPaused);
+    }
+
+    /**
+     * Max recording length (ms) from [beastside_filters max_duration="…"] or the plugin setting
+     * @returns {number|null} null = MediaCapture default
+     */
+    getMaxRecordingDuration() {
+        const config = window.beastsideFiltersConfig || {};
+        const seconds = parseFloat(this.root.dataset.maxDuration) || parseFloat(config.maxRecordingDuration);
+        return seconds > 0 ? seconds * 1000 : null;
     }
 
     /**
@@ -854,6 +1173,7 @@ class FilterApp {
             const minutes = Math.floor(seconds / 60);
             const secs = seconds % 60;
             this.recordingTime.textContent = `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+            this.setCaptureProgress(this.mediaCapture.getRecordingProgress());
         }, 100);
     }
 
@@ -866,6 +1186,14 @@ class FilterApp {
             this.recordingTimerInterval = null;
         }
         this.recordingTime.textContent = '00:00';
+        this.setCaptureProgress(0);
+    }
+
+    /**
+     * Fill the ring around the capture button (0-1 of the max duration)
+     */
+    setCaptureProgress(progress) {
+        this.captureProgress.style.strokeDashoffset = String(100 - progress * 100);
     }
 
     /**
@@ -879,14 +1207,18 @@ class FilterApp {
         this.lastCapture = { type, media };
 
         // Update thumbnail button with preview
-        if (type === 'photo' && media.url) {
+        if (type !== 'video' && media.url) {
             this.thumbnailBtn.innerHTML = `<img src="${media.url}" alt="Last capture" />`;
         } else if (type === 'video' && media.url) {
-            // Generate video thumbnail from first frame
-            this.generateVideoThumbnail(media.url);
+            // Generate video thumbnail from the cover frame (first frame by default)
+            this.generateVideoThumbnail(media.url, media.coverTime);
         }
 
-        if (type === 'photo') {
+        // Trimming is for videos only
+        this.videoTrimmer.close();
+        this.trimBtn.hidden = type !== 'video';
+
+        if (type !== 'video') {
             this.previewImage.src = media.url;
             this.previewImage.style.display = 'block';
             this.previewVideo.style.display = 'none';
@@ -900,18 +1232,20 @@ class FilterApp {
     }
 
     /**
-     * Generate thumbnail from video first frame
+     * Generate thumbnail from a video frame
+     * @param {string} videoUrl
+     * @param {number|null} time - Cover frame (seconds); null = first frame
      */
-    generateVideoThumbnail(videoUrl) {
+    generateVideoThumbnail(videoUrl, time = null) {
         const tempVideo = document.createElement('video');
         tempVideo.src = videoUrl;
         tempVideo.muted = true;
         tempVideo.playsInline = true;
 
         tempVideo.addEventListener('loadeddata', () => {
-            // Seek to first frame
-            tempVideo.currentTime = 0.1;
-        });
+            // Seek to the cover frame (just past the start for the first frame)
+            tempVideo.currentTime = time !== null && time !== undefined ? Math.max(time, 0.1) : 0.1;
+        }, { once: true });
 
         tempVideo.addEventListener('seeked', () => {
             // Create thumbnail
@@ -938,6 +1272,7 @@ class FilterApp {
      * Close preview modal
      */
     closePreview() {
+        this.videoTrimmer.close();
         this.previewModal.style.display = 'none';
         this.previewImage.src = '';
         this.previewVideo.src = '';
@@ -949,7 +1284,7 @@ class FilterApp {
      * Handle download from preview
      */
     handleDownload() {
-        if (this.currentPreviewType === 'photo') {
+        if (this.currentPreviewType !== 'video') {
             this.mediaCapture.downloadPhoto(this.currentPreviewMedia);
         } else {
             this.mediaCapture.downloadVideo(this.currentPreviewMedia);
@@ -962,7 +1297,7 @@ class FilterApp {
      */
     async handleShare() {
         let result;
-        if (this.currentPreviewType === 'photo') {
+        if (this.currentPreviewType !== 'video') {
             result = await this.mediaCapture.sharePhoto(this.currentPreviewMedia);
         } else {
             result = await this.mediaCapture.shareVideo(this.currentPreviewMedia);
@@ -1121,66 +1456,6 @@ class FilterApp {
         }
     }
 
-    /**
-     * Start virtual background live rendering
-     */
-    startVirtualBackgroundRender() {
-        if (this.virtualBgRenderLoop) return;
-
-        const render = () => {
-            if (!this.segmentationManager || !this.segmentationManager.isEnabled()) {
-                this.virtualBgRenderLoop = requestAnimationFrame(render);
-                return;
-            }
-
-            // Size canvas to match video
-            const width = this.videoElement.videoWidth || 640;
-            const height = this.videoElement.videoHeight || 480;
-
-            if (this.backgroundCanvas.width !== width || this.backgroundCanvas.height !== height) {
-                this.backgroundCanvas.width = width;
-                this.backgroundCanvas.height = height;
-            }
-
-            // Trigger segmentation processing (async, don't wait)
-            this.segmentationManager.processCurrentFrame();
-
-            // Clear canvas
-            this.backgroundCtx.clearRect(0, 0, width, height);
-
-            // Composite person over background (compositeFrame handles mirroring internally)
-            const composited = this.segmentationManager.compositeFrame(
-                this.backgroundCtx,
-                this.videoElement,
-                width,
-                height
-            );
-
-            if (!composited) {
-                // Fallback to regular video mirrored (e.g., while waiting for first mask)
-                this.backgroundCtx.save();
-                this.backgroundCtx.translate(width, 0);
-                this.backgroundCtx.scale(-1, 1);
-                this.backgroundCtx.drawImage(this.videoElement, 0, 0, width, height);
-                this.backgroundCtx.restore();
-            }
-
-            this.virtualBgRenderLoop = requestAnimationFrame(render);
-        };
-
-        this.virtualBgRenderLoop = requestAnimationFrame(render);
-    }
-
-    /**
-     * Stop virtual background live rendering
-     */
-    stopVirtualBackgroundRender() {
-        if (this.virtualBgRenderLoop) {
-            cancelAnimationFrame(this.virtualBgRenderLoop);
-            this.virtualBgRenderLoop = null;
-        }
-    }
-
     /**
      * Show loading overlay
      */
@@ -1211,6 +1486,8 @@ class FilterApp {
     handleCapture() {
         if (this.currentMode === 'photo') {
             this.handlePhotoCapture(this.useCountdown);
+        } else if (this.currentMode === 'gif' || this.currentMode === 'boomerang') {
+            this.handleBurstCapture(this.currentMode === 'boomerang', this.useCountdown);
         } else {
             // Video mode - toggle recording
             if (this.state.isRecording) {
@@ -1222,24 +1499,25 @@ class FilterApp {
     }
 
     /**
-     * Set capture mode (photo/video)
+     * Set capture mode (photo/video/gif/boomerang)
      */
     setMode(mode) {
+        if (!CAPTURE_MODES[mode]) return;
         this.currentMode = mode;
 
         // Update mode button icon to show CURRENT mode
         if (this.modeBtn) {
-            const iconName = mode === 'photo' ? 'camera' : 'video';
             // Replace the entire icon (Lucide converts <i> to <svg>)
-            this.modeBtn.innerHTML = `<i data-lucide="${iconName}"></i>`;
+            this.modeBtn.innerHTML = `<i data-lucide="${CAPTURE_MODES[mode].icon}"></i>`;
             if (window.lucide) {
                 window.lucide.createIcons();
             }
-            this.modeBtn.setAttribute('aria-label', mode === 'photo' ? 'Photo mode' : 'Video mode');
+            this.modeBtn.setAttribute('aria-label', CAPTURE_MODES[mode].label);
         }
 
         // Update capture button appearance
         this.captureBtn.classList.toggle('video-mode', mode === 'video');
+        this.captureBtn.classList.toggle('burst-mode', mode === 'gif' || mode === 'boomerang');
     }
 
     /**
@@ -1364,6 +1642,12 @@ class FilterApp {
                 case 'v': // V - video mode
                     this.setMode('video');
                     break;
+                case 'g': // G - GIF mode
+                    this.setMode('gif');
+                    break;
+                case 'b': // B - Boomerang mode
+                    this.setMode('boomerang');
+                    break;
                 case 't': // T - toggle timer
                     this.toggleCountdownTimer();
                     break;
@@ -1435,41 +1719,192 @@ class FilterApp {
     populateEffects() {
         if (!this.mediaCapture) return;
 
-        // Populate virtual backgrounds
-        if (this.segmentationManager && this.virtualBackgroundsList) {
-            const backgrounds = this.segmentationManager.getBackgrounds();
-            this.virtualBackgroundsList.innerHTML = '';
-
-            backgrounds.forEach(bg => {
-                const btn = document.createElement('button');
-                btn.className = 'effect-item' + (bg.id === 'none' ? ' active' : '');
-                btn.dataset.backgroundId = bg.id;
-                btn.title = bg.name;
-
-                if (bg.thumbnail || (bg.src && bg.type !== 'video')) {
-                    // Show thumbnail preview (use generated thumbnail for videos, src for images)
-                    const thumbSrc = bg.thumbnail || bg.src;
-                    btn.innerHTML = `<img src="${thumbSrc}" alt="${bg.name}" style="width: 100%; height: 100%; object-fit: cover; border-radius: 8px;" />`;
-                } else {
-                    btn.innerHTML = `<i data-lucide="${bg.icon}"></i>`;
-                }
+        this.populateVirtualBackgrounds();
+        this.populateBackgroundEffects();
+        this.populatePhotoFilters();
+        this.populateFrames();
 
-                btn.addEventListener('click', () => {
-                    this.selectVirtualBackground(bg.id);
-                });
+        // Re-initialize Lucide icons
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    /**
+     * Populate virtual backgrounds (built-in, custom uploads, upload button)
+     */
+    populateVirtualBackgrounds() {
+        if (!this.segmentationManager || !this.virtualBackgroundsList) return;
+
+        const backgrounds = this.segmentationManager.getBackgrounds();
+        const currentBackground = this.segmentationManager.getCurrentBackground();
+        // Without a model, backgrounds need the green screen key
+        const canSegment = this.segmentationManager.isAvailable();
+        this.virtualBackgroundsList.innerHTML = '';
+
+        backgrounds.forEach(bg => {
+            if (bg.src && !canSegment) return;
 
-                this.virtualBackgroundsList.appendChild(btn);
+            const btn = document.createElement('button');
+            btn.className = 'effect-item' + (bg.id === currentBackground ? ' active' : '');
+            btn.dataset.backgroundId = bg.id;
+            btn.title = bg.name;
+
+            if (bg.thumbnail || (bg.src && bg.type === 'image')) {
+                // Show thumbnail preview (generated/poster thumbnail, or the image itself)
+                const thumbSrc = bg.thumbnail || bg.src;
+                const img = document.createElement('img');
+                img.src = thumbSrc;
+                img.alt = bg.name;
+                img.style.cssText = 'width: 100%; height: 100%; object-fit: cover; border-radius: 8px;';
+                btn.appendChild(img);
+            } else {
+                btn.innerHTML = `<i data-lucide="${bg.icon}"></i>`;
+            }
+
+            btn.addEventListener('click', () => {
+                this.selectVirtualBackground(bg.id);
             });
+
+            this.virtualBackgroundsList.appendChild(btn);
+        });
+
+        // Upload only makes sense where segmentation runs
+        if (canSegment) {
+            const uploadBtn = document.createElement('button');
+            uploadBtn.className = 'effect-item';
+            uploadBtn.title = 'Upload';
+            uploadBtn.setAttribute('aria-label', 'Upload your own background');
+            uploadBtn.innerHTML = '<i data-lucide="image-plus"></i>';
+            uploadBtn.addEventListener('click', () => this.backgroundUploadInput.click());
+            this.virtualBackgroundsList.appendChild(uploadBtn);
         }
 
-        // Populate background effects
+        this.populateVirtualBackgroundControls();
+    }
+
+    /**
+     * Chroma key and fit sliders for the selected background, the green
+     * screen toggle, plus Remove for custom backgrounds
+     */
+    populateVirtualBackgroundControls() {
+        const segmentation = this.segmentationManager;
+        this.populateEffectControls(this.virtualBackgroundControls, segmentation);
+
+        const chromaBtn = document.createElement('button');
+        chromaBtn.className = 'effects-action';
+        chromaBtn.setAttribute('aria-pressed', String(segmentation.isChromaKey()));
+        chromaBtn.textContent = segmentation.isChromaKey() ? 'Green screen: on' : 'Green screen: off';
+        chromaBtn.addEventListener('click', () => this.toggleChromaKey());
+        this.virtualBackgroundControls.appendChild(chromaBtn);
+
+        if (segmentation.isChromaKey()) {
+            const pickBtn = document.createElement('button');
+            pickBtn.className = 'effects-action';
+            pickBtn.textContent = 'Pick key color';
+            pickBtn.addEventListener('click', () => this.pickChromaKeyColor());
+            this.virtualBackgroundControls.appendChild(pickBtn);
+        }
+
+        const current = segmentation.getBackgrounds().find(bg => bg.id === segmentation.getCurrentBackground());
+        if (current && current.custom) {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'effects-action';
+            removeBtn.textContent = 'Remove background';
+            removeBtn.addEventListener('click', async () => {
+                await segmentation.removeCustomBackground(current.id);
+                this.populateVirtualBackgrounds();
+                if (window.lucide) {
+                    window.lucide.createIcons();
+                }
+            });
+            this.virtualBackgroundControls.appendChild(removeBtn);
+        }
+    }
+
+    /**
+     * Switch virtual backgrounds between the model and the green screen key
+     */
+    toggleChromaKey() {
+        const segmentation = this.segmentationManager;
+        segmentation.setChromaKey(!segmentation.isChromaKey());
+
+        // Without a model, nothing that needs a mask is left to use
+        if (!segmentation.isAvailable()) {
+            if (segmentation.getCurrentBackground() !== 'none') {
+                this.selectVirtualBackground('none');
+            }
+            if (this.mediaCapture.getBackgroundEffects().needsMask()) {
+                this.selectBackgroundEffect('none');
+            }
+        }
+        this.populateEffects();
+    }
+
+    /**
+     * Take the key color from the next tap on the camera view
+     */
+    pickChromaKeyColor() {
+        const videoContainer = this.videoContainer;
+        if (this.keyColorPickHandler) {
+            videoContainer.removeEventListener('click', this.keyColorPickHandler);
+        }
+
+        this.keyColorPickHandler = (e) => {
+            videoContainer.removeEventListener('click', this.keyColorPickHandler);
+            this.keyColorPickHandler = null;
+
+            const rect = videoContainer.getBoundingClientRect();
+            const color = this.segmentationManager.pickKeyColor(
+                e.clientX - rect.left, e.clientY - rect.top, rect.width, rect.height
+            );
+            if (color) {
+                this.populateVirtualBackgroundControls();
+                this.uiController.showMessage('Key color set', 1500);
+            }
+        };
+
+        this.closeAllDropdowns();
+        videoContainer.addEventListener('click', this.keyColorPickHandler);
+        this.uiController.showMessage('Tap the green screen to pick the key color', 3000);
+    }
+
+    /**
+     * Add a user-picked file as a background and switch to it
+     * @param {File} file
+     */
+    async uploadVirtualBackground(file) {
+        try {
+            const background = await this.segmentationManager.addCustomBackground(file);
+            this.populateVirtualBackgrounds();
+            this.selectVirtualBackground(background.id);
+            if (window.lucide) {
+                window.lucide.createIcons();
+            }
+        } catch (error) {
+            console.error('Background upload failed:', error);
+            if (this.uiController) {
+                this.uiController.showMessage(error.message || 'Could not use that file as a background', 4000);
+            }
+        }
+    }
+
+    /**
+     * Populate background effects from the effect registry
+     */
+    populateBackgroundEffects() {
         const bgEffects = this.mediaCapture.getBackgroundEffects();
-        const effects = bgEffects.getEffects();
+        const currentEffect = bgEffects.getEffect();
+
+        // Portrait-style effects need a segmentation model
+        const canSegment = !!(this.segmentationManager && this.segmentationManager.isAvailable());
 
         this.backgroundEffectsList.innerHTML = '';
-        effects.forEach(effect => {
+        bgEffects.getEffects().forEach(effect => {
+            if (effect.needsMask && !canSegment) return;
+
             const btn = document.createElement('button');
-            btn.className = 'effect-item' + (effect.id === 'none' ? ' active' : '');
+            btn.className = 'effect-item' + (effect.id === currentEffect ? ' active' : '');
             btn.dataset.effectId = effect.id;
             btn.title = effect.name;
             btn.innerHTML = `<i data-lucide="${effect.icon}"></i>`;
@@ -1481,14 +1916,20 @@ class FilterApp {
             this.backgroundEffectsList.appendChild(btn);
         });
 
-        // Populate photo filters
+        this.populateEffectControls(this.backgroundEffectControls, bgEffects);
+    }
+
+    /**
+     * Populate photo filters from the effect registry
+     */
+    populatePhotoFilters() {
         const photoFilters = this.mediaCapture.getPhotoFilters();
-        const filters = photoFilters.getFilters();
+        const currentFilter = photoFilters.getFilter();
 
         this.photoFiltersList.innerHTML = '';
-        filters.forEach(filter => {
+        photoFilters.getFilters().forEach(filter => {
             const btn = document.createElement('button');
-            btn.className = 'effect-item' + (filter.id === 'none' ? ' active' : '');
+            btn.className = 'effect-item' + (filter.id === currentFilter ? ' active' : '');
             btn.dataset.filterId = filter.id;
             btn.title = filter.name;
             btn.innerHTML = `<i data-lucide="${filter.icon}"></i>`;
@@ -1500,10 +1941,93 @@ class FilterApp {
             this.photoFiltersList.appendChild(btn);
         });
 
-        // Re-initialize Lucide icons
-        if (window.lucide) {
-            window.lucide.createIcons();
-        }
+        this.populateEffectControls(this.photoFilterControls, photoFilters);
+    }
+
+    /**
+     * Populate branded frames (section stays hidden when the site defines none)
+     */
+    populateFrames() {
+        const frameOverlays = this.mediaCapture.getFrameOverlays();
+        const frames = frameOverlays.getFrames();
+        const currentFrame = frameOverlays.getFrame();
+
+        this.framesSection.hidden = frames.length < 2;
+        this.framesList.innerHTML = '';
+        frames.forEach(frame => {
+            const btn = document.createElement('button');
+            btn.className = 'effect-item' + (frame.id === currentFrame ? ' active' : '');
+            btn.dataset.frameId = frame.id;
+            btn.title = frame.name;
+
+            if (frame.thumbnail) {
+                const img = document.createElement('img');
+                img.src = frame.thumbnail;
+                img.alt = frame.name;
+                img.style.cssText = 'width: 100%; height: 100%; object-fit: cover; border-radius: 8px;';
+                btn.appendChild(img);
+            } else {
+                btn.innerHTML = `<i data-lucide="${frame.icon}"></i>`;
+            }
+
+            btn.addEventListener('click', () => {
+                this.selectFrame(frame.id);
+            });
+
+            this.framesList.appendChild(btn);
+        });
+    }
+
+    /**
+     * Build sliders / color pickers for the selected filter or effect
+     * @param {HTMLElement} container
+     * @param {PhotoFilters|BackgroundEffects} source - Provides getControls/getControlValue/setControlValue
+     */
+    populateEffectControls(container, source) {
+        const formatValue = (control, value) => {
+            if (control.unit === '%') return `${Math.round(value * 100)}%`;
+            if (control.unit === 'px') return `${value}px`;
+            return String(value);
+        };
+
+        container.innerHTML = '';
+        source.getControls().forEach(control => {
+            const row = document.createElement('label');
+            row.className = 'effects-slider';
+
+            const name = document.createElement('span');
+            name.className = 'effects-slider-name';
+            name.textContent = control.name;
+
+            const input = document.createElement('input');
+            input.setAttribute('aria-label', control.name);
+            const value = source.getControlValue(control.id);
+
+            const valueLabel = document.createElement('span');
+            valueLabel.className = 'effects-slider-value';
+
+            if (control.type === 'color') {
+                input.type = 'color';
+                input.value = value;
+                input.addEventListener('input', () => {
+                    source.setControlValue(control.id, input.value);
+                });
+            } else {
+                input.type = 'range';
+                input.min = control.min;
+                input.max = control.max;
+                input.step = control.step;
+                input.value = value;
+                valueLabel.textContent = formatValue(control, value);
+                input.addEventListener('input', () => {
+                    const stored = source.setControlValue(control.id, parseFloat(input.value));
+                    valueLabel.textContent = formatValue(control, stored);
+                });
+            }
+
+            row.append(name, input, valueLabel);
+            container.appendChild(row);
+        });
     }
 
     /**
@@ -1519,6 +2043,7 @@ class FilterApp {
         buttons.forEach(btn => {
             btn.classList.toggle('active', btn.dataset.backgroundId === backgroundId);
         });
+        this.populateVirtualBackgroundControls();
 
         // If selecting a virtual background, disable other background effects
         if (backgroundId !== 'none') {
@@ -1530,7 +2055,11 @@ class FilterApp {
      * Select a background effect
      */
     selectBackgroundEffect(effectId) {
+        const bgEffects = this.mediaCapture.getBackgroundEffects();
         this.mediaCapture.setBackgroundEffect(effectId);
+        if (this.segmentationManager) {
+            this.segmentationManager.setMaskRequired(bgEffects.needsMask());
+        }
 
         // Update UI buttons
         const buttons = this.backgroundEffectsList.querySelectorAll('.effect-item');
@@ -1538,8 +2067,7 @@ class FilterApp {
             btn.classList.toggle('active', btn.dataset.effectId === effectId);
         });
 
-        // Apply to live video feed
-        this.applyLiveBackgroundEffect(effectId);
+        this.populateEffectControls(this.backgroundEffectControls, bgEffects);
 
         // If selecting a background effect, disable virtual background
         if (effectId !== 'none' && this.segmentationManager) {
@@ -1559,75 +2087,20 @@ class FilterApp {
             btn.classList.toggle('active', btn.dataset.filterId === filterId);
         });
 
-        // Apply to live video feed
-        this.applyLivePhotoFilter(filterId);
+        this.populateEffectControls(this.photoFilterControls, this.mediaCapture.getPhotoFilters());
     }
 
     /**
-     * Apply background effect to live video feed
+     * Select a branded frame
      */
-    applyLiveBackgroundEffect(effectId) {
-        // Get or create overlay element for effects like vignette
-        let overlay = this.root.querySelector('.live-effect-overlay');
-        if (!overlay) {
-            overlay = document.createElement('div');
-            overlay.className = 'live-effect-overlay';
-            this.root.querySelector('.video-container').appendChild(overlay);
-        }
-
-        // Reset overlay
-        overlay.style.background = 'none';
-        overlay.style.backdropFilter = 'none';
-
-        // Apply blur to video element
-        if (effectId === 'blur') {
-            this.videoElement.style.filter = 'blur(8px)';
-        } else {
-            // Reset video filter (photo filter may override this)
-            const currentPhotoFilter = this.mediaCapture.getPhotoFilters().getFilter();
-            this.applyLivePhotoFilter(currentPhotoFilter);
-        }
-
-        // Apply overlay effects
-        switch (effectId) {
-            case 'warmTint':
-                overlay.style.background = 'rgba(255, 200, 150, 0.15)';
-                break;
-            case 'coolTint':
-                overlay.style.background = 'rgba(150, 200, 255, 0.15)';
-                break;
-            case 'vignette':
-                overlay.style.background = 'radial-gradient(circle, transparent 30%, rgba(0,0,0,0.5) 100%)';
-                break;
-            case 'dramatic':
-                overlay.style.background = 'radial-gradient(circle, transparent 20%, rgba(0,0,0,0.6) 100%)';
-                break;
-        }
-    }
-
-    /**
-     * Apply photo filter to live video feed
-     */
-    applyLivePhotoFilter(filterId) {
-        const filterStrings = {
-            none: 'none',
-            vintage: 'sepia(0.3) contrast(1.1) brightness(0.95)',
-            bw: 'grayscale(1) contrast(1.2)',
-            highContrast: 'contrast(1.4) saturate(1.2)',
-            warm: 'sepia(0.1) saturate(1.2) brightness(1.05)',
-            cool: 'saturate(0.9) brightness(1.05) hue-rotate(10deg)',
-            fade: 'contrast(0.9) brightness(1.1) saturate(0.8)',
-            drama: 'contrast(1.3) brightness(0.95) saturate(1.1)'
-        };
+    selectFrame(frameId) {
+        this.mediaCapture.setFrameOverlay(frameId);
 
-        // Check if blur effect is active
-        const currentBgEffect = this.mediaCapture.getBackgroundEffects().getEffect();
-        if (currentBgEffect === 'blur') {
-            // Combine blur with photo filter
-            this.videoElement.style.filter = `blur(8px) ${filterStrings[filterId] || 'none'}`;
-        } else {
-            this.videoElement.style.filter = filterStrings[filterId] || 'none';
-        }
+        // Update UI buttons
+        const buttons = this.framesList.querySelectorAll('.effect-item');
+        buttons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.frameId === frameId);
+        });
     }
 
     /**
@@ -1697,6 +2170,10 @@ class FilterApp {
             this.performanceMonitor.stop();
         }
 
+        if (this.qualityController) {
+            this.qualityController.dispose();
+        }
+
         // Dispose sound manager
         if (this.soundManager) {
             this.soundManager.dispose();
@@ -1710,6 +2187,18 @@ class FilterApp {
             this.uiController.dispose();
         }
 
+        if (this.expressionCalibrator) {
+            this.expressionCalibrator.dispose();
+        }
+
+        if (this.tuningPanel) {
+            this.tuningPanel.dispose();
+        }
+
+        if (this.videoTrimmer) {
+            this.videoTrimmer.dispose();
+        }
+
         if (this.faceTracker) {
             this.faceTracker.stop();
         }
@@ -1718,6 +2207,10 @@ class FilterApp {
             this.segmentationManager.dispose();
         }
 
+        if (this.visionWorker) {
+            this.visionWorker.dispose();
+        }
+
         if (this.characterManager) {
             this.characterManager.dispose();
         }
@@ -1726,13 +2219,25 @@ class FilterApp {
             this.cameraManager.stop();
         }
 
+        if (this.compositor) {
+            this.compositor.dispose();
+        }
+
         if (this.renderer) {
             this.renderer.stop();
         }
 
+        if (this.scheduler) {
+            this.scheduler.dispose();
+        }
+
         // Stop recording timer if active
         this.stopRecordingTimer();
 
+        if (this.removeRegistryListener) {
+            this.removeRegistryListener();
+        }
+
         // Clear all event listeners
         this.events.clear();
 
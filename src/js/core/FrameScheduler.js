@@ -0,0 +1,178 @@
+/**
+ * FrameScheduler - Single frame loop for the whole pipeline
+ *
+ * Ticks once per camera frame (requestVideoFrameCallback, falling back to
+ * requestAnimationFrame) and runs every registered callback in phase order:
+ *
+ *   track → segment → render → composite → monitor
+ *
+ * Async callbacks (tracking, segmentation) are awaited before the next phase,
+ * so the character and mask drawn for a frame come from that same frame.
+ * A slow frame delays the next tick instead of stacking work.
+ */
+
+export const FRAME_PHASES = ['track', 'segment', 'render', 'composite', 'monitor'];
+
+// If the camera stops delivering frames, keep rendering/monitoring at this interval
+const VIDEO_FRAME_TIMEOUT = 250;
+
+class FrameScheduler {
+    constructor(videoElement) {
+        this.video = videoElement;
+        this.isRunning = false;
+        this.isTicking = false;
+
+        this.phases = {};
+        FRAME_PHASES.forEach(phase => {
+            this.phases[phase] = [];
+        });
+
+        this.supportsVideoFrameCallback = typeof HTMLVideoElement !== 'undefined' &&
+            'requestVideoFrameCallback' in HTMLVideoElement.prototype;
+
+        // Pending callbacks for the next tick (only one fires)
+        this.videoFrameCallbackId = null;
+        this.rafId = null;
+        this.fallbackTimer = null;
+
+        this.frameNumber = 0;
+        this.lastTickTime = 0;
+        this.lastVideoTime = -1;
+
+        this.tick = this.tick.bind(this);
+    }
+
+    /**
+     * Register a per-frame callback
+     * @param {string} phase - One of FRAME_PHASES
+     * @param {Function} callback - (frame) => void | Promise. frame: { now, delta, mediaTime, isNewVideoFrame, frameNumber, width, height }
+     * @returns {Function} Remove function
+     */
+    add(phase, callback) {
+        if (!this.phases[phase]) {
+            throw new Error(`FrameScheduler: Unknown phase "${phase}"`);
+        }
+
+        this.phases[phase].push(callback);
+        return () => this.remove(phase, callback);
+    }
+
+    /**
+     * Remove a per-frame callback
+     */
+    remove(phase, callback) {
+        if (!this.phases[phase]) return;
+        this.phases[phase] = this.phases[phase].filter(cb => cb !== callback);
+    }
+
+    /**
+     * Start ticking
+     */
+    start() {
+        if (this.isRunning) return;
+
+        console.log(`FrameScheduler: Starting (${this.supportsVideoFrameCallback ? 'video frame callback' : 'animation frame'})`);
+        this.isRunning = true;
+        this.lastTickTime = performance.now();
+
+        // A tick still in progress schedules the next one itself
+        if (!this.isTicking) {
+            this.scheduleNext();
+        }
+    }
+
+    /**
+     * Stop ticking
+     */
+    stop() {
+        if (!this.isRunning) return;
+
+        console.log('FrameScheduler: Stopping');
+        this.isRunning = false;
+        this.cancelPending();
+    }
+
+    /**
+     * Request the next tick - on the next camera frame when possible
+     */
+    scheduleNext() {
+        if (!this.isRunning) return;
+
+        if (this.supportsVideoFrameCallback && this.video.readyState >= 2) {
+            this.videoFrameCallbackId = this.video.requestVideoFrameCallback(this.tick);
+            // Camera paused or stalled - tick anyway so render/monitor keep going
+            this.fallbackTimer = setTimeout(() => this.tick(performance.now(), null), VIDEO_FRAME_TIMEOUT);
+        } else {
+            this.rafId = requestAnimationFrame((now) => this.tick(now, null));
+        }
+    }
+
+    cancelPending() {
+        if (this.videoFrameCallbackId !== null) {
+            this.video.cancelVideoFrameCallback(this.videoFrameCallbackId);
+            this.videoFrameCallbackId = null;
+        }
+        if (this.rafId !== null) {
+            cancelAnimationFrame(this.rafId);
+            this.rafId = null;
+        }
+        if (this.fallbackTimer !== null) {
+            clearTimeout(this.fallbackTimer);
+            this.fallbackTimer = null;
+        }
+    }
+
+    /**
+     * Run one frame through every phase
+     * @param {number} now - Callback timestamp
+     * @param {Object|null} metadata - requestVideoFrameCallback metadata
+     */
+    async tick(now, metadata) {
+        this.cancelPending();
+        if (!this.isRunning) return;
+
+        // Without frame metadata, detect new camera frames from currentTime
+        const mediaTime = metadata ? metadata.mediaTime : this.video.currentTime;
+        const isNewVideoFrame = this.video.readyState >= 2 && (metadata ? true : mediaTime !== this.lastVideoTime);
+        this.lastVideoTime = mediaTime;
+
+        this.frameNumber++;
+        const frame = {
+            now,
+            delta: now - this.lastTickTime,
+            mediaTime,
+            isNewVideoFrame,
+            frameNumber: this.frameNumber,
+            width: metadata ? metadata.width : this.video.videoWidth,
+            height: metadata ? metadata.height : this.video.videoHeight
+        };
+        this.lastTickTime = now;
+        this.isTicking = true;
+
+        for (const phase of FRAME_PHASES) {
+            // Copy - callbacks may add/remove themselves while running
+            for (const callback of this.phases[phase].slice()) {
+                try {
+                    await callback(frame);
+                } catch (error) {
+                    console.error(`FrameScheduler: Error in ${phase} phase`, error);
+                }
+            }
+        }
+
+        this.isTicking = false;
+        this.scheduleNext();
+    }
+
+    /**
+     * Stop and drop all callbacks
+     */
+    dispose() {
+        this.stop();
+        FRAME_PHASES.forEach(phase => {
+            this.phases[phase] = [];
+        });
+    }
+}
+
+export default FrameScheduler;
@@ -0,0 +1,226 @@
+/**
+ * MaskRefiner - Edge-aware, temporally stable segmentation mask
+ *
+ * The segmentation model outputs a low-resolution mask, and with
+ * segmentEveryN > 1 the same mask is reused for a few frames while the
+ * person keeps moving. Once per frame, before the Compositor's main pass,
+ * this renders a refined mask at a small working resolution:
+ *
+ *   1. Guided upsampling - the raw mask is filtered with a joint bilateral
+ *      kernel whose range weights come from the current video frame, so the
+ *      edge snaps to the edges actually in the picture.
+ *   2. Motion compensation - the previous refined mask is warped by a small
+ *      block-matching search on luma (current frame vs. the previous one).
+ *   3. Temporal smoothing - the two are blended, leaning on the fresh model
+ *      output when there is one and on the warped history in between.
+ *
+ * The output is in mask space (display orientation, video aspect) with the
+ * mask in alpha like the raw mask, so the Compositor samples it the same way.
+ * Red holds the frame's luma for the next frame's motion search.
+ */
+
+import * as THREE from 'three';
+
+// Working width of the refined mask (height follows the video aspect)
+const WORK_WIDTH = 320;
+
+const vertexShader = `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const fragmentShader = `
+    uniform sampler2D uMask;       // Raw model mask in alpha, display orientation
+    uniform sampler2D uVideo;      // Camera (unmirrored)
+    uniform sampler2D uHistory;    // Previous output: r = luma, a = refined mask
+    uniform vec2 uTexel;           // 1 / working size
+    uniform float uHistoryWeight;  // 0 right after a reset
+    uniform float uFresh;          // 1 when the model produced this mask this frame
+
+    varying vec2 vUv;
+
+    // Range sigma for the guided filter (sRGB color distance)
+    const float COLOR_SIGMA = 0.1;
+    // Block match error where history stops being trusted
+    const float MATCH_LOW = 0.03;
+    const float MATCH_HIGH = 0.12;
+
+    vec3 video(vec2 uv) {
+        return texture2D(uVideo, vec2(1.0 - uv.x, uv.y)).rgb;
+    }
+
+    float luma(vec3 color) {
+        return dot(color, vec3(0.299, 0.587, 0.114));
+    }
+
+    // Joint bilateral filter of the raw mask, guided by the current frame
+    float guidedMask(vec2 uv, vec3 center) {
+        float sum = 0.0;
+        float total = 0.0;
+
+        for (int y = -2; y <= 2; y++) {
+            for (int x = -2; x <= 2; x++) {
+                vec2 offset = vec2(float(x), float(y));
+                vec2 tap = uv + offset * uTexel;
+                vec3 diff = video(tap) - center;
+
+                float weight = exp(-dot(offset, offset) / 4.5) *
+                    exp(-dot(diff, diff) / (2.0 * COLOR_SIGMA * COLOR_SIGMA));
+                sum += texture2D(uMask, tap).a * weight;
+                total += weight;
+            }
+        }
+        return sum / total;
+    }
+
+    void main() {
+        vec3 center = video(vUv);
+        float current = guidedMask(vUv, center);
+
+        // Current 3x3 luma patch
+        float lumaPatch[9];
+        for (int i = 0; i < 9; i++) {
+            vec2 p = vec2(float(i - (i / 3) * 3 - 1), float(i / 3 - 1));
+            lumaPatch[i] = luma(video(vUv + p * uTexel));
+        }
+
+        // Where was this patch last frame? (+-4 texels, slight preference for no motion)
+        vec2 bestOffset = vec2(0.0);
+        float bestError = 1e6;
+        for (int y = -2; y <= 2; y++) {
+            for (int x = -2; x <= 2; x++) {
+                vec2 offset = vec2(float(x), float(y)) * 2.0 * uTexel;
+                float error = 0.0;
+                for (int i = 0; i < 9; i++) {
+                    vec2 p = vec2(float(i - (i / 3) * 3 - 1), float(i / 3 - 1));
+                    error += abs(lumaPatch[i] - texture2D(uHistory, vUv + offset + p * uTexel).r);
+                }
+                error = error / 9.0 + 0.002 * length(vec2(float(x), float(y)));
+
+                if (error < bestError) {
+                    bestError = error;
+                    bestOffset = offset;
+                }
+            }
+        }
+
+        float history = texture2D(uHistory, vUv + bestOffset).a;
+
+        // Poor matches (occlusion, new content) fall back to the current mask
+        float confidence = uHistoryWeight * (1.0 - smoothstep(MATCH_LOW, MATCH_HIGH, bestError));
+        float blend = uFresh > 0.5 ? 0.35 : 0.75;
+        float mask = mix(current, history, confidence * blend);
+
+        gl_FragColor = vec4(luma(center), 0.0, 0.0, mask);
+    }
+`;
+
+class MaskRefiner {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.targets = [];
+        this.readIndex = 0;
+        this.hasHistory = false;
+
+        this.material = new THREE.ShaderMaterial({
+            vertexShader,
+            fragmentShader,
+            uniforms: {
+                uMask: { value: null },
+                uVideo: { value: null },
+                uHistory: { value: null },
+                uTexel: { value: new THREE.Vector2(1, 1) },
+                uHistoryWeight: { value: 0 },
+                uFresh: { value: 1 }
+            },
+            depthTest: false,
+            depthWrite: false,
+            toneMapped: false
+        });
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.quad.frustumCulled = false;
+        this.scene.add(this.quad);
+    }
+
+    /**
+     * (Re)create the ping-pong targets for a video size
+     */
+    ensureTargets(videoWidth, videoHeight) {
+        const width = WORK_WIDTH;
+        const height = Math.max(1, Math.round(WORK_WIDTH * videoHeight / videoWidth));
+
+        if (this.targets.length && this.targets[0].width === width && this.targets[0].height === height) {
+            return;
+        }
+
+        this.targets.forEach(target => target.dispose());
+        this.targets = [0, 1].map(() => new THREE.WebGLRenderTarget(width, height, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            depthBuffer: false
+        }));
+        this.material.uniforms.uTexel.value.set(1 / width, 1 / height);
+        this.hasHistory = false;
+    }
+
+    /**
+     * Drop history (new background, mask restarted, video size change)
+     */
+    reset() {
+        this.hasHistory = false;
+    }
+
+    /**
+     * Render this frame's refined mask
+     * @param {THREE.Texture} maskTexture - Raw mask
+     * @param {THREE.Texture} videoTexture - Camera video
+     * @param {number} videoWidth
+     * @param {number} videoHeight
+     * @param {boolean} fresh - The mask was produced for this frame
+     * @returns {THREE.Texture} Refined mask (valid until the next update)
+     */
+    update(maskTexture, videoTexture, videoWidth, videoHeight, fresh) {
+        this.ensureTargets(videoWidth, videoHeight);
+
+        const read = this.targets[this.readIndex];
+        const write = this.targets[1 - this.readIndex];
+        const uniforms = this.material.uniforms;
+
+        uniforms.uMask.value = maskTexture;
+        uniforms.uVideo.value = videoTexture;
+        uniforms.uHistory.value = read.texture;
+        uniforms.uHistoryWeight.value = this.hasHistory ? 1 : 0;
+        uniforms.uFresh.value = fresh ? 1 : 0;
+
+        const previousTarget = this.renderer.getRenderTarget();
+        this.renderer.setRenderTarget(write);
+        this.renderer.render(this.scene, this.camera);
+        this.renderer.setRenderTarget(previousTarget);
+
+        this.readIndex = 1 - this.readIndex;
+        this.hasHistory = true;
+        return write.texture;
+    }
+
+    /**
+     * Release GPU resources
+     */
+    dispose() {
+        this.targets.forEach(target => target.dispose());
+        this.targets = [];
+        this.quad.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+export default MaskRefiner;
@@ -1,51 +1,90 @@
 /**
- * MediaCapture - Handles photo and video capture
+ * MediaCapture - Handles photo, video, GIF and Boomerang capture
  *
- * Captures from canvas (with character overlay) and includes audio from microphone.
- * Provides download and native share functionality.
+ * Captures straight from the Compositor's canvas (camera, background, effects
+ * and character already combined), so photos and videos match the live view.
+ * Includes audio from microphone. Provides download and native share functionality.
+ *
+ * Video is recorded as MP4 through WebCodecs (Mp4Recorder, one frame per
+ * composited frame) where the browser supports it, otherwise MediaRecorder.
+ * Recorded videos can be trimmed afterwards (trimVideo), which re-encodes the
+ * chosen range the same way.
+ *
+ * GIF and Boomerang grab a short burst of frames from the canvas
+ * (drawCompositeFrame) and encode them in the browser (GifEncoder); a
+ * Boomerang plays the burst forward then backward. Results come out as
+ * 'gifCaptured' and are shared/downloaded like photos.
+ *
+ * Branded frames (FrameOverlays) are drawn by the Compositor too, so every
+ * capture carries the selected border, logo and hashtag.
  */
 
 import BackgroundEffects from '../effects/BackgroundEffects.js';
 import PhotoFilters from '../effects/PhotoFilters.js';
+import FrameOverlays from '../effects/FrameOverlays.js';
+import Mp4Recorder from './Mp4Recorder.js';
+import { encodeGif } from '../utils/GifEncoder.js';
+import { waitForMediaEvent } from '../utils/waitForMediaEvent.js';
+
+const VIDEO_BITRATE = 2500000; // 2.5 Mbps
+
+// Burst length, grab rate and playback speed per animated mode
+const BURST_MODES = {
+    gif: { duration: 2500, fps: 12, frameDelay: 80 },
+    boomerang: { duration: 1500, fps: 15, frameDelay: 50 }
+};
+
+// GIF size limits - shrink the frames until the file fits (messaging apps cap around 8MB)
+const GIF_MAX_WIDTH = 480;
+const GIF_MIN_WIDTH = 240;
+const GIF_MAX_BYTES = 8 * 1024 * 1024;
 
 class MediaCapture {
-    constructor(canvasElement, videoElement, eventEmitter) {
+    /**
+     * @param {HTMLCanvasElement} canvasElement - Composited output
+     * @param {EventEmitter} eventEmitter
+     * @param {FrameScheduler|null} scheduler - Needed for WebCodecs recording
+     */
+    constructor(canvasElement, eventEmitter, scheduler = null) {
         this.canvas = canvasElement;
-        this.video = videoElement;
         this.events = eventEmitter;
+        this.scheduler = scheduler;
 
         // Recording state
         this.isRecording = false;
+        this.mp4Recorder = null;
         this.mediaRecorder = null;
         this.recordedChunks = [];
         this.recordingStartTime = 0;
-        this.maxRecordingDuration = 30000; // 30 seconds max
+        this.maxRecordingDuration = 30000; // 30 seconds unless setMaxRecordingDuration()
+        this.autoStopTimer = null;
+
+        // Pause state - paused time doesn't count toward the duration
+        this.isPaused = false;
+        this.pauseStartTime = 0;
+        this.pausedDuration = 0;
+        this.recordedDuration = 0;
+
+        // GIF / Boomerang burst in progress (capturing or encoding)
+        this.isCapturingBurst = false;
+        this.burstStartTime = 0;
+        this.burstDuration = 0;
+
+        // Re-exporting a trimmed video
+        this.isTrimming = false;
 
         // Captured media
         this.lastCapturedPhoto = null;
         this.lastCapturedVideo = null;
+        this.lastCapturedGif = null;
 
         // Audio stream
         this.audioStream = null;
 
-        // Composite canvas for combining video + 3D overlay
-        this.compositeCanvas = null;
-        this.compositeCtx = null;
-        this.compositeAnimationId = null;
-
-        // Effects and filters
+        // Effects and filters (rendered by the Compositor, recorded here as capture metadata)
         this.backgroundEffects = new BackgroundEffects();
         this.photoFilters = new PhotoFilters();
-
-        // Segmentation manager (for virtual backgrounds)
-        this.segmentationManager = null;
-    }
-
-    /**
-     * Set the segmentation manager for virtual backgrounds
-     */
-    setSegmentationManager(segmentationManager) {
-        this.segmentationManager = segmentationManager;
+        this.frameOverlays = new FrameOverlays();
     }
 
     /**
@@ -54,10 +93,6 @@ class MediaCapture {
     async initialize() {
         console.log('MediaCapture: Initializing...');
 
-        // Create composite canvas for combining video + 3D overlay
-        this.compositeCanvas = document.createElement('canvas');
-        this.compositeCtx = this.compositeCanvas.getContext('2d');
-
         try {
             // Request audio permission for video recording
             this.audioStream = await navigator.mediaDevices.getUserMedia({
@@ -71,277 +106,416 @@ class MediaCapture {
             // Continue without audio (photos still work)
         }
 
+        this.frameOverlays.initialize();
+
         console.log('MediaCapture: Initialized');
     }
 
     /**
-     * Draw composite frame (video + 3D overlay)
-     * @param {boolean} applyEffects - Whether to apply background effects (default: true)
+     * Capture photo from the composited canvas
      */
-    drawCompositeFrame(applyEffects = true) {
-        // Use the 3D canvas dimensions (matches the live viewport) so the
-        // character overlay aligns exactly with what the user sees on screen.
-        const width = this.canvas.width || this.video.videoWidth || 640;
-        const height = this.canvas.height || this.video.videoHeight || 480;
+    capturePhoto() {
+        console.log('MediaCapture: Capturing photo...');
+
+        try {
+            // Canvas keeps its last composited frame (preserveDrawingBuffer)
+            this.canvas.toBlob((blob) => {
+                if (!blob) {
+                    throw new Error('Failed to capture canvas');
+                }
 
-        // Ensure composite canvas is sized correctly
-        if (this.compositeCanvas.width !== width || this.compositeCanvas.height !== height) {
-            this.compositeCanvas.width = width;
-            this.compositeCanvas.height = height;
-            console.log(`MediaCapture: Composite canvas sized to ${width}x${height}`);
+                this.lastCapturedPhoto = {
+                    blob,
+                    url: URL.createObjectURL(blob),
+                    timestamp: Date.now(),
+                    filename: `beastside-filter-${Date.now()}.jpg`,
+                    ...this.getEffectMetadata()
+                };
+
+                console.log('MediaCapture: Photo captured');
+                this.events.emit('photoCaptured', this.lastCapturedPhoto);
+            }, 'image/jpeg', 0.95); // High quality JPEG
+        } catch (error) {
+            console.error('MediaCapture: Photo capture failed', error);
+            this.events.emit('captureError', { type: 'photo', error });
         }
+    }
 
-        // Clear the canvas first
-        this.compositeCtx.clearRect(0, 0, width, height);
+    /**
+     * Filter/effect settings recorded with photos and GIFs
+     */
+    getEffectMetadata() {
+        return {
+            filter: this.photoFilters.getFilter(),
+            filterIntensity: this.photoFilters.getIntensity(),
+            backgroundEffect: this.backgroundEffects.getEffect(),
+            backgroundEffectParams: this.backgroundEffects.getEffectParams(),
+            frame: this.frameOverlays.getFrame()
+        };
+    }
 
-        // Check if virtual background is enabled
-        const useVirtualBg = this.segmentationManager && this.segmentationManager.isEnabled();
+    /**
+     * Draw the current composited frame into a 2D context
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} width
+     * @param {number} height
+     */
+    drawCompositeFrame(ctx, width, height) {
+        // Canvas keeps its last composited frame (preserveDrawingBuffer)
+        ctx.drawImage(this.canvas, 0, 0, width, height);
+    }
 
-        if (useVirtualBg) {
-            // compositeFrame already handles mirroring internally — no extra mirror here
-            const composited = this.segmentationManager.compositeFrame(
-                this.compositeCtx, this.video, width, height
-            );
+    /**
+     * Capture an animated GIF or Boomerang
+     * @param {Object} options
+     * @param {boolean} options.boomerang - Play forward then backward
+     */
+    async captureGif({ boomerang = false } = {}) {
+        if (this.isRecording || this.isCapturingBurst) {
+            console.warn('MediaCapture: Capture already in progress');
+            return;
+        }
 
-            if (!composited) {
-                // Fallback to regular mirrored video with cover-fit
-                this.drawVideoCoverFit(this.compositeCtx, width, height, true);
-            }
-        } else {
-            // Apply pre-effect (like blur) if enabled
-            if (applyEffects && this.backgroundEffects.hasPreEffect()) {
-                this.backgroundEffects.applyPreEffect(this.compositeCtx);
-            }
+        const mode = BURST_MODES[boomerang ? 'boomerang' : 'gif'];
+        const label = boomerang ? 'Boomerang' : 'GIF';
+        console.log(`MediaCapture: Capturing ${label}...`);
 
-            // Draw video (cover-fit + mirrored to match CSS object-fit: cover + scaleX(-1))
-            if (this.video.readyState >= 2) {
-                this.drawVideoCoverFit(this.compositeCtx, width, height, true);
-            }
+        this.isCapturingBurst = true;
+        this.burstStartTime = Date.now();
+        this.burstDuration = mode.duration;
+        this.events.emit('burstStarted', { boomerang });
 
-            // Reset pre-effect filter before drawing overlay
-            if (applyEffects && this.backgroundEffects.hasPreEffect()) {
-                this.backgroundEffects.resetPreEffect(this.compositeCtx);
+        try {
+            const metadata = this.getEffectMetadata();
+            let frames = await this.captureBurst(mode);
+            this.events.emit('burstCaptured', { boomerang, frames: frames.length });
+
+            let blob;
+            while (true) {
+                const sequence = boomerang ? [...frames, ...frames.slice(1, -1).reverse()] : frames;
+                blob = await encodeGif(sequence, {
+                    delay: mode.frameDelay,
+                    onProgress: (progress) => this.events.emit('gifProgress', { progress })
+                });
+
+                if (blob.size <= GIF_MAX_BYTES || frames[0].width <= GIF_MIN_WIDTH) break;
+
+                // Size scales roughly with pixel count
+                const scale = Math.max(Math.sqrt(GIF_MAX_BYTES / blob.size) * 0.95, GIF_MIN_WIDTH / frames[0].width);
+                console.log(`MediaCapture: ${label} is ${(blob.size / 1024 / 1024).toFixed(1)}MB, re-encoding at ${Math.round(scale * 100)}%`);
+                frames = this.scaleFrames(frames, scale);
             }
 
-            // Apply post-effects (overlays like vignette, tints)
-            if (applyEffects) {
-                this.backgroundEffects.applyPostEffect(this.compositeCtx, width, height);
-            }
-        }
+            const frameCount = boomerang ? Math.max(frames.length * 2 - 2, 1) : frames.length;
+            this.lastCapturedGif = {
+                blob,
+                url: URL.createObjectURL(blob),
+                timestamp: Date.now(),
+                filename: `beastside-${boomerang ? 'boomerang' : 'gif'}-${Date.now()}.gif`,
+                format: 'GIF',
+                boomerang,
+                width: frames[0].width,
+                height: frames[0].height,
+                frames: frameCount,
+                duration: frameCount * mode.frameDelay,
+                ...metadata
+            };
 
-        // Draw 3D canvas overlay on top — composite canvas is the same
-        // size as the 3D canvas, so draw it 1:1 with no scaling
-        this.compositeCtx.drawImage(this.canvas, 0, 0, width, height);
+            console.log(`MediaCapture: ${label} captured (${frameCount} frames, ${(blob.size / 1024 / 1024).toFixed(2)}MB)`);
+            this.events.emit('gifCaptured', this.lastCapturedGif);
+        } catch (error) {
+            console.error(`MediaCapture: ${label} capture failed`, error);
+            this.events.emit('captureError', { type: 'gif', error });
+        } finally {
+            this.isCapturingBurst = false;
+        }
     }
 
     /**
-     * Draw video onto a canvas context using cover-fit (crop, no stretch).
-     * Replicates CSS object-fit: cover behavior.
-     * @param {CanvasRenderingContext2D} ctx - Target context
-     * @param {number} destW - Destination width
-     * @param {number} destH - Destination height
-     * @param {boolean} mirror - Whether to mirror horizontally (selfie mode)
+     * Grab frames from the canvas at the mode's rate
+     * @returns {Promise<ImageData[]>}
      */
-    drawVideoCoverFit(ctx, destW, destH, mirror = false) {
-        const srcW = this.video.videoWidth;
-        const srcH = this.video.videoHeight;
-        if (!srcW || !srcH) return;
+    captureBurst({ duration, fps }) {
+        const scale = Math.min(1, GIF_MAX_WIDTH / this.canvas.width);
+        const width = Math.round(this.canvas.width * scale);
+        const height = Math.round(this.canvas.height * scale);
 
-        const srcAspect = srcW / srcH;
-        const destAspect = destW / destH;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
 
-        // Calculate source crop rect (center crop to match destination aspect)
-        let sx, sy, sw, sh;
-        if (srcAspect > destAspect) {
-            // Video is wider — crop sides
-            sh = srcH;
-            sw = srcH * destAspect;
-            sx = (srcW - sw) / 2;
-            sy = 0;
-        } else {
-            // Video is taller — crop top/bottom
-            sw = srcW;
-            sh = srcW / destAspect;
-            sx = 0;
-            sy = (srcH - sh) / 2;
-        }
+        const frames = [];
+        const interval = 1000 / fps;
+        const start = performance.now();
+        let nextFrame = start;
 
-        ctx.save();
-        if (mirror) {
-            ctx.translate(destW, 0);
-            ctx.scale(-1, 1);
-        }
-        ctx.drawImage(this.video, sx, sy, sw, sh, 0, 0, destW, destH);
-        ctx.restore();
+        return new Promise((resolve) => {
+            const tick = (now) => {
+                if (now >= nextFrame) {
+                    this.drawCompositeFrame(ctx, width, height);
+                    frames.push(ctx.getImageData(0, 0, width, height));
+                    // Don't try to catch up after a slow frame
+                    nextFrame = Math.max(nextFrame + interval, now);
+                }
+
+                if (now - start < duration) {
+                    requestAnimationFrame(tick);
+                } else {
+                    resolve(frames);
+                }
+            };
+            requestAnimationFrame(tick);
+        });
     }
 
     /**
-     * Start composite rendering loop (for video recording)
+     * Resize captured frames (to get a GIF under the size cap)
+     * @param {ImageData[]} frames
+     * @param {number} scale
+     * @returns {ImageData[]}
      */
-    startCompositeLoop() {
-        const loop = () => {
-            if (!this.isRecording) return;
-            this.drawCompositeFrame();
-            this.compositeAnimationId = requestAnimationFrame(loop);
-        };
-        loop();
+    scaleFrames(frames, scale) {
+        const width = Math.round(frames[0].width * scale);
+        const height = Math.round(frames[0].height * scale);
+
+        const source = document.createElement('canvas');
+        source.width = frames[0].width;
+        source.height = frames[0].height;
+        const sourceCtx = source.getContext('2d');
+
+        const target = document.createElement('canvas');
+        target.width = width;
+        target.height = height;
+        const targetCtx = target.getContext('2d', { willReadFrequently: true });
+
+        return frames.map((frame) => {
+            sourceCtx.putImageData(frame, 0, 0);
+            targetCtx.drawImage(source, 0, 0, width, height);
+            return targetCtx.getImageData(0, 0, width, height);
+        });
     }
 
     /**
-     * Stop composite rendering loop
+     * Start video recording
      */
-    stopCompositeLoop() {
-        if (this.compositeAnimationId) {
-            cancelAnimationFrame(this.compositeAnimationId);
-            this.compositeAnimationId = null;
+    async startRecording() {
+        if (this.isRecording) {
+            console.warn('MediaCapture: Already recording');
+            return;
         }
-    }
 
-    /**
-     * Capture photo from composite canvas (video + 3D overlay)
-     */
-    capturePhoto() {
-        console.log('MediaCapture: Capturing photo...');
+        console.log('MediaCapture: Starting video recording...');
 
         try {
-            // Draw composite frame first
-            this.drawCompositeFrame();
-
-            // Apply photo filter if set
-            const filterString = this.photoFilters.getFilterString();
-            let captureCanvas = this.compositeCanvas;
+            this.isRecording = true;
 
-            if (filterString !== 'none') {
-                // Create a filtered copy
-                captureCanvas = this.photoFilters.createFilteredCanvas(this.compositeCanvas);
+            if (!await this.startMp4Recording()) {
+                this.startMediaRecorder();
             }
+            this.recordingStartTime = Date.now();
+            this.isPaused = false;
+            this.pausedDuration = 0;
 
-            // Capture canvas as blob
-            captureCanvas.toBlob((blob) => {
-                if (!blob) {
-                    throw new Error('Failed to capture canvas');
-                }
+            this.scheduleAutoStop();
 
-                this.lastCapturedPhoto = {
-                    blob,
-                    url: URL.createObjectURL(blob),
-                    timestamp: Date.now(),
-                    filename: `beastside-filter-${Date.now()}.jpg`,
-                    filter: this.photoFilters.getFilter(),
-                    backgroundEffect: this.backgroundEffects.getEffect()
-                };
+            console.log('MediaCapture: Recording started');
+            this.events.emit('recordingStarted');
 
-                console.log('MediaCapture: Photo captured');
-                this.events.emit('photoCaptured', this.lastCapturedPhoto);
-            }, 'image/jpeg', 0.95); // High quality JPEG
         } catch (error) {
-            console.error('MediaCapture: Photo capture failed', error);
-            this.events.emit('captureError', { type: 'photo', error });
+            console.error('MediaCapture: Failed to start recording', error);
+            this.isRecording = false;
+            this.events.emit('captureError', { type: 'video', error });
         }
     }
 
     /**
-     * Start video recording
+     * Stop once the recorded time (excluding pauses) reaches the max duration
      */
-    async startRecording() {
-        if (this.isRecording) {
-            console.warn('MediaCapture: Already recording');
+    scheduleAutoStop() {
+        clearTimeout(this.autoStopTimer);
+        this.autoStopTimer = setTimeout(() => {
+            if (this.isRecording && !this.isPaused) {
+                console.log('MediaCapture: Max recording duration reached');
+                this.stopRecording();
+            }
+        }, Math.max(0, this.maxRecordingDuration - this.getRecordingDuration()));
+    }
+
+    /**
+     * Pause recording (resumeRecording() continues the same clip)
+     */
+    pauseRecording() {
+        if (!this.isRecording || this.isPaused) return;
+
+        if (this.mp4Recorder) {
+            this.mp4Recorder.pause();
+        } else if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
+            this.mediaRecorder.pause();
+        } else {
             return;
         }
 
-        console.log('MediaCapture: Starting video recording...');
+        this.isPaused = true;
+        this.pauseStartTime = Date.now();
+        clearTimeout(this.autoStopTimer);
 
-        try {
-            // Initialize composite canvas size
-            this.drawCompositeFrame();
+        console.log('MediaCapture: Recording paused');
+        this.events.emit('recordingPaused');
+    }
 
-            // Start composite rendering loop
-            this.isRecording = true;
-            this.startCompositeLoop();
+    /**
+     * Resume a paused recording
+     */
+    resumeRecording() {
+        if (!this.isRecording || !this.isPaused) return;
 
-            // Create stream from composite canvas (video + 3D overlay)
-            const canvasStream = this.compositeCanvas.captureStream(30); // 30 FPS
+        if (this.mp4Recorder) {
+            this.mp4Recorder.resume();
+        } else if (this.mediaRecorder && this.mediaRecorder.state === 'paused') {
+            this.mediaRecorder.resume();
+        }
 
-            // Combine canvas video with audio
-            let combinedStream;
-            if (this.audioStream) {
-                const audioTracks = this.audioStream.getAudioTracks();
-                const videoTracks = canvasStream.getVideoTracks();
-                combinedStream = new MediaStream([...videoTracks, ...audioTracks]);
-            } else {
-                // Video only (no audio)
-                combinedStream = canvasStream;
-            }
+        this.isPaused = false;
+        this.pausedDuration += Date.now() - this.pauseStartTime;
+        this.scheduleAutoStop();
 
-            // Determine best codec
-            const mimeType = this.getBestMimeType();
-            console.log(`MediaCapture: Using codec: ${mimeType}`);
+        console.log('MediaCapture: Recording resumed');
+        this.events.emit('recordingResumed');
+    }
 
-            // Create MediaRecorder
-            this.mediaRecorder = new MediaRecorder(combinedStream, {
-                mimeType,
-                videoBitsPerSecond: 2500000 // 2.5 Mbps
-            });
+    /**
+     * Set the longest clip (ms of recorded time)
+     * @param {number} duration
+     */
+    setMaxRecordingDuration(duration) {
+        this.maxRecordingDuration = duration;
+        if (this.isRecording && !this.isPaused) {
+            this.scheduleAutoStop();
+        }
+    }
+
+    /**
+     * Record with WebCodecs where available
+     * @returns {Promise<boolean>} Whether recording started
+     */
+    async startMp4Recording() {
+        if (!this.scheduler) return false;
 
-            // Handle data available
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data && event.data.size > 0) {
-                    this.recordedChunks.push(event.data);
+        const audioTrack = this.audioStream ? this.audioStream.getAudioTracks()[0] || null : null;
+        if (!await Mp4Recorder.isSupported(this.canvas, audioTrack)) {
+            return false;
+        }
+
+        const recorder = new Mp4Recorder(this.canvas, this.scheduler, {
+            audioTrack,
+            videoBitrate: VIDEO_BITRATE,
+            onError: () => {
+                // stop() rejects with the error and reports it
+                if (this.mp4Recorder === recorder) {
+                    this.stopRecording();
                 }
-            };
+            }
+        });
 
-            // Handle recording stop
-            this.mediaRecorder.onstop = () => {
-                this.handleRecordingStop();
-            };
+        try {
+            await recorder.start();
+        } catch (error) {
+            console.warn('MediaCapture: WebCodecs recording failed to start, using MediaRecorder', error);
+            return false;
+        }
 
-            // Handle errors
-            this.mediaRecorder.onerror = (error) => {
-                console.error('MediaCapture: Recording error', error);
-                this.stopRecording();
-                this.events.emit('captureError', { type: 'video', error });
-            };
+        this.mp4Recorder = recorder;
+        console.log('MediaCapture: Using WebCodecs (MP4)');
+        return true;
+    }
 
-            // Start recording
-            this.recordedChunks = [];
-            this.mediaRecorder.start(100); // Collect data every 100ms
-            this.recordingStartTime = Date.now();
+    /**
+     * Record the canvas stream with MediaRecorder (no WebCodecs)
+     */
+    startMediaRecorder() {
+        // Stream the composited canvas - the Compositor draws it every frame
+        const canvasStream = this.canvas.captureStream(30); // 30 FPS
 
-            // Auto-stop after max duration
-            setTimeout(() => {
-                if (this.isRecording) {
-                    console.log('MediaCapture: Max recording duration reached');
-                    this.stopRecording();
-                }
-            }, this.maxRecordingDuration);
+        // Combine canvas video with audio
+        let combinedStream;
+        if (this.audioStream) {
+            const audioTracks = this.audioStream.getAudioTracks();
+            const videoTracks = canvasStream.getVideoTracks();
+            combinedStream = new MediaStream([...videoTracks, ...audioTracks]);
+        } else {
+            // Video only (no audio)
+            combinedStream = canvasStream;
+        }
 
-            console.log('MediaCapture: Recording started');
-            this.events.emit('recordingStarted');
+        // Determine best codec
+        const mimeType = this.getBestMimeType();
+        console.log(`MediaCapture: Using codec: ${mimeType}`);
 
-        } catch (error) {
-            console.error('MediaCapture: Failed to start recording', error);
+        // Create MediaRecorder
+        this.mediaRecorder = new MediaRecorder(combinedStream, {
+            mimeType,
+            videoBitsPerSecond: VIDEO_BITRATE
+        });
+
+        // Handle data available
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                this.recordedChunks.push(event.data);
+            }
+        };
+
+        // Handle recording stop
+        this.mediaRecorder.onstop = () => {
+            this.handleRecordingStop();
+        };
+
+        // Handle errors
+        this.mediaRecorder.onerror = (error) => {
+            console.error('MediaCapture: Recording error', error);
+            this.stopRecording();
             this.events.emit('captureError', { type: 'video', error });
-        }
+        };
+
+        // Start recording
+        this.recordedChunks = [];
+        this.mediaRecorder.start(100); // Collect data every 100ms
     }
 
     /**
      * Stop video recording
      */
     stopRecording() {
-        if (!this.isRecording || !this.mediaRecorder) {
+        if (!this.isRecording || (!this.mediaRecorder && !this.mp4Recorder)) {
             console.warn('MediaCapture: Not currently recording');
             return;
         }
 
         console.log('MediaCapture: Stopping recording...');
 
+        clearTimeout(this.autoStopTimer);
+        this.recordedDuration = this.getRecordingDuration();
+
         try {
-            this.mediaRecorder.stop();
+            if (this.mp4Recorder) {
+                const recorder = this.mp4Recorder;
+                this.mp4Recorder = null;
+                recorder.stop()
+                    .then(blob => this.finishRecording(blob))
+                    .catch((error) => {
+                        console.error('MediaCapture: Error finishing MP4', error);
+                        this.events.emit('captureError', { type: 'video', error });
+                    });
+            } else {
+                this.mediaRecorder.stop();
+            }
             this.isRecording = false;
-            this.stopCompositeLoop();
+            this.isPaused = false;
         } catch (error) {
             console.error('MediaCapture: Error stopping recording', error);
         }
+
+        this.events.emit('recordingStopped');
     }
 
     /**
@@ -353,22 +527,7 @@ class MediaCapture {
         try {
             // Combine chunks into blob
             const mimeType = this.mediaRecorder.mimeType;
-            const blob = new Blob(this.recordedChunks, { type: mimeType });
-
-            const duration = Date.now() - this.recordingStartTime;
-            const extension = this.getFileExtension(mimeType);
-
-            this.lastCapturedVideo = {
-                blob,
-                url: URL.createObjectURL(blob),
-                timestamp: Date.now(),
-                duration,
-                filename: `beastside-filter-${Date.now()}.${extension}`,
-                format: extension.toUpperCase()
-            };
-
-            console.log(`MediaCapture: Video recorded as ${extension.toUpperCase()} (${(duration / 1000).toFixed(1)}s, ${(blob.size / 1024 / 1024).toFixed(2)}MB)`);
-            this.events.emit('videoRecorded', this.lastCapturedVideo);
+            this.finishRecording(new Blob(this.recordedChunks, { type: mimeType }));
 
             // Clean up
             this.recordedChunks = [];
@@ -380,6 +539,238 @@ class MediaCapture {
         }
     }
 
+    /**
+     * Publish a finished recording
+     * @param {Blob} blob
+     */
+    finishRecording(blob) {
+        this.lastCapturedVideo = this.createVideoObject(blob, this.recordedDuration);
+
+        const { format, duration } = this.lastCapturedVideo;
+        console.log(`MediaCapture: Video recorded as ${format} (${(duration / 1000).toFixed(1)}s, ${(blob.size / 1024 / 1024).toFixed(2)}MB)`);
+        this.events.emit('videoRecorded', this.lastCapturedVideo);
+    }
+
+    /**
+     * Video object shared by recording and trimming
+     * @param {Blob} blob
+     * @param {number} duration - ms
+     */
+    createVideoObject(blob, duration) {
+        const extension = this.getFileExtension(blob.type);
+        return {
+            blob,
+            url: URL.createObjectURL(blob),
+            timestamp: Date.now(),
+            duration,
+            filename: `beastside-filter-${Date.now()}.${extension}`,
+            format: extension.toUpperCase(),
+            coverTime: null // Seconds; null = first frame
+        };
+    }
+
+    /**
+     * Re-export part of a recorded video
+     *
+     * Plays the clip through once (so it takes as long as the trimmed length),
+     * drawing each frame to a canvas and recording that with the clip's sound.
+     * Call it straight from the Save click: playback and the audio graph are
+     * started before the first await, while the user gesture still counts
+     * (iOS Safari and autoplay rules refuse play() with sound later on).
+     * @param {Object} video - Recorded video object
+     * @param {Object} range
+     * @param {number} range.start - Seconds
+     * @param {number} range.end - Seconds
+     * @param {number|null} [range.coverTime] - Cover frame in the original (seconds)
+     * @returns {Promise<Object|null>} Trimmed video (also emitted as 'videoTrimmed')
+     */
+    async trimVideo(video, { start, end, coverTime = null }) {
+        if (this.isRecording || this.isTrimming) {
+            const error = new Error('Cannot trim while recording or trimming');
+            console.warn('MediaCapture:', error.message);
+            // Lets the trimmer leave its busy state
+            this.events.emit('captureError', { type: 'trim', error });
+            return null;
+        }
+
+        console.log(`MediaCapture: Trimming video to ${start.toFixed(2)}-${end.toFixed(2)}s...`);
+        this.isTrimming = true;
+
+        const source = document.createElement('video');
+        source.playsInline = true;
+        source.preload = 'auto';
+        source.src = video.url;
+
+        let audioContext = null;
+        let recorder = null;
+
+        try {
+            // The clip's sound goes to the recording only, not the speakers
+            audioContext = new AudioContext();
+            const destination = audioContext.createMediaStreamDestination();
+            audioContext.createMediaElementSource(source).connect(destination);
+            const audioResumed = audioContext.resume();
+
+            // Unlock the element for the play() in playClip (the sound isn't heard)
+            source.play().catch(() => {});
+            source.pause();
+
+            await waitForMediaEvent(source, 'loadedmetadata');
+            await audioResumed;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = source.videoWidth;
+            canvas.height = source.videoHeight;
+            const ctx = canvas.getContext('2d');
+            const audioTrack = destination.stream.getAudioTracks()[0] || null;
+
+            source.currentTime = start;
+            await waitForMediaEvent(source, 'seeked', 3000);
+            ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+            recorder = await this.createClipRecorder(canvas, audioTrack);
+            await this.playClip(source, ctx, recorder, start, end);
+            const blob = await recorder.stop();
+            recorder = null;
+
+            const trimmed = this.createVideoObject(blob, Math.round((end - start) * 1000));
+            if (coverTime !== null) {
+                trimmed.coverTime = Math.min(Math.max(coverTime - start, 0), end - start);
+            }
+
+            const previous = this.lastCapturedVideo;
+            this.lastCapturedVideo = trimmed;
+
+            console.log(`MediaCapture: Trimmed video ready (${(trimmed.duration / 1000).toFixed(1)}s, ${(blob.size / 1024 / 1024).toFixed(2)}MB)`);
+            this.events.emit('videoTrimmed', trimmed);
+
+            // The preview has moved on to the trimmed clip
+            if (previous === video) {
+                URL.revokeObjectURL(video.url);
+            }
+            return trimmed;
+        } catch (error) {
+            console.error('MediaCapture: Trimming failed', error);
+            if (recorder) {
+                recorder.cancel();
+            }
+            this.events.emit('captureError', { type: 'trim', error });
+            return null;
+        } finally {
+            source.pause();
+            source.removeAttribute('src');
+            source.load();
+            if (audioContext) {
+                audioContext.close();
+            }
+            this.isTrimming = false;
+        }
+    }
+
+    /**
+     * Recorder for re-exported clips - WebCodecs MP4 where available, else MediaRecorder.
+     * Starts paused; resume() when the first frame is drawn so sound and picture line up.
+     * @returns {Promise<Object>} { frame(ms), resume(), stop(): Promise<Blob>, cancel() }
+     */
+    async createClipRecorder(canvas, audioTrack) {
+        if (await Mp4Recorder.isSupported(canvas, audioTrack)) {
+            const recorder = new Mp4Recorder(canvas, null, { audioTrack, videoBitrate: VIDEO_BITRATE });
+            await recorder.start();
+            recorder.pause();
+            return {
+                frame: now => recorder.captureFrame({ now }),
+                resume: () => recorder.resume(),
+                stop: () => recorder.stop(),
+                cancel: () => recorder.cancel()
+            };
+        }
+
+        const tracks = [...canvas.captureStream(30).getVideoTracks(), ...(audioTrack ? [audioTrack] : [])];
+        const mediaRecorder = new MediaRecorder(new MediaStream(tracks), {
+            mimeType: this.getBestMimeType(),
+            videoBitsPerSecond: VIDEO_BITRATE
+        });
+        const chunks = [];
+        mediaRecorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        mediaRecorder.start(100);
+        mediaRecorder.pause();
+
+        return {
+            // captureStream picks up canvas draws by itself
+            frame: () => {},
+            resume: () => mediaRecorder.resume(),
+            stop: () => new Promise((resolve) => {
+                mediaRecorder.onstop = () => resolve(new Blob(chunks, { type: mediaRecorder.mimeType }));
+                mediaRecorder.stop();
+            }),
+            cancel: () => {
+                if (mediaRecorder.state !== 'inactive') {
+                    mediaRecorder.stop();
+                }
+            }
+        };
+    }
+
+    /**
+     * Play the source from start to end, drawing and recording every new frame
+     */
+    playClip(source, ctx, recorder, start, end) {
+        const { width, height } = ctx.canvas;
+        const useFrameCallback = 'requestVideoFrameCallback' in source;
+
+        return new Promise((resolve, reject) => {
+            let started = false;
+            let lastTime = -1;
+            let done = false;
+
+            const finish = () => {
+                if (done) return;
+                done = true;
+                source.pause();
+                resolve();
+            };
+
+            const draw = (mediaTime) => {
+                if (done) return;
+                if (mediaTime >= end || source.ended) {
+                    finish();
+                    return;
+                }
+
+                if (mediaTime > lastTime) {
+                    lastTime = mediaTime;
+                    ctx.drawImage(source, 0, 0, width, height);
+                    if (!started) {
+                        started = true;
+                        recorder.resume();
+                    }
+                    recorder.frame(mediaTime * 1000);
+                    this.events.emit('trimProgress', { progress: Math.min(1, (mediaTime - start) / (end - start)) });
+                }
+                next();
+            };
+
+            const next = () => {
+                if (useFrameCallback) {
+                    source.requestVideoFrameCallback((now, metadata) => draw(metadata.mediaTime));
+                } else {
+                    requestAnimationFrame(() => draw(source.currentTime));
+                }
+            };
+
+            source.addEventListener('ended', finish, { once: true });
+            next();
+            source.play().catch((error) => {
+                done = true;
+                reject(error);
+            });
+        });
+    }
+
     /**
      * Get best supported MIME type for recording
      * Prioritizes MP4 for better compatibility, falls back to WebM
@@ -430,7 +821,7 @@ class MediaCapture {
     }
 
     /**
-     * Download captured photo
+     * Download captured photo (or GIF)
      */
     downloadPhoto(photo = this.lastCapturedPhoto) {
         if (!photo) {
@@ -468,7 +859,7 @@ class MediaCapture {
     }
 
     /**
-     * Share photo using native share API
+     * Share photo (or GIF) using native share API
      * @param {Object} photo - Photo object to share
      * @returns {Promise<{success: boolean, method: string}>}
      */
@@ -483,7 +874,7 @@ class MediaCapture {
         // Check if Web Share API with files is available
         if (navigator.share && navigator.canShare) {
             try {
-                const file = new File([photo.blob], photo.filename, { type: 'image/jpeg' });
+                const file = new File([photo.blob], photo.filename, { type: photo.blob.type || 'image/jpeg' });
                 const shareData = {
                     title: 'BEASTSIDE Filter',
                     text: 'Check out my BEASTSIDE character! #BEASTSIDE',
@@ -505,9 +896,9 @@ class MediaCapture {
             }
         }
 
-        // Fallback: Try to copy image to clipboard
+        // Fallback: Try to copy image to clipboard (not GIFs - it would become a still PNG)
         try {
-            const copyResult = await this.copyImageToClipboard(photo.blob);
+            const copyResult = photo.format !== 'GIF' && await this.copyImageToClipboard(photo.blob);
             if (copyResult) {
                 console.log('MediaCapture: Photo copied to clipboard');
                 this.events.emit('photoShared', { ...photo, method: 'clipboard' });
@@ -632,11 +1023,31 @@ class MediaCapture {
     }
 
     /**
-     * Get recording duration (while recording)
+     * Get recording duration (while recording or capturing a burst), excluding pauses
      */
     getRecordingDuration() {
+        if (this.isCapturingBurst) return Date.now() - this.burstStartTime;
         if (!this.isRecording) return 0;
-        return Date.now() - this.recordingStartTime;
+        const end = this.isPaused ? this.pauseStartTime : Date.now();
+        return end - this.recordingStartTime - this.pausedDuration;
+    }
+
+    /**
+     * How far through the max duration (or the burst) we are, 0-1
+     */
+    getRecordingProgress() {
+        if (this.isCapturingBurst) {
+            return Math.min(1, this.getRecordingDuration() / this.burstDuration);
+        }
+        if (!this.isRecording) return 0;
+        return Math.min(1, this.getRecordingDuration() / this.maxRecordingDuration);
+    }
+
+    /**
+     * Check if a recording is paused
+     */
+    getIsPaused() {
+        return this.isPaused;
     }
 
     /**
@@ -662,6 +1073,14 @@ class MediaCapture {
         return this.photoFilters;
     }
 
+    /**
+     * Get frame overlays instance
+     * @returns {FrameOverlays}
+     */
+    getFrameOverlays() {
+        return this.frameOverlays;
+    }
+
     /**
      * Set background effect
      * @param {string} effectId - Effect identifier
@@ -678,6 +1097,14 @@ class MediaCapture {
         this.photoFilters.setFilter(filterId);
     }
 
+    /**
+     * Set frame overlay
+     * @param {string} frameId - Frame identifier ('none' for no frame)
+     */
+    setFrameOverlay(frameId) {
+        this.frameOverlays.setFrame(frameId);
+    }
+
     /**
      * Clean up resources
      */
@@ -700,6 +1127,9 @@ class MediaCapture {
         if (this.lastCapturedVideo) {
             URL.revokeObjectURL(this.lastCapturedVideo.url);
         }
+        if (this.lastCapturedGif) {
+            URL.revokeObjectURL(this.lastCapturedGif.url);
+        }
 
         console.log('MediaCapture: Disposed');
     }
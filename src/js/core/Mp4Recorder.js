@@ -0,0 +1,449 @@
+/**
+ * Mp4Recorder - WebCodecs recording of the composited canvas
+ *
+ * MediaRecorder writes whatever container the browser prefers (WebM in
+ * Chrome, which Instagram rejects) and captureStream() samples the canvas on
+ * its own clock, dropping frames under load. This encodes exactly one H.264
+ * frame per composited frame instead - grabbed in the scheduler's 'monitor'
+ * phase, after the Compositor has drawn - stamped with that frame's real
+ * time. The microphone goes in as AAC (Opus where AAC can't be encoded) and
+ * both are muxed into an MP4 in memory.
+ *
+ * Pausing stops both inputs; on resume the timestamps carry on from where
+ * they left off, so the segments play back as one continuous clip.
+ *
+ * Used by MediaCapture when isSupported() resolves true; MediaRecorder stays
+ * the fallback. Without a scheduler, frames are pushed with captureFrame()
+ * (re-exporting a trimmed clip).
+ */
+
+import { Muxer, ArrayBufferTarget } from 'mp4-muxer';
+
+// H.264 High / Main / Baseline at level 4.0 (frames up to 1920x1080)
+const VIDEO_CODECS = ['avc1.640028', 'avc1.4d0028', 'avc1.42e028'];
+const MAX_PIXELS = 1920 * 1080;
+const MAX_DIMENSION = 1920;
+
+const AUDIO_CODECS = ['mp4a.40.2', 'opus'];
+const AUDIO_BITRATE = 128000;
+
+// Keyframe spacing (µs) so trimmed/scrubbed playback seeks quickly
+const KEYFRAME_INTERVAL = 2000000;
+// Frames waiting in the encoder before new ones are dropped (bounds memory on slow devices)
+const MAX_ENCODE_QUEUE = 10;
+
+/**
+ * Largest even size within the H.264 level limits
+ */
+function getEncodeSize(width, height) {
+    const scale = Math.min(1, MAX_DIMENSION / Math.max(width, height), Math.sqrt(MAX_PIXELS / (width * height)));
+    return {
+        width: Math.max(2, Math.floor(width * scale / 2) * 2),
+        height: Math.max(2, Math.floor(height * scale / 2) * 2)
+    };
+}
+
+/**
+ * First config the encoder accepts
+ * @param {typeof VideoEncoder|typeof AudioEncoder} Encoder
+ * @param {Object[]} configs
+ * @returns {Promise<Object|null>}
+ */
+async function findConfig(Encoder, configs) {
+    for (const config of configs) {
+        try {
+            const { supported } = await Encoder.isConfigSupported(config);
+            if (supported) return config;
+        } catch (error) {
+            // Malformed for this browser - try the next one
+        }
+    }
+    return null;
+}
+
+function videoConfigs(size, bitrate) {
+    return VIDEO_CODECS.map(codec => ({
+        codec,
+        width: size.width,
+        height: size.height,
+        bitrate,
+        framerate: 30,
+        avc: { format: 'avc' }
+    }));
+}
+
+function audioConfigs(sampleRate, numberOfChannels) {
+    return AUDIO_CODECS.map(codec => ({ codec, sampleRate, numberOfChannels, bitrate: AUDIO_BITRATE }));
+}
+
+class Mp4Recorder {
+    /**
+     * @param {HTMLCanvasElement} canvas - Composited output
+     * @param {FrameScheduler|null} scheduler - null = call captureFrame() yourself
+     * @param {Object} options
+     * @param {MediaStreamTrack|null} options.audioTrack - Microphone (null = silent video)
+     * @param {number} options.videoBitrate
+     * @param {Function} options.onError - Called once if encoding fails mid-recording
+     */
+    constructor(canvas, scheduler, { audioTrack = null, videoBitrate, onError = null }) {
+        this.canvas = canvas;
+        this.scheduler = scheduler;
+        this.audioTrack = audioTrack;
+        this.videoBitrate = videoBitrate;
+        this.onError = onError;
+
+        this.muxer = null;
+        this.videoEncoder = null;
+        this.audioEncoder = null;
+        this.size = null;
+
+        // Audio tap (a clone of the mic track, so stopping it leaves the original alone)
+        this.audioClone = null;
+        this.audioReader = null;
+        this.audioPump = null;
+
+        // Resizing canvas when the output is larger than the encoder allows
+        this.scaleCanvas = null;
+        this.scaleCtx = null;
+
+        this.recording = false;
+        this.paused = false;
+        this.error = null;
+        this.startTime = null;
+        // Time spent paused (ms, scheduler clock) - taken off video timestamps
+        this.pausedTotal = 0;
+        this.pauseStart = 0;
+        // Mic time skipped by pauses (µs) - taken off audio timestamps from `from` on
+        this.audioShifts = [];
+        this.audioShift = 0;
+        this.audioEnd = null;
+        this.audioGap = false;
+        this.lastKeyFrame = -Infinity;
+        this.frameCount = 0;
+        this.droppedFrames = 0;
+
+        this.captureFrame = this.captureFrame.bind(this);
+        this.removeFrameCallback = null;
+    }
+
+    /**
+     * Whether this browser can record the canvas (and mic) as MP4
+     * @param {HTMLCanvasElement} canvas
+     * @param {MediaStreamTrack|null} audioTrack
+     * @returns {Promise<boolean>}
+     */
+    static async isSupported(canvas, audioTrack = null) {
+        if (typeof VideoEncoder === 'undefined' || typeof VideoFrame === 'undefined') {
+            return false;
+        }
+
+        const size = getEncodeSize(canvas.width, canvas.height);
+        if (!await findConfig(VideoEncoder, videoConfigs(size, 2500000))) {
+            return false;
+        }
+
+        if (!audioTrack) return true;
+
+        // Audio needs the track as AudioData (not in Safari/Firefox yet)
+        if (typeof AudioEncoder === 'undefined' || typeof MediaStreamTrackProcessor === 'undefined') {
+            return false;
+        }
+        const settings = audioTrack.getSettings();
+        return !!await findConfig(AudioEncoder, audioConfigs(settings.sampleRate || 48000, settings.channelCount || 1));
+    }
+
+    /**
+     * Configure encoders and start taking frames
+     */
+    async start() {
+        try {
+            this.size = getEncodeSize(this.canvas.width, this.canvas.height);
+            const videoConfig = await findConfig(VideoEncoder, videoConfigs(this.size, this.videoBitrate));
+            if (!videoConfig) {
+                throw new Error('No supported H.264 encoder');
+            }
+
+            // The first block of audio tells us the real sample rate and channel count
+            let audio = null;
+            if (this.audioTrack) {
+                audio = await this.openAudio();
+            }
+
+            this.muxer = new Muxer({
+                target: new ArrayBufferTarget(),
+                video: { codec: 'avc', width: this.size.width, height: this.size.height },
+                audio: audio ? {
+                    codec: audio.config.codec === 'opus' ? 'opus' : 'aac',
+                    sampleRate: audio.config.sampleRate,
+                    numberOfChannels: audio.config.numberOfChannels
+                } : undefined,
+                fastStart: 'in-memory',
+                // Video and audio clocks differ - each track starts at zero
+                firstTimestampBehavior: 'offset'
+            });
+
+            this.videoEncoder = new VideoEncoder({
+                output: (chunk, meta) => this.muxer.addVideoChunk(chunk, meta),
+                error: error => this.fail(error)
+            });
+            this.videoEncoder.configure(videoConfig);
+
+            this.recording = true;
+
+            if (audio) {
+                this.audioEncoder = new AudioEncoder({
+                    output: (chunk, meta) => this.muxer.addAudioChunk(chunk, meta, chunk.timestamp - this.getAudioShift(chunk.timestamp)),
+                    error: error => this.fail(error)
+                });
+                this.audioEncoder.configure(audio.config);
+                this.encodeAudio(audio.first);
+                audio.first.close();
+                this.audioPump = this.pumpAudio();
+            }
+
+            if (this.scheduler) {
+                this.removeFrameCallback = this.scheduler.add('monitor', this.captureFrame);
+            }
+            console.log(`Mp4Recorder: Recording ${this.size.width}x${this.size.height} ${videoConfig.codec}${audio ? ` + ${audio.config.codec}` : ''}`);
+        } catch (error) {
+            this.cancel();
+            throw error;
+        }
+    }
+
+    /**
+     * Start reading the mic and pick an audio config for it
+     * @returns {Promise<{config: Object, first: AudioData}>}
+     */
+    async openAudio() {
+        this.audioClone = this.audioTrack.clone();
+        const processor = new MediaStreamTrackProcessor({ track: this.audioClone });
+        this.audioReader = processor.readable.getReader();
+
+        const { value: first } = await this.audioReader.read();
+        if (!first) {
+            throw new Error('Microphone ended');
+        }
+
+        const config = await findConfig(AudioEncoder, audioConfigs(first.sampleRate, first.numberOfChannels));
+        if (!config) {
+            first.close();
+            throw new Error('No supported audio encoder');
+        }
+        return { config, first };
+    }
+
+    /**
+     * Feed mic audio to the encoder until stopped
+     */
+    async pumpAudio() {
+        const reader = this.audioReader;
+        try {
+            while (this.recording) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                if (this.recording && !this.paused && this.audioEncoder.state === 'configured') {
+                    this.encodeAudio(value);
+                }
+                value.close();
+            }
+        } catch (error) {
+            // Reader cancelled on stop
+        }
+    }
+
+    /**
+     * Encode mic audio, closing the gap left by a pause
+     * @param {AudioData} data
+     */
+    encodeAudio(data) {
+        if (this.audioGap && this.audioEnd !== null) {
+            this.audioShift += data.timestamp - this.audioEnd;
+            this.audioShifts.push({ from: data.timestamp, shift: this.audioShift });
+        }
+        this.audioGap = false;
+
+        this.audioEncoder.encode(data);
+        this.audioEnd = data.timestamp + data.duration;
+    }
+
+    /**
+     * Pause shift for an encoded audio chunk (by its mic timestamp)
+     */
+    getAudioShift(timestamp) {
+        for (let i = this.audioShifts.length - 1; i >= 0; i--) {
+            if (timestamp >= this.audioShifts[i].from) {
+                return this.audioShifts[i].shift;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Stop taking frames and audio until resume()
+     */
+    pause() {
+        if (!this.recording || this.paused) return;
+
+        this.paused = true;
+        this.pauseStart = performance.now();
+    }
+
+    /**
+     * Carry on recording after pause()
+     */
+    resume() {
+        if (!this.recording || !this.paused) return;
+
+        this.paused = false;
+        if (this.startTime !== null) {
+            this.pausedTotal += performance.now() - this.pauseStart;
+        }
+        this.audioGap = true;
+        // Start the new segment on a keyframe
+        this.lastKeyFrame = -Infinity;
+    }
+
+    /**
+     * Encode the canvas as it is now ('monitor' phase callback, or called directly)
+     * @param {Object} frame
+     * @param {number} frame.now - Frame time in ms (any clock, increasing)
+     */
+    captureFrame({ now }) {
+        if (!this.recording || this.paused || this.videoEncoder.state !== 'configured') return;
+
+        if (this.videoEncoder.encodeQueueSize >= MAX_ENCODE_QUEUE) {
+            this.droppedFrames++;
+            return;
+        }
+
+        if (this.startTime === null) {
+            this.startTime = now;
+        }
+        const timestamp = Math.round((now - this.startTime - this.pausedTotal) * 1000);
+        const keyFrame = timestamp - this.lastKeyFrame >= KEYFRAME_INTERVAL;
+        if (keyFrame) {
+            this.lastKeyFrame = timestamp;
+        }
+
+        const frame = new VideoFrame(this.getFrameSource(), { timestamp });
+        this.videoEncoder.encode(frame, { keyFrame });
+        frame.close();
+        this.frameCount++;
+    }
+
+    /**
+     * The canvas, or a copy at the encoder size when they differ
+     * (output above the level limit, or the window resized mid-recording)
+     */
+    getFrameSource() {
+        const { width, height } = this.size;
+        if (this.canvas.width === width && this.canvas.height === height) {
+            return this.canvas;
+        }
+
+        if (!this.scaleCanvas) {
+            this.scaleCanvas = document.createElement('canvas');
+            this.scaleCanvas.width = width;
+            this.scaleCanvas.height = height;
+            this.scaleCtx = this.scaleCanvas.getContext('2d');
+        }
+        this.scaleCtx.drawImage(this.canvas, 0, 0, width, height);
+        return this.scaleCanvas;
+    }
+
+    /**
+     * Encoder failure - stop taking frames and report once
+     */
+    fail(error) {
+        if (this.error) return;
+
+        console.error('Mp4Recorder: Encoding failed', error);
+        this.error = error;
+        this.recording = false;
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+
+    /**
+     * Stop, flush the encoders and finish the file
+     * @returns {Promise<Blob>} video/mp4
+     */
+    async stop() {
+        this.recording = false;
+        this.stopInputs();
+
+        if (this.audioPump) {
+            await this.audioPump;
+        }
+
+        try {
+            if (!this.error) {
+                await this.videoEncoder.flush();
+                if (this.audioEncoder) {
+                    await this.audioEncoder.flush();
+                }
+            }
+        } catch (error) {
+            this.error = this.error || error;
+        }
+
+        this.closeEncoders();
+
+        if (this.error) {
+            throw this.error;
+        }
+        if (this.frameCount === 0) {
+            throw new Error('No frames were recorded');
+        }
+
+        this.muxer.finalize();
+        const blob = new Blob([this.muxer.target.buffer], { type: 'video/mp4' });
+        this.muxer = null;
+
+        console.log(`Mp4Recorder: ${this.frameCount} frames encoded${this.droppedFrames ? `, ${this.droppedFrames} dropped (encoder busy)` : ''}`);
+        return blob;
+    }
+
+    /**
+     * Stop the frame callback and the mic tap
+     */
+    stopInputs() {
+        if (this.removeFrameCallback) {
+            this.removeFrameCallback();
+            this.removeFrameCallback = null;
+        }
+        if (this.audioReader) {
+            this.audioReader.cancel().catch(() => {});
+            this.audioReader = null;
+        }
+        if (this.audioClone) {
+            this.audioClone.stop();
+            this.audioClone = null;
+        }
+    }
+
+    closeEncoders() {
+        [this.videoEncoder, this.audioEncoder].forEach((encoder) => {
+            if (encoder && encoder.state !== 'closed') {
+                encoder.close();
+            }
+        });
+        this.videoEncoder = null;
+        this.audioEncoder = null;
+    }
+
+    /**
+     * Abandon the recording without producing a file
+     */
+    cancel() {
+        this.recording = false;
+        this.stopInputs();
+        this.closeEncoders();
+        this.muxer = null;
+    }
+}
+
+export default Mp4Recorder;
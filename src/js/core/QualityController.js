@@ -0,0 +1,237 @@
+/**
+ * QualityController - Adaptive runtime quality
+ *
+ * Listens to PerformanceMonitor's once-a-second FPS readings and walks the
+ * QUALITY_STEPS ladder: steps down after a few low readings in a row, steps
+ * back up only after a longer run of good ones. An upgrade that has to be
+ * undone shortly afterwards doubles the wait before that level is tried again,
+ * so a device sitting on the edge doesn't oscillate.
+ *
+ * Levels: 0 = the device tier's settings, higher = cheaper.
+ */
+
+import { performanceConfig, QUALITY_STEPS } from '../config/performance-config.js';
+
+class QualityController {
+    /**
+     * @param {EventEmitter} eventEmitter
+     * @param {Object} modules - { renderer, compositor, cameraManager, segmentationManager, mediaCapture }
+     */
+    constructor(eventEmitter, modules) {
+        this.events = eventEmitter;
+        this.renderer = modules.renderer;
+        this.compositor = modules.compositor;
+        this.cameraManager = modules.cameraManager;
+        this.segmentationManager = modules.segmentationManager;
+        this.mediaCapture = modules.mediaCapture;
+
+        // FPS thresholds (camera-paced, see PerformanceMonitor.targetFPS)
+        this.downgradeFPS = 22;
+        this.upgradeFPS = 27;
+
+        // Consecutive readings (seconds) needed before changing level
+        this.downgradeAfter = 3;
+        this.upgradeAfter = 10;
+
+        // Ignore readings right after a change - shader rebuilds and camera
+        // renegotiation cause a one-off hitch
+        this.settleTime = 2000;
+
+        // A downgrade this soon after an upgrade counts as a failed upgrade
+        this.probationTime = 15000;
+        this.maxUpgradeAfter = 120;
+
+        this.levels = this.buildLevels();
+        this.level = 0;
+        this.lowCount = 0;
+        this.highCount = 0;
+        this.lastChangeTime = 0;
+        this.lastUpgradeTime = 0;
+        // Per-level upgrade wait, grows when upgrading into that level fails
+        this.upgradeWait = this.levels.map(() => this.upgradeAfter);
+
+        this.isRunning = false;
+        this.handlePerformanceUpdate = this.handlePerformanceUpdate.bind(this);
+    }
+
+    /**
+     * Build the cumulative settings for every level
+     * Steps that wouldn't lower quality on this device are skipped.
+     */
+    buildLevels() {
+        const tier = performanceConfig.getSettings();
+        const base = {
+            pixelRatio: tier.pixelRatio,
+            antialiasing: tier.antialiasing,
+            shadowsEnabled: tier.shadowsEnabled,
+            maskRefinement: tier.maskRefinement !== false,
+            videoResolution: { ...tier.videoResolution },
+            segmentEveryN: this.segmentationManager.segmentEveryN
+        };
+
+        const levels = [base];
+        QUALITY_STEPS.forEach(step => {
+            const previous = levels[levels.length - 1];
+            const next = { ...previous };
+            let changed = false;
+
+            if (step.pixelRatio !== undefined && step.pixelRatio < previous.pixelRatio) {
+                next.pixelRatio = step.pixelRatio;
+                changed = true;
+            }
+            if (step.antialiasing === false && previous.antialiasing) {
+                next.antialiasing = false;
+                changed = true;
+            }
+            if (step.shadowsEnabled === false && previous.shadowsEnabled) {
+                next.shadowsEnabled = false;
+                changed = true;
+            }
+            if (step.maskRefinement === false && previous.maskRefinement) {
+                next.maskRefinement = false;
+                changed = true;
+            }
+            if (step.segmentEveryN !== undefined && step.segmentEveryN > previous.segmentEveryN) {
+                next.segmentEveryN = step.segmentEveryN;
+                changed = true;
+            }
+            if (step.videoResolution && step.videoResolution.width < previous.videoResolution.width) {
+                next.videoResolution = { ...step.videoResolution };
+                changed = true;
+            }
+
+            if (changed) levels.push(next);
+        });
+
+        return levels;
+    }
+
+    /**
+     * Start reacting to FPS readings
+     */
+    start() {
+        if (this.isRunning) return;
+
+        console.log(`QualityController: Starting (${this.levels.length} levels)`);
+        this.isRunning = true;
+        this.lastChangeTime = performance.now();
+        this.events.on('performanceUpdate', this.handlePerformanceUpdate);
+    }
+
+    /**
+     * Stop reacting (current level is kept)
+     */
+    stop() {
+        this.isRunning = false;
+        this.events.off('performanceUpdate', this.handlePerformanceUpdate);
+    }
+
+    /**
+     * Count sustained low/high readings and change level when a run is long enough
+     */
+    handlePerformanceUpdate({ fps }) {
+        const now = performance.now();
+
+        // Don't change render targets or camera resolution mid-recording
+        if (this.mediaCapture && this.mediaCapture.isRecording) return;
+        if (now - this.lastChangeTime < this.settleTime) return;
+
+        if (fps < this.downgradeFPS) {
+            this.lowCount++;
+            this.highCount = 0;
+        } else if (fps >= this.upgradeFPS) {
+            this.highCount++;
+            this.lowCount = 0;
+        } else {
+            // In between - hold the current level
+            this.lowCount = 0;
+            this.highCount = 0;
+        }
+
+        if (this.lowCount >= this.downgradeAfter && this.level < this.levels.length - 1) {
+            // Upgrade didn't hold - wait longer before trying that level again
+            if (now - this.lastUpgradeTime < this.probationTime) {
+                this.upgradeWait[this.level] = Math.min(this.upgradeWait[this.level] * 2, this.maxUpgradeAfter);
+            }
+            this.setLevel(this.level + 1, fps);
+        } else if (this.level > 0 && this.highCount >= this.upgradeWait[this.level - 1]) {
+            this.lastUpgradeTime = now;
+            this.setLevel(this.level - 1, fps);
+        }
+    }
+
+    /**
+     * Apply a quality level
+     * @param {number} level - Index into this.levels
+     * @param {number} fps - Reading that triggered the change (for logging)
+     */
+    setLevel(level, fps = null) {
+        level = Math.max(0, Math.min(level, this.levels.length - 1));
+        if (level === this.level) return;
+
+        const previous = this.levels[this.level];
+        const settings = this.levels[level];
+        const direction = level > this.level ? 'down' : 'up';
+
+        console.log(`QualityController: Stepping ${direction} to level ${level}${fps !== null ? ` (${fps} FPS)` : ''}`, settings);
+
+        if (settings.shadowsEnabled !== previous.shadowsEnabled) {
+            this.renderer.setShadowsEnabled(settings.shadowsEnabled);
+        }
+        if (settings.pixelRatio !== previous.pixelRatio) {
+            this.renderer.setPixelRatio(settings.pixelRatio);
+        }
+        if (settings.antialiasing !== previous.antialiasing) {
+            this.renderer.setAntialias(settings.antialiasing);
+        }
+        if (settings.maskRefinement !== previous.maskRefinement) {
+            this.compositor.setMaskRefinement(settings.maskRefinement);
+        }
+        if (settings.segmentEveryN !== previous.segmentEveryN) {
+            this.segmentationManager.setSegmentEveryN(settings.segmentEveryN);
+        }
+        if (settings.videoResolution.width !== previous.videoResolution.width) {
+            const { width, height } = settings.videoResolution;
+            this.cameraManager.setResolution(width, height);
+        }
+
+        this.level = level;
+        this.lowCount = 0;
+        this.highCount = 0;
+        this.lastChangeTime = performance.now();
+
+        this.events.emit('qualityLevelChanged', {
+            level,
+            maxLevel: this.levels.length - 1,
+            direction,
+            settings: { ...settings }
+        });
+    }
+
+    /**
+     * Whether there is nothing left to drop
+     */
+    isAtLowest() {
+        return this.level === this.levels.length - 1;
+    }
+
+    /**
+     * Current level and settings
+     */
+    getState() {
+        return {
+            level: this.level,
+            maxLevel: this.levels.length - 1,
+            settings: { ...this.levels[this.level] }
+        };
+    }
+
+    /**
+     * Stop listening
+     */
+    dispose() {
+        this.stop();
+    }
+}
+
+export default QualityController;
@@ -0,0 +1,326 @@
+/**
+ * SceneBackground - 3D "world" virtual backgrounds
+ *
+ * Renders a GLB environment or an equirectangular panorama into its own
+ * target for the Compositor to put behind the segmented person, instead of a
+ * flat image or video. The view follows the tracked head like a window: the
+ * camera shifts (GLB) or turns (panorama) with the head position from the
+ * faceTracked transform, so near things move against far ones.
+ *
+ * GLB scenes are viewed from the file's first camera if it has one, otherwise
+ * from eye height at the origin looking down -Z. Their animations loop.
+ *
+ * Owned by ThreeRenderer, which renders it in the 'render' phase before the
+ * character. Follows SegmentationManager's backgroundChanged events.
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import SmoothingPipeline from '../utils/SmoothingPipeline.js';
+
+// Camera travel (scene units) with the head at the edge of the frame
+const PARALLAX_SHIFT = 0.25;
+// Camera travel toward the scene with the head at its closest
+const PARALLAX_DEPTH = 0.3;
+// The view pivots around a point this far ahead (GLB scenes)
+const FOCUS_DISTANCE = 3;
+// Panorama look-around (radians) with the head at the edge of the frame
+const PANORAMA_LOOK = 0.2;
+// Head position smoothing (also eases back when the face is lost)
+const HEAD_SMOOTHING = { minCutoff: 1.2, beta: 1.0, dCutoff: 1.0 };
+
+const DEFAULT_FOV = 60;
+const DEFAULT_EYE_HEIGHT = 1.6;
+
+class SceneBackground {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {EventEmitter} eventEmitter
+     * @param {THREE.Texture|null} environment - Environment map for PBR materials
+     */
+    constructor(renderer, eventEmitter, environment) {
+        this.renderer = renderer;
+        this.events = eventEmitter;
+        this.loader = new GLTFLoader();
+        this.textureLoader = new THREE.TextureLoader();
+
+        this.scene = new THREE.Scene();
+        this.scene.environment = environment;
+        this.scene.add(new THREE.HemisphereLight(0xffffff, 0x444444, 1));
+
+        this.camera = new THREE.PerspectiveCamera(DEFAULT_FOV, 1, 0.05, 1000);
+        this.clock = new THREE.Clock();
+
+        // Loaded content
+        this.type = null;          // 'scene' | 'panorama'
+        this.content = null;       // GLB root or panorama texture
+        this.mixer = null;
+        this.loadId = 0;
+        this.ready = false;
+
+        // View the parallax moves around
+        this.basePosition = new THREE.Vector3(0, DEFAULT_EYE_HEIGHT, 0);
+        this.baseQuaternion = new THREE.Quaternion();
+
+        // Head position in display space (x right, y up, z toward the camera)
+        this.head = new THREE.Vector3();
+        this.headTarget = new THREE.Vector3();
+        this.smoothing = new SmoothingPipeline({ head: HEAD_SMOOTHING });
+
+        // Scratch vectors for updateCamera()
+        this.right = new THREE.Vector3();
+        this.up = new THREE.Vector3();
+        this.forward = new THREE.Vector3();
+        this.focus = new THREE.Vector3();
+
+        this.target = new THREE.WebGLRenderTarget(1, 1, {
+            type: THREE.HalfFloatType,
+            depthBuffer: true
+        });
+
+        this.handleBackgroundChanged = this.handleBackgroundChanged.bind(this);
+        this.handleFaceTracked = this.handleFaceTracked.bind(this);
+        this.handleFaceDetected = this.handleFaceDetected.bind(this);
+
+        this.events.on('backgroundChanged', this.handleBackgroundChanged);
+        this.events.on('faceTracked', this.handleFaceTracked);
+        this.events.on('faceDetected', this.handleFaceDetected);
+    }
+
+    /**
+     * Load or drop the scene as the virtual background changes
+     */
+    handleBackgroundChanged({ enabled, scene }) {
+        if (enabled && scene) {
+            this.load(scene).catch((error) => {
+                console.error('SceneBackground: Failed to load', scene.src, error);
+            });
+        } else {
+            this.clear();
+        }
+    }
+
+    /**
+     * Follow the head (the camera image is mirrored on screen)
+     */
+    handleFaceTracked({ transform }) {
+        const { position } = transform;
+        this.headTarget.set(
+            -position.x,
+            position.y,
+            THREE.MathUtils.clamp(position.z, -1, 1)
+        );
+    }
+
+    handleFaceDetected({ detected }) {
+        if (!detected) {
+            this.headTarget.set(0, 0, 0);
+        }
+    }
+
+    /**
+     * Load a GLB environment or a panorama
+     * @param {Object} source - { type: 'scene' | 'panorama', src }
+     */
+    async load({ type, src }) {
+        this.clear();
+        const loadId = this.loadId;
+
+        if (type === 'panorama') {
+            const texture = await this.textureLoader.loadAsync(src);
+            if (loadId !== this.loadId) {
+                texture.dispose();
+                return;
+            }
+
+            texture.mapping = THREE.EquirectangularReflectionMapping;
+            texture.colorSpace = THREE.SRGBColorSpace;
+            this.scene.background = texture;
+            this.content = texture;
+            this.basePosition.set(0, 0, 0);
+            this.baseQuaternion.identity();
+            this.camera.fov = DEFAULT_FOV;
+        } else {
+            const gltf = await this.loader.loadAsync(src);
+            if (loadId !== this.loadId) {
+                this.disposeObject(gltf.scene);
+                return;
+            }
+
+            this.scene.add(gltf.scene);
+            this.content = gltf.scene;
+            this.setBaseView(gltf);
+
+            if (gltf.animations.length > 0) {
+                this.mixer = new THREE.AnimationMixer(gltf.scene);
+                gltf.animations.forEach(clip => this.mixer.clipAction(clip).play());
+            }
+        }
+
+        this.type = type;
+        this.camera.updateProjectionMatrix();
+        this.clock.getDelta();
+        this.ready = true;
+        console.log(`SceneBackground: Loaded ${type} ${src}`);
+    }
+
+    /**
+     * Take the viewpoint from the GLB's first camera, if it has one
+     */
+    setBaseView(gltf) {
+        const sourceCamera = gltf.cameras[0];
+
+        if (sourceCamera) {
+            gltf.scene.updateMatrixWorld(true);
+            sourceCamera.matrixWorld.decompose(this.basePosition, this.baseQuaternion, new THREE.Vector3());
+            this.camera.fov = sourceCamera.isPerspectiveCamera ? sourceCamera.fov : DEFAULT_FOV;
+        } else {
+            this.basePosition.set(0, DEFAULT_EYE_HEIGHT, 0);
+            this.baseQuaternion.identity();
+            this.camera.fov = DEFAULT_FOV;
+        }
+    }
+
+    /**
+     * Remove the current scene (also cancels a load in progress)
+     */
+    clear() {
+        this.loadId++;
+        this.ready = false;
+
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+            this.mixer = null;
+        }
+
+        if (this.type === 'panorama') {
+            this.scene.background = null;
+            this.content.dispose();
+        } else if (this.content) {
+            this.scene.remove(this.content);
+            this.disposeObject(this.content);
+        }
+
+        this.type = null;
+        this.content = null;
+        this.head.set(0, 0, 0);
+        this.smoothing.reset();
+    }
+
+    /**
+     * Free a GLB's geometries, materials and textures
+     */
+    disposeObject(root) {
+        root.traverse((object) => {
+            if (!object.isMesh) return;
+
+            object.geometry.dispose();
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach((material) => {
+                Object.values(material).forEach((value) => {
+                    if (value && value.isTexture) value.dispose();
+                });
+                material.dispose();
+            });
+        });
+    }
+
+    /**
+     * Whether a scene is loaded and rendering
+     */
+    isReady() {
+        return this.ready;
+    }
+
+    /**
+     * Rendered background (linear; matches the canvas drawing buffer)
+     * @returns {THREE.Texture}
+     */
+    getTexture() {
+        return this.target.texture;
+    }
+
+    /**
+     * Whether the Compositor should tone map the output like the character
+     * (lit GLB scenes; panoramas are already display-referred photos)
+     */
+    isToneMapped() {
+        return this.type === 'scene';
+    }
+
+    /**
+     * Match the view (call on resize / pixel ratio changes)
+     * @param {number} width - Drawing buffer width
+     * @param {number} height - Drawing buffer height
+     */
+    setSize(width, height) {
+        this.target.setSize(width, height);
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+    }
+
+    /**
+     * Move the view with the head
+     */
+    updateCamera() {
+        const now = performance.now();
+        this.head.set(
+            this.smoothing.filter('head', 'x', this.headTarget.x, now),
+            this.smoothing.filter('head', 'y', this.headTarget.y, now),
+            this.smoothing.filter('head', 'z', this.headTarget.z, now)
+        );
+        const camera = this.camera;
+
+        if (this.type === 'panorama') {
+            // Turn the other way, like looking through a window from the side
+            camera.position.set(0, 0, 0);
+            camera.rotation.set(-this.head.y * PANORAMA_LOOK, this.head.x * PANORAMA_LOOK, 0, 'YXZ');
+            return;
+        }
+
+        const right = this.right.set(1, 0, 0).applyQuaternion(this.baseQuaternion);
+        const up = this.up.set(0, 1, 0).applyQuaternion(this.baseQuaternion);
+        const forward = this.forward.set(0, 0, -1).applyQuaternion(this.baseQuaternion);
+
+        camera.position.copy(this.basePosition)
+            .addScaledVector(right, this.head.x * PARALLAX_SHIFT)
+            .addScaledVector(up, this.head.y * PARALLAX_SHIFT)
+            .addScaledVector(forward, this.head.z * PARALLAX_DEPTH);
+
+        // Pivot around the focus point so near geometry moves against far geometry
+        camera.up.copy(up);
+        camera.lookAt(this.focus.copy(this.basePosition).addScaledVector(forward, FOCUS_DISTANCE));
+    }
+
+    /**
+     * Render this frame's background into the target
+     */
+    render() {
+        if (!this.ready) return;
+
+        const delta = this.clock.getDelta();
+        if (this.mixer) {
+            this.mixer.update(delta);
+        }
+        this.updateCamera();
+
+        const previousTarget = this.renderer.getRenderTarget();
+        this.renderer.setRenderTarget(this.target);
+        this.renderer.clear();
+        this.renderer.render(this.scene, this.camera);
+        this.renderer.setRenderTarget(previousTarget);
+    }
+
+    /**
+     * Release GPU resources and listeners
+     */
+    dispose() {
+        this.clear();
+        this.events.off('backgroundChanged', this.handleBackgroundChanged);
+        this.events.off('faceTracked', this.handleFaceTracked);
+        this.events.off('faceDetected', this.handleFaceDetected);
+        this.target.dispose();
+    }
+}
+
+export default SceneBackground;
@@ -1,14 +1,74 @@
 /**
  * SegmentationManager - Handles person segmentation for virtual backgrounds
  *
- * Uses MediaPipe Selfie Segmentation to separate person from background
+ * Uses MediaPipe Selfie Segmentation to separate person from background,
+ * or the vision worker's ImageSegmenter when one is attached (setVisionWorker).
+ * Produces the mask and background source; the Compositor does the blending.
+ *
+ * Masks are produced while a virtual background is active or an effect asks
+ * for one (setMaskRequired, e.g. Portrait blur).
+ *
+ * Backgrounds are images, videos, or 3D "worlds" - GLB scenes ('scene') and
+ * equirectangular panoramas ('panorama') that ThreeRenderer's SceneBackground
+ * renders with head-tracked parallax.
+ *
+ * The background catalog comes from the WordPress plugin (Settings → BEASTSIDE
+ * Backgrounds, inlined in beastsideFiltersConfig.backgrounds), falling
+ * back to the bundled backgrounds in local development.
+ *
+ * Users can add their own image/video backgrounds (addCustomBackground); the
+ * most recent few are kept in IndexedDB with the fit (zoom/position) picked
+ * for them.
+ *
+ * In front of a physical green screen, chroma-key mode (setChromaKey) keys
+ * the camera frame against a picked color instead of running the model. It
+ * produces the same mask, so backgrounds, effects and captures don't change;
+ * the Compositor also removes the key color's spill from the person.
+ */
+
+import BackgroundStore from '../utils/BackgroundStore.js';
+import { hexToRgb, rgbToHex } from '../effects/EffectRegistry.js';
+
+// Custom backgrounds kept across visits (oldest dropped first)
+const MAX_CUSTOM_BACKGROUNDS = 5;
+const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+const MAX_VIDEO_DURATION = 60;
+
+// Cover-fit, centered
+const DEFAULT_FIT = { zoom: 1, x: 0.5, y: 0.5 };
+
+// Bundled backgrounds (file names under the backgrounds path) when no catalog is configured
+const DEFAULT_CATALOG = [
+    { id: 'subway', name: 'Subway', icon: 'train', src: 'Subway_Website.webm', type: 'video' }
+];
+
+// Background types rendered in 3D by SceneBackground (no fit controls)
+const SCENE_TYPES = ['scene', 'panorama'];
+const TYPE_ICONS = { image: 'image', video: 'video', scene: 'box', panorama: 'globe' };
+
+// Chroma key: width of the keyed frame (height follows the video aspect)
+const KEY_WIDTH = 320;
+const CHROMA_KEY_STORAGE_KEY = 'beastside-filters:chroma-key';
+// tolerance/softness are distances in CbCr space, spill is 0-1
+const DEFAULT_CHROMA_KEY = { enabled: false, color: '#00b140', tolerance: 0.15, softness: 0.08, spill: 0.6 };
+
+/**
+ * Chroma (Cb, Cr) of an sRGB color, components 0-1 (BT.601, same as the Compositor's despill)
  */
+function chroma(r, g, b) {
+    const y = 0.299 * r + 0.587 * g + 0.114 * b;
+    return [(b - y) * 0.564, (r - y) * 0.713];
+}
 
 class SegmentationManager {
-    constructor(videoElement, events) {
+    constructor(videoElement, events, scheduler) {
         this.video = videoElement;
         this.events = events;
+        this.scheduler = scheduler;
+        this.removeFrameCallback = null;
         this.segmentation = null;
+        this.visionWorker = null;
+        this.useWorker = false;
         this.isRunning = false;
         this.isProcessing = false;
         this.hasMask = false;
@@ -17,25 +77,29 @@ class SegmentationManager {
         this.currentBackground = null;
         this.backgroundImage = null;
         this.enabled = false;
-
-        // Reusable canvases for performance
-        this.tempCanvas = null;
-        this.tempCtx = null;
-        this.blurredMaskCanvas = null;
-        this.blurredMaskCtx = null;
+        // A background effect needs the mask (segmentation runs without a virtual background)
+        this.maskRequired = false;
 
         // Frame skipping for segmentation (run every N frames, reuse mask between)
         this.frameCount = 0;
         this.segmentEveryN = 2;
+        this.processFrame = this.processFrame.bind(this);
 
         // Background video element (for video backgrounds)
         this.backgroundVideo = null;
 
-        // Available backgrounds
+        // Available backgrounds: none, then the catalog and custom uploads (see prepareBackgrounds)
         this.backgrounds = [
-            { id: 'none', name: 'None', icon: 'circle-off', src: null },
-            { id: 'subway', name: 'Subway', icon: 'train', src: '/assets/backgrounds/Subway_Website.webm', type: 'video' }
+            { id: 'none', name: 'None', icon: 'circle-off', src: null }
         ];
+
+        this.store = new BackgroundStore();
+        this.saveFitTimeout = null;
+
+        // Green screen keying (used instead of the model when enabled)
+        this.chromaKey = this.loadChromaKey();
+        this.keyCanvas = null;
+        this.keyCtx = null;
     }
 
     /**
@@ -48,6 +112,33 @@ class SegmentationManager {
         this.maskCanvas = document.createElement('canvas');
         this.maskCtx = this.maskCanvas.getContext('2d', { willReadFrequently: true });
 
+        const loaded = await this.loadModel();
+
+        // Chroma key works without a model, so backgrounds are always offered
+        await this.prepareBackgrounds();
+
+        console.log(`SegmentationManager: Initialized (${loaded ? (this.useWorker ? 'worker' : 'main thread') : 'chroma key only'})`);
+        return loaded;
+    }
+
+    /**
+     * Load the segmentation model - in the vision worker if attached, else on the main thread
+     * @returns {Promise<boolean>} Whether a model is available
+     */
+    async loadModel() {
+        // Prefer the worker when attached - keeps segmentation off the main thread
+        if (this.visionWorker) {
+            try {
+                await this.visionWorker.load('segmentation');
+                this.visionWorker.setHandler('segmentation', (mask) => this.onWorkerMask(mask));
+                this.visionWorker.segmentEveryN = this.segmentEveryN;
+                this.useWorker = true;
+                return true;
+            } catch (error) {
+                console.error('SegmentationManager: Vision worker failed to load - segmentation falls back to the main thread', error);
+            }
+        }
+
         // Check if SelfieSegmentation is available
         if (typeof SelfieSegmentation === 'undefined') {
             console.warn('SegmentationManager: SelfieSegmentation not available');
@@ -70,81 +161,142 @@ class SegmentationManager {
 
             // Initialize the model
             await this.segmentation.initialize();
-
-            // Generate thumbnails for video backgrounds
-            await this.generateThumbnails();
-
-            console.log('SegmentationManager: Initialized successfully');
             return true;
         } catch (error) {
             console.error('SegmentationManager: Failed to initialize', error);
+            this.segmentation = null;
             return false;
         }
     }
 
     /**
-     * Start segmentation processing
+     * Run segmentation in a vision worker (call before initialize())
+     * @param {VisionWorker} visionWorker
      */
-    async start() {
-        if (!this.segmentation || this.isRunning) return;
+    setVisionWorker(visionWorker) {
+        this.visionWorker = visionWorker;
+    }
 
-        this.isRunning = true;
-        this.processFrame();
+    /**
+     * Run segmentation every N camera frames (the mask is reused in between)
+     * @param {number} n
+     */
+    setSegmentEveryN(n) {
+        this.segmentEveryN = n;
+        if (this.visionWorker) {
+            this.visionWorker.segmentEveryN = n;
+        }
     }
 
     /**
-     * Stop segmentation processing
+     * Whether the model loaded (on either path)
      */
-    stop() {
-        this.isRunning = false;
+    hasModel() {
+        return !!this.segmentation || this.useWorker;
     }
 
     /**
-     * Process a single frame (internal loop)
+     * Whether masks could be produced (model loaded, or keying a green screen)
      */
-    async processFrame() {
-        if (!this.isRunning || !this.enabled) {
-            // If not enabled, still schedule next frame to check
-            if (this.isRunning) {
-                requestAnimationFrame(() => this.processFrame());
-            }
-            return;
+    isAvailable() {
+        return this.hasModel() || this.chromaKey.enabled;
+    }
+
+    /**
+     * Whether masks are currently being produced
+     */
+    isSegmenting() {
+        return this.enabled || this.maskRequired;
+    }
+
+    /**
+     * Produce masks for an effect even without a virtual background
+     * @param {boolean} required
+     */
+    setMaskRequired(required) {
+        if (required === this.maskRequired) return;
+
+        const wasSegmenting = this.isSegmenting();
+        this.maskRequired = required;
+
+        if (!wasSegmenting && this.isSegmenting()) {
+            // Don't use a mask left over from before segmentation paused
+            this.hasMask = false;
+            this.isProcessing = false;
         }
+        this.updateWorkerState();
+    }
 
-        if (this.video.readyState >= 2) {
-            try {
-                await this.segmentation.send({ image: this.video });
-            } catch (error) {
-                console.error('SegmentationManager: Frame processing error', error);
-            }
+    /**
+     * Only ask the worker for masks while a background or mask effect is active
+     */
+    updateWorkerState() {
+        if (!this.useWorker) return;
+
+        const active = this.isSegmenting() && !this.chromaKey.enabled;
+        this.visionWorker.setActive('segmentation', active);
+        if (active) {
+            this.visionWorker.start();
         }
+    }
+
+    /**
+     * Start segmentation processing (FrameScheduler 'segment' phase)
+     */
+    start() {
+        if (this.removeFrameCallback) return;
 
-        requestAnimationFrame(() => this.processFrame());
+        this.isRunning = true;
+        this.removeFrameCallback = this.scheduler.add('segment', this.processFrame);
     }
 
     /**
-     * Process current frame (fire and forget)
-     * Called from the render loop - results update mask asynchronously
+     * Stop segmentation processing
      */
-    processCurrentFrame() {
-        if (!this.segmentation || !this.enabled || this.video.readyState < 2) {
-            return;
+    stop() {
+        this.isRunning = false;
+
+        if (this.removeFrameCallback) {
+            this.removeFrameCallback();
+            this.removeFrameCallback = null;
+        }
+    }
+
+    /**
+     * Segment the current camera frame
+     * Awaited by the scheduler so the composite step draws this frame's mask.
+     * @param {Object} frame - Scheduler frame info
+     */
+    processFrame(frame) {
+        if (!this.isSegmenting() || !frame.isNewVideoFrame || this.video.readyState < 2) {
+            return null;
+        }
+
+        // Keying is cheap - key every frame
+        if (this.chromaKey.enabled) {
+            this.keyFrame();
+            return null;
+        }
+
+        // The worker segments on its own schedule
+        if (!this.segmentation) {
+            return null;
         }
 
         // Skip frames — reuse the last mask between segmentation runs
         this.frameCount++;
         if (this.frameCount % this.segmentEveryN !== 0) {
-            return;
+            return null;
         }
 
         // Don't send if already processing
         if (this.isProcessing) {
-            return;
+            return null;
         }
 
         this.isProcessing = true;
 
-        this.segmentation.send({ image: this.video }).then(() => {
+        return this.segmentation.send({ image: this.video }).then(() => {
             this.isProcessing = false;
         }).catch((error) => {
             console.error('SegmentationManager: Frame processing error', error);
@@ -156,7 +308,8 @@ class SegmentationManager {
      * Handle segmentation results
      */
     onResults(results) {
-        if (!results.segmentationMask) {
+        // A frame sent before switching to chroma key
+        if (!results.segmentationMask || this.chromaKey.enabled) {
             if (this.pendingResolve) {
                 this.pendingResolve();
                 this.pendingResolve = null;
@@ -164,6 +317,195 @@ class SegmentationManager {
             return;
         }
 
+        this.updateMask(results.segmentationMask);
+
+        // Resolve pending promise if waiting
+        if (this.pendingResolve) {
+            this.pendingResolve();
+            this.pendingResolve = null;
+        }
+    }
+
+    /**
+     * Handle a mask from the vision worker
+     * @param {ImageBitmap} mask - Person confidence in alpha, unmirrored
+     */
+    onWorkerMask(mask) {
+        if (this.isSegmenting() && !this.chromaKey.enabled && this.maskCanvas) {
+            // Mirror to match Selfie Segmentation's selfieMode output
+            this.updateMask(mask, true);
+        }
+        mask.close();
+    }
+
+    /**
+     * Key the current camera frame into a mask
+     * Person confidence is the distance of each pixel's chroma from the key
+     * color, ramped over the softness band past the tolerance.
+     */
+    keyFrame() {
+        const width = KEY_WIDTH;
+        const height = Math.max(1, Math.round(KEY_WIDTH * this.video.videoHeight / this.video.videoWidth));
+
+        if (!this.keyCanvas) {
+            this.keyCanvas = document.createElement('canvas');
+            this.keyCtx = this.keyCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        if (this.keyCanvas.width !== width || this.keyCanvas.height !== height) {
+            this.keyCanvas.width = width;
+            this.keyCanvas.height = height;
+        }
+
+        // Mirrored, like the model's selfieMode output
+        this.keyCtx.save();
+        this.keyCtx.translate(width, 0);
+        this.keyCtx.scale(-1, 1);
+        this.keyCtx.drawImage(this.video, 0, 0, width, height);
+        this.keyCtx.restore();
+
+        const image = this.keyCtx.getImageData(0, 0, width, height);
+        const pixels = image.data;
+        const { tolerance, softness } = this.chromaKey;
+        const [keyCb, keyCr] = this.getKeyChroma();
+        const edge = Math.max(softness, 0.001);
+
+        for (let i = 0; i < pixels.length; i += 4) {
+            // chroma() inlined - no per-pixel array allocations
+            const r = pixels[i] / 255;
+            const g = pixels[i + 1] / 255;
+            const b = pixels[i + 2] / 255;
+            const y = 0.299 * r + 0.587 * g + 0.114 * b;
+            const dCb = (b - y) * 0.564 - keyCb;
+            const dCr = (r - y) * 0.713 - keyCr;
+            const distance = Math.sqrt(dCb * dCb + dCr * dCr);
+            const t = Math.min(Math.max((distance - tolerance) / edge, 0), 1);
+
+            pixels[i] = pixels[i + 1] = pixels[i + 2] = 255;
+            pixels[i + 3] = Math.round(t * t * (3 - 2 * t) * 255);
+        }
+
+        this.keyCtx.putImageData(image, 0, 0);
+        this.updateMask(this.keyCanvas);
+    }
+
+    /**
+     * Read the chroma key settings saved on this device
+     */
+    loadChromaKey() {
+        const settings = { ...DEFAULT_CHROMA_KEY };
+
+        try {
+            Object.assign(settings, JSON.parse(localStorage.getItem(CHROMA_KEY_STORAGE_KEY)));
+        } catch (error) {
+            console.warn('SegmentationManager: Could not load chroma key settings', error);
+        }
+
+        // Events can switch the key on for a page: ?chroma or define('BEASTSIDE_FILTERS_CHROMA_KEY', true)
+        if (typeof window !== 'undefined') {
+            const params = new URLSearchParams(window.location.search);
+            if (params.has('chroma')) {
+                settings.enabled = params.get('chroma') !== '0';
+            } else if (window.beastsideFiltersConfig && window.beastsideFiltersConfig.chromaKey) {
+                settings.enabled = true;
+            }
+        }
+
+        return settings;
+    }
+
+    saveChromaKey() {
+        try {
+            localStorage.setItem(CHROMA_KEY_STORAGE_KEY, JSON.stringify(this.chromaKey));
+        } catch (error) {
+            console.warn('SegmentationManager: Could not save chroma key settings', error);
+        }
+    }
+
+    /**
+     * Check if masks come from the chroma key
+     */
+    isChromaKey() {
+        return this.chromaKey.enabled;
+    }
+
+    /**
+     * Get the chroma key settings
+     * @returns {Object} { enabled, color: '#rrggbb', tolerance, softness, spill }
+     */
+    getChromaKey() {
+        return this.chromaKey;
+    }
+
+    /**
+     * Chroma (Cb, Cr) of the key color, for the Compositor's spill suppression
+     * @returns {number[]} [cb, cr]
+     */
+    getKeyChroma() {
+        return chroma(...hexToRgb(this.chromaKey.color));
+    }
+
+    /**
+     * Switch between the model and the chroma key
+     * @param {boolean} enabled
+     */
+    setChromaKey(enabled) {
+        if (enabled === this.chromaKey.enabled) return;
+
+        this.chromaKey.enabled = enabled;
+        this.saveChromaKey();
+
+        // Don't blend the other source's last mask
+        this.hasMask = false;
+        this.isProcessing = false;
+        this.updateWorkerState();
+        console.log(`SegmentationManager: Chroma key ${enabled ? 'on' : 'off'}`);
+    }
+
+    /**
+     * Use the camera color under a point of the view as the key color
+     * @param {number} x - CSS px from the view's left edge
+     * @param {number} y - CSS px from the view's top edge
+     * @param {number} viewWidth
+     * @param {number} viewHeight
+     * @returns {string|null} The new key color, or null if the camera isn't ready
+     */
+    pickKeyColor(x, y, viewWidth, viewHeight) {
+        const { videoWidth, videoHeight } = this.video;
+        if (this.video.readyState < 2 || !videoWidth) return null;
+
+        // Undo the cover fit and the mirroring
+        const scale = Math.max(viewWidth / videoWidth, viewHeight / videoHeight);
+        const videoX = videoWidth - (x - (viewWidth - videoWidth * scale) / 2) / scale;
+        const videoY = (y - (viewHeight - videoHeight * scale) / 2) / scale;
+
+        // Average a small patch to ride out sensor noise
+        const size = 9;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(this.video, videoX - size / 2, videoY - size / 2, size, size, 0, 0, size, size);
+
+        const pixels = ctx.getImageData(0, 0, size, size).data;
+        const sum = [0, 0, 0];
+        for (let i = 0; i < pixels.length; i += 4) {
+            sum[0] += pixels[i];
+            sum[1] += pixels[i + 1];
+            sum[2] += pixels[i + 2];
+        }
+
+        const count = pixels.length / 4;
+        const color = rgbToHex(sum.map(c => c / count / 255));
+        this.setControlValue('keyColor', color);
+        return color;
+    }
+
+    /**
+     * Draw a new mask into the mask canvas and notify listeners
+     * @param {CanvasImageSource} source - Segmentation mask
+     * @param {boolean} mirror - Flip horizontally while drawing
+     */
+    updateMask(source, mirror = false) {
         // Update mask canvas size if needed
         if (this.maskCanvas.width !== this.video.videoWidth ||
             this.maskCanvas.height !== this.video.videoHeight) {
@@ -173,22 +515,22 @@ class SegmentationManager {
 
         // Clear and draw the segmentation mask (scaled to fill canvas)
         this.maskCtx.clearRect(0, 0, this.maskCanvas.width, this.maskCanvas.height);
+        this.maskCtx.save();
+        if (mirror) {
+            this.maskCtx.translate(this.maskCanvas.width, 0);
+            this.maskCtx.scale(-1, 1);
+        }
         this.maskCtx.drawImage(
-            results.segmentationMask,
+            source,
             0, 0,
             this.maskCanvas.width,
             this.maskCanvas.height
         );
+        this.maskCtx.restore();
 
         // Mark that we have a valid mask
         this.hasMask = true;
 
-        // Resolve pending promise if waiting
-        if (this.pendingResolve) {
-            this.pendingResolve();
-            this.pendingResolve = null;
-        }
-
         // Emit event with mask data
         this.events.emit('segmentationUpdate', {
             mask: this.maskCanvas,
@@ -215,7 +557,9 @@ class SegmentationManager {
             this.enabled = false;
             this.backgroundImage = null;
             this.stopBackgroundVideo();
-            this.hasMask = false;
+            // Keep the mask if an effect is still using it
+            if (!this.maskRequired) this.hasMask = false;
+            this.updateWorkerState();
             this.events.emit('backgroundChanged', { id: 'none', enabled: false });
             return;
         }
@@ -224,9 +568,13 @@ class SegmentationManager {
         try {
             this.stopBackgroundVideo();
 
+            const isScene = SCENE_TYPES.includes(background.type);
             if (background.type === 'video') {
                 this.backgroundVideo = await this.loadVideo(background.src);
                 this.backgroundImage = this.backgroundVideo;
+            } else if (isScene) {
+                // Loaded and rendered by SceneBackground
+                this.backgroundImage = null;
             } else {
                 this.backgroundImage = await this.loadImage(background.src);
             }
@@ -234,15 +582,18 @@ class SegmentationManager {
             this.enabled = true;
             this.hasMask = false;
             this.isProcessing = false;
+            this.updateWorkerState();
             this.events.emit('backgroundChanged', {
                 id: backgroundId,
                 enabled: true,
-                image: this.backgroundImage
+                image: this.backgroundImage,
+                scene: isScene ? { type: background.type, src: background.src } : null
             });
             console.log('SegmentationManager: Background set to', backgroundId);
         } catch (error) {
             console.error('SegmentationManager: Failed to load background', error);
             this.enabled = false;
+            this.updateWorkerState();
         }
     }
 
@@ -278,15 +629,287 @@ class SegmentationManager {
         });
     }
 
+    /**
+     * Fill the background list: catalog, thumbnails, then saved uploads
+     */
+    async prepareBackgrounds() {
+        const catalog = this.loadCatalog();
+        this.backgrounds.push(...catalog);
+
+        await this.generateThumbnails();
+        await this.loadCustomBackgrounds();
+    }
+
+    /**
+     * Get base path for bundled background files
+     * Uses WordPress config if available, otherwise the dev server's public folder
+     */
+    getBackgroundsBasePath() {
+        const config = typeof window !== 'undefined' ? window.beastsideFiltersConfig : null;
+        if (config && config.backgroundsPath) {
+            return config.backgroundsPath;
+        }
+        return '/assets/backgrounds/';
+    }
+
+    /**
+     * Load the background catalog
+     * Order: beastsideFiltersConfig.backgrounds (inlined by the plugin), then the bundled defaults.
+     * @returns {Array} Backgrounds entries
+     */
+    loadCatalog() {
+        const config = (typeof window !== 'undefined' && window.beastsideFiltersConfig) || {};
+        let items = config.backgrounds;
+
+        if (!Array.isArray(items)) {
+            items = DEFAULT_CATALOG;
+        }
+
+        const basePath = this.getBackgroundsBasePath();
+        const entries = items
+            .filter(item => item && item.id && item.src && item.enabled !== false && item.id !== 'none')
+            .map(item => {
+                const type = TYPE_ICONS[item.type] ? item.type : 'image';
+                // Bare file names are bundled backgrounds; URLs and absolute paths are used as-is
+                const src = /^([a-z][a-z0-9+.-]*:|\/)/i.test(item.src) ? item.src : basePath + item.src;
+
+                return {
+                    id: String(item.id),
+                    name: item.name || String(item.id),
+                    icon: item.icon || TYPE_ICONS[type],
+                    src,
+                    type,
+                    thumbnail: item.thumbnail || null
+                };
+            });
+
+        console.log(`SegmentationManager: ${entries.length} background(s) in catalog`);
+        return entries;
+    }
+
+    /**
+     * Add saved custom backgrounds from previous visits
+     */
+    async loadCustomBackgrounds() {
+        const records = await this.store.getAll();
+        records.forEach(record => this.backgrounds.push(this.createCustomEntry(record)));
+
+        if (records.length > 0) {
+            console.log(`SegmentationManager: Restored ${records.length} custom background(s)`);
+        }
+    }
+
+    /**
+     * Build a backgrounds entry for a stored record
+     */
+    createCustomEntry(record) {
+        return {
+            id: record.id,
+            name: record.name,
+            icon: record.type === 'video' ? 'video' : 'image',
+            src: URL.createObjectURL(record.blob),
+            type: record.type,
+            thumbnail: record.thumbnail,
+            fit: { ...DEFAULT_FIT, ...record.fit },
+            custom: true,
+            record
+        };
+    }
+
+    /**
+     * Add a background from a user-picked file
+     * @param {File} file - Image or video
+     * @returns {Promise<Object>} The new backgrounds entry
+     */
+    async addCustomBackground(file) {
+        const type = file.type.startsWith('video/') ? 'video' : file.type.startsWith('image/') ? 'image' : null;
+        if (!type) {
+            throw new Error('Please choose an image or video file');
+        }
+        if (file.size > MAX_UPLOAD_SIZE) {
+            throw new Error(`File is too large (max ${MAX_UPLOAD_SIZE / 1024 / 1024}MB)`);
+        }
+
+        const src = URL.createObjectURL(file);
+        let thumbnail;
+        try {
+            if (type === 'video') {
+                const duration = await this.getVideoDuration(src);
+                if (duration > MAX_VIDEO_DURATION) {
+                    throw new Error(`Video is too long (max ${MAX_VIDEO_DURATION}s)`);
+                }
+            }
+            thumbnail = await this.extractFirstFrame(src, type);
+        } catch (error) {
+            // Media errors are Events, not Errors
+            throw error instanceof Error ? error : new Error('Could not read that file');
+        } finally {
+            URL.revokeObjectURL(src);
+        }
+
+        const record = {
+            id: `custom-${Date.now()}`,
+            name: file.name.replace(/\.[^.]+$/, '') || 'Custom',
+            type,
+            blob: file,
+            thumbnail,
+            fit: { ...DEFAULT_FIT },
+            addedAt: Date.now()
+        };
+
+        await this.store.put(record);
+        const entry = this.createCustomEntry(record);
+        this.backgrounds.push(entry);
+        console.log('SegmentationManager: Added custom background', entry.id);
+
+        // Keep only the most recent uploads (by upload time, whatever the list order)
+        const custom = this.backgrounds
+            .filter(bg => bg.custom)
+            .sort((a, b) => a.record.addedAt - b.record.addedAt);
+        const excess = custom.slice(0, Math.max(custom.length - MAX_CUSTOM_BACKGROUNDS, 0));
+        for (const old of excess) {
+            await this.removeCustomBackground(old.id);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Forget a custom background (switches to none if it's in use)
+     * @param {string} backgroundId
+     */
+    async removeCustomBackground(backgroundId) {
+        const entry = this.backgrounds.find(bg => bg.id === backgroundId && bg.custom);
+        if (!entry) return;
+
+        if (this.currentBackground === backgroundId) {
+            await this.setBackground('none');
+        }
+
+        this.backgrounds = this.backgrounds.filter(bg => bg !== entry);
+        URL.revokeObjectURL(entry.src);
+        await this.store.delete(backgroundId);
+        console.log('SegmentationManager: Removed custom background', backgroundId);
+    }
+
+    /**
+     * Read a video's duration (seconds)
+     */
+    getVideoDuration(src) {
+        return new Promise((resolve, reject) => {
+            const video = document.createElement('video');
+            video.preload = 'metadata';
+            video.muted = true;
+            video.onloadedmetadata = () => {
+                const duration = video.duration;
+                video.src = '';
+                resolve(duration);
+            };
+            video.onerror = reject;
+            video.src = src;
+        });
+    }
+
+    /**
+     * Get the zoom/position of the current background
+     * @returns {Object} { zoom: >= 1, x: 0-1, y: 0-1 } - x/y like CSS object-position
+     */
+    getBackgroundFit() {
+        const background = this.getFittableBackground();
+        return background?.fit || DEFAULT_FIT;
+    }
+
+    /**
+     * The current background if it's a flat image/video (3D scenes fill the view themselves)
+     */
+    getFittableBackground() {
+        const background = this.backgrounds.find(bg => bg.id === this.currentBackground);
+        return background && background.src && !SCENE_TYPES.includes(background.type) ? background : null;
+    }
+
+    /**
+     * Change the zoom/position of the current background
+     * Custom backgrounds keep their fit across visits.
+     * @param {Object} fit - Any of { zoom, x, y }
+     */
+    setBackgroundFit(fit) {
+        const background = this.getFittableBackground();
+        if (!background) return;
+
+        background.fit = { ...DEFAULT_FIT, ...background.fit, ...fit };
+
+        if (background.custom) {
+            // Sliders fire continuously - write once they settle
+            clearTimeout(this.saveFitTimeout);
+            this.saveFitTimeout = setTimeout(() => {
+                background.record.fit = { ...background.fit };
+                this.store.put(background.record);
+            }, 500);
+        }
+    }
+
+    /**
+     * Chroma key controls (while keying) and fit controls for the current
+     * background (same shape as effect controls, so the dropdown can render
+     * them with the same sliders)
+     */
+    getControls() {
+        const controls = [];
+
+        if (this.chromaKey.enabled) {
+            controls.push(
+                { id: 'keyColor', name: 'Key', type: 'color', default: DEFAULT_CHROMA_KEY.color, chromaKey: true },
+                { id: 'tolerance', name: 'Tolerance', type: 'range', min: 0, max: 0.5, step: 0.01, unit: '%', default: DEFAULT_CHROMA_KEY.tolerance, chromaKey: true },
+                { id: 'softness', name: 'Softness', type: 'range', min: 0, max: 0.3, step: 0.01, unit: '%', default: DEFAULT_CHROMA_KEY.softness, chromaKey: true },
+                { id: 'spill', name: 'Spill', type: 'range', min: 0, max: 1, step: 0.05, unit: '%', default: DEFAULT_CHROMA_KEY.spill, chromaKey: true }
+            );
+        }
+
+        if (this.getFittableBackground()) {
+            controls.push(
+                { id: 'zoom', name: 'Zoom', type: 'range', min: 1, max: 3, step: 0.05, unit: '%', default: 1 },
+                { id: 'x', name: 'Left/Right', type: 'range', min: 0, max: 1, step: 0.01, unit: '%', default: 0.5 },
+                { id: 'y', name: 'Up/Down', type: 'range', min: 0, max: 1, step: 0.01, unit: '%', default: 0.5 }
+            );
+        }
+
+        return controls;
+    }
+
+    getControlValue(controlId) {
+        if (controlId === 'keyColor') return this.chromaKey.color;
+        if (controlId in DEFAULT_CHROMA_KEY) return this.chromaKey[controlId];
+        return this.getBackgroundFit()[controlId];
+    }
+
+    setControlValue(controlId, value) {
+        const control = this.getControls().find(c => c.id === controlId);
+        if (!control) return undefined;
+
+        if (control.type === 'range') {
+            value = Math.min(Math.max(value, control.min), control.max);
+        }
+
+        if (control.chromaKey) {
+            this.chromaKey[controlId === 'keyColor' ? 'color' : controlId] = value;
+            this.saveChromaKey();
+        } else {
+            this.setBackgroundFit({ [controlId]: value });
+        }
+        return value;
+    }
+
     /**
      * Generate thumbnail images from the first frame of video backgrounds
+     * (and a crop of panoramas, which are too wide to show whole)
      */
     async generateThumbnails() {
         for (const bg of this.backgrounds) {
-            if (bg.type !== 'video' || !bg.src) continue;
+            // Catalog entries may come with a poster image
+            if ((bg.type !== 'video' && bg.type !== 'panorama') || !bg.src || bg.thumbnail) continue;
 
             try {
-                const thumbnail = await this.extractFirstFrame(bg.src);
+                const thumbnail = await this.extractFirstFrame(bg.src, bg.type === 'video' ? 'video' : 'image');
                 bg.thumbnail = thumbnail;
             } catch (error) {
                 console.warn('SegmentationManager: Failed to generate thumbnail for', bg.id, error);
@@ -295,9 +918,16 @@ class SegmentationManager {
     }
 
     /**
-     * Extract the first frame of a video as a data URL
+     * Extract the first frame of a video (or an image) as a cover-cropped data URL
+     * @param {string} src
+     * @param {string} type - 'video' or 'image'
      */
-    extractFirstFrame(src) {
+    async extractFirstFrame(src, type = 'video') {
+        if (type === 'image') {
+            const image = await this.loadImage(src);
+            return this.drawThumbnail(image, image.naturalWidth, image.naturalHeight);
+        }
+
         return new Promise((resolve, reject) => {
             const video = document.createElement('video');
             video.crossOrigin = 'anonymous';
@@ -312,12 +942,7 @@ class SegmentationManager {
             };
 
             video.onseeked = () => {
-                const canvas = document.createElement('canvas');
-                canvas.width = 120;
-                canvas.height = 80;
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-                const dataUrl = canvas.toDataURL('image/jpeg', 0.7);
+                const dataUrl = this.drawThumbnail(video, video.videoWidth, video.videoHeight);
 
                 // Clean up
                 video.src = '';
@@ -328,6 +953,27 @@ class SegmentationManager {
         });
     }
 
+    /**
+     * Draw a source into a 120x80 thumbnail, cropped to fill like the live background
+     */
+    drawThumbnail(source, sourceWidth, sourceHeight) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 120;
+        canvas.height = 80;
+
+        const scale = Math.max(canvas.width / sourceWidth, canvas.height / sourceHeight);
+        const width = canvas.width / scale;
+        const height = canvas.height / scale;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(
+            source,
+            (sourceWidth - width) / 2, (sourceHeight - height) / 2, width, height,
+            0, 0, canvas.width, canvas.height
+        );
+        return canvas.toDataURL('image/jpeg', 0.7);
+    }
+
     /**
      * Stop and clean up background video
      */
@@ -368,82 +1014,17 @@ class SegmentationManager {
     }
 
     /**
-     * Get the current mask canvas
+     * Check if a mask has arrived since segmentation (re)started
      */
-    getMaskCanvas() {
-        return this.maskCanvas;
+    isMaskReady() {
+        return this.hasMask;
     }
 
     /**
-     * Composite person over background using GPU-accelerated canvas compositing.
-     * No pixel loops — uses globalCompositeOperation + canvas filter blur.
+     * Get the current mask canvas
      */
-    compositeFrame(ctx, video, width, height) {
-        if (!this.enabled || !this.backgroundImage || !this.maskCanvas || !this.hasMask) {
-            return false;
-        }
-
-        // Ensure temp canvases exist at the right size
-        if (!this.tempCanvas || this.tempCanvas.width !== width || this.tempCanvas.height !== height) {
-            this.tempCanvas = document.createElement('canvas');
-            this.tempCanvas.width = width;
-            this.tempCanvas.height = height;
-            this.tempCtx = this.tempCanvas.getContext('2d');
-
-            this.blurredMaskCanvas = document.createElement('canvas');
-            this.blurredMaskCanvas.width = width;
-            this.blurredMaskCanvas.height = height;
-            this.blurredMaskCtx = this.blurredMaskCanvas.getContext('2d');
-        }
-
-        // --- Step 1: Create blurred mask (GPU-accelerated blur) ---
-        this.blurredMaskCtx.clearRect(0, 0, width, height);
-        this.blurredMaskCtx.filter = 'blur(4px)';
-        this.blurredMaskCtx.drawImage(this.maskCanvas, 0, 0, width, height);
-        this.blurredMaskCtx.filter = 'none';
-
-        // --- Step 2: Draw mirrored video onto temp canvas ---
-        this.tempCtx.save();
-        this.tempCtx.translate(width, 0);
-        this.tempCtx.scale(-1, 1);
-        this.tempCtx.drawImage(video, 0, 0, width, height);
-        this.tempCtx.restore();
-
-        // --- Step 3: Use mask to cut out person (destination-in) ---
-        this.tempCtx.globalCompositeOperation = 'destination-in';
-        this.tempCtx.drawImage(this.blurredMaskCanvas, 0, 0);
-        this.tempCtx.globalCompositeOperation = 'source-over';
-
-        // --- Step 4: Draw background, then masked person on top ---
-        ctx.save();
-
-        // Background (cover fit, not mirrored)
-        const bgW = this.backgroundImage.videoWidth || this.backgroundImage.width;
-        const bgH = this.backgroundImage.videoHeight || this.backgroundImage.height;
-        const bgAspect = bgW / bgH;
-        const canvasAspect = width / height;
-
-        let drawWidth, drawHeight, drawX, drawY;
-        if (bgAspect > canvasAspect) {
-            drawHeight = height;
-            drawWidth = height * bgAspect;
-            drawX = (width - drawWidth) / 2;
-            drawY = 0;
-        } else {
-            drawWidth = width;
-            drawHeight = width / bgAspect;
-            drawX = 0;
-            drawY = (height - drawHeight) / 2;
-        }
-
-        ctx.drawImage(this.backgroundImage, drawX, drawY, drawWidth, drawHeight);
-
-        // Person cutout on top
-        ctx.drawImage(this.tempCanvas, 0, 0);
-
-        ctx.restore();
-
-        return true;
+    getMaskCanvas() {
+        return this.maskCanvas;
     }
 
     /**
@@ -455,9 +1036,18 @@ class SegmentationManager {
             this.segmentation.close();
             this.segmentation = null;
         }
+        if (this.useWorker) {
+            this.visionWorker.setHandler('segmentation', null);
+            this.visionWorker.unload('segmentation');
+            this.useWorker = false;
+        }
         this.maskCanvas = null;
+        this.keyCanvas = null;
         this.backgroundImage = null;
         this.stopBackgroundVideo();
+
+        clearTimeout(this.saveFitTimeout);
+        this.backgrounds.filter(bg => bg.custom).forEach(bg => URL.revokeObjectURL(bg.src));
     }
 }
 
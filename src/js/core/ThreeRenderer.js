@@ -1,23 +1,32 @@
 /**
  * ThreeRenderer - Three.js rendering engine
  *
- * Manages Three.js scene, camera, renderer, and animation loop.
- * Initially renders a placeholder cube, will later render 3D character models.
+ * Manages Three.js scene, camera and renderer. Renders in the FrameScheduler's
+ * 'render' phase, after tracking has updated the character for that frame.
+ * The character is drawn into an offscreen target; the Compositor puts it
+ * on screen together with the camera, background and effects. 3D virtual
+ * backgrounds (SceneBackground) are rendered here too, before the character.
  */
 
 import * as THREE from 'three';
+import SceneBackground from './SceneBackground.js';
 import { performanceConfig } from '../config/performance-config.js';
 
 class ThreeRenderer {
-    constructor(canvasElement, eventEmitter) {
+    constructor(canvasElement, eventEmitter, scheduler) {
         this.canvas = canvasElement;
         this.events = eventEmitter;
+        this.scheduler = scheduler;
         this.scene = null;
         this.camera = null;
         this.renderer = null;
-        this.animationId = null;
+        this.characterTarget = null;
+        this.sceneBackground = null;
+        this.removeFrameCallback = null;
         this.isRunning = false;
 
+        this.render = this.render.bind(this);
+
         // Get performance settings
         this.perfSettings = performanceConfig.getSettings();
 
@@ -48,15 +57,46 @@ class ThreeRenderer {
         );
         this.camera.position.z = 3;  // Camera distance from origin
 
-        // Create renderer with transparency (using performance settings)
+        // Current quality settings (start from performance config, QualityController adjusts at runtime)
+        this.quality = {
+            pixelRatio: this.perfSettings.pixelRatio,
+            antialiasing: this.perfSettings.antialiasing,
+            shadowsEnabled: this.perfSettings.shadowsEnabled
+        };
+
+        this.createRenderer(width, height);
+
+        // Set up lighting
+        this.setupLighting();
+        this.setShadowsEnabled(this.quality.shadowsEnabled);
+
+        // Set up environment for better material rendering
+        this.setupEnvironment();
+
+        // 3D virtual backgrounds (share the environment map for PBR scenes)
+        this.sceneBackground = new SceneBackground(this.renderer, this.events, this.scene.environment);
+        this.updateCharacterTargetSize();
+
+        // Handle window resize
+        window.addEventListener('resize', this.onWindowResize.bind(this));
+
+        console.log('ThreeRenderer: Initialized');
+    }
+
+    /**
+     * Create the WebGL renderer on the current canvas
+     */
+    createRenderer(width, height) {
+        // Create renderer (the canvas only ever shows the Compositor's full-screen
+        // pass, so antialiasing lives on the character target instead)
         this.renderer = new THREE.WebGLRenderer({
             canvas: this.canvas,
             alpha: true,
-            antialias: this.perfSettings.antialiasing,
+            antialias: false,
             preserveDrawingBuffer: true  // Required for capturing canvas content
         });
         this.renderer.setSize(width, height);
-        this.renderer.setPixelRatio(this.perfSettings.pixelRatio); // Use performance config
+        this.renderer.setPixelRatio(this.quality.pixelRatio); // Use performance config
         this.renderer.setClearColor(0x000000, 0); // Transparent background
 
         // === COLOR & TONE MAPPING (fixes desaturated colors) ===
@@ -65,21 +105,84 @@ class ThreeRenderer {
         this.renderer.toneMappingExposure = 0.7;  // Brightness (1.0 = default, higher = brighter)
 
         // === ENABLE SHADOWS ===
-        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.enabled = this.quality.shadowsEnabled;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap; // Soft shadows
 
-        console.log(`ThreeRenderer: Pixel ratio set to ${this.perfSettings.pixelRatio}`);
+        console.log(`ThreeRenderer: Pixel ratio set to ${this.quality.pixelRatio}`);
 
-        // Set up lighting
-        this.setupLighting();
+        this.createCharacterTarget();
+    }
 
-        // Set up environment for better material rendering
-        this.setupEnvironment();
+    /**
+     * Create the offscreen target the character renders into
+     * Half float keeps HDR values for the Compositor's tone mapping.
+     */
+    createCharacterTarget() {
+        if (this.characterTarget) {
+            this.characterTarget.dispose();
+        }
 
-        // Handle window resize
-        window.addEventListener('resize', this.onWindowResize.bind(this));
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        this.characterTarget = new THREE.WebGLRenderTarget(size.x, size.y, {
+            type: THREE.HalfFloatType,
+            samples: this.quality.antialiasing ? 4 : 0
+        });
+    }
 
-        console.log('ThreeRenderer: Initialized');
+    /**
+     * Keep the character and scene background targets matched to the canvas drawing buffer
+     */
+    updateCharacterTargetSize() {
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        this.characterTarget.setSize(size.x, size.y);
+        if (this.sceneBackground) {
+            this.sceneBackground.setSize(size.x, size.y);
+        }
+    }
+
+    /**
+     * Rendered character (linear, premultiplied alpha)
+     * @returns {THREE.Texture}
+     */
+    getCharacterTexture() {
+        return this.characterTarget.texture;
+    }
+
+    /**
+     * Change the render resolution multiplier
+     * @param {number} pixelRatio
+     */
+    setPixelRatio(pixelRatio) {
+        if (pixelRatio === this.quality.pixelRatio) return;
+
+        this.quality.pixelRatio = pixelRatio;
+        this.renderer.setPixelRatio(pixelRatio);
+        this.updateCharacterTargetSize();
+        console.log(`ThreeRenderer: Pixel ratio set to ${pixelRatio}`);
+    }
+
+    /**
+     * Toggle shadow casting from the key light
+     * @param {boolean} enabled
+     */
+    setShadowsEnabled(enabled) {
+        this.quality.shadowsEnabled = enabled;
+        this.renderer.shadowMap.enabled = enabled;
+        // Changing the shadow-casting light count makes three.js rebuild the affected shaders
+        this.lights.key.castShadow = enabled;
+        console.log(`ThreeRenderer: Shadows ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Toggle antialiasing (multisampling on the character target)
+     * @param {boolean} enabled
+     */
+    setAntialias(enabled) {
+        if (enabled === this.quality.antialiasing) return;
+
+        this.quality.antialiasing = enabled;
+        this.createCharacterTarget();
+        console.log(`ThreeRenderer: Antialiasing ${enabled ? 'enabled' : 'disabled'}`);
     }
 
     /**
@@ -264,18 +367,18 @@ class ThreeRenderer {
     }
 
     /**
-     * Start rendering loop
+     * Start rendering (once per scheduler frame)
      */
     start() {
         if (this.isRunning) return;
 
         console.log('ThreeRenderer: Starting render loop...');
         this.isRunning = true;
-        this.animate();
+        this.removeFrameCallback = this.scheduler.add('render', this.render);
     }
 
     /**
-     * Stop rendering loop
+     * Stop rendering
      */
     stop() {
         if (!this.isRunning) return;
@@ -283,22 +386,22 @@ class ThreeRenderer {
         console.log('ThreeRenderer: Stopping render loop...');
         this.isRunning = false;
 
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
+        if (this.removeFrameCallback) {
+            this.removeFrameCallback();
+            this.removeFrameCallback = null;
         }
     }
 
     /**
-     * Animation loop
+     * Render one frame into the character target (and the 3D background, if one is active)
      */
-    animate() {
-        if (!this.isRunning) return;
-
-        this.animationId = requestAnimationFrame(this.animate.bind(this));
+    render() {
+        this.sceneBackground.render();
 
         // Render scene (CharacterManager handles all objects in scene)
+        this.renderer.setRenderTarget(this.characterTarget);
         this.renderer.render(this.scene, this.camera);
+        this.renderer.setRenderTarget(null);
     }
 
     /**
@@ -316,6 +419,7 @@ class ThreeRenderer {
 
         // Update renderer
         this.renderer.setSize(width, height);
+        this.updateCharacterTargetSize();
 
         console.log(`ThreeRenderer: Resized to ${width}x${height}`);
     }
@@ -326,6 +430,14 @@ class ThreeRenderer {
     dispose() {
         this.stop();
 
+        if (this.characterTarget) {
+            this.characterTarget.dispose();
+        }
+
+        if (this.sceneBackground) {
+            this.sceneBackground.dispose();
+        }
+
         // Dispose renderer
         if (this.renderer) {
             this.renderer.dispose();
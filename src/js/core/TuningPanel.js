@@ -0,0 +1,446 @@
+/**
+ * TuningPanel - Developer overlay for live fitting/expression tuning
+ *
+ * Shows sliders for the current character's fitting profile and the
+ * BlendshapeMapper baseline/sensitivity values, plus tracker backend and
+ * blendshape source switches for A/B comparisons. Changes apply immediately
+ * to the running filter, and the result can be exported/imported as JSON
+ * (the modelConfig block drops straight into the roster manifest).
+ *
+ * Enabled with ?tune in the URL or BEASTSIDE_FILTERS_TUNING in wp-config.php.
+ */
+
+import { DEFAULT_FITTING_PROFILE } from '../config/fitting-profile.js';
+import { TRACKER_BACKENDS, BLENDSHAPE_SOURCES } from './FaceTracker.js';
+
+class TuningPanel {
+    constructor(containerElement, eventEmitter, characterManager, blendshapeMapper, faceTracker = null) {
+        this.container = containerElement;
+        this.events = eventEmitter;
+        this.characterManager = characterManager;
+        this.blendshapeMapper = blendshapeMapper;
+        this.faceTracker = faceTracker;
+
+        this.panel = null;
+        this.body = null;
+        this.isOpen = true;
+
+        // Values captured when a character is first shown, for "Reset"
+        this.snapshots = {};
+
+        // Slider ranges for fitting profile keys: [pattern, min, max, step]
+        // First match wins
+        this.fittingRanges = [
+            [/MinCutoff$|^derivativeCutoff$/, 0.05, 10, 0.05],
+            [/Beta$/, 0, 20, 0.01],
+            [/^baseRotation|^(pitch|yaw|roll)Offset$/, -Math.PI, Math.PI, 0.01],
+            [/^(pitch|yaw|roll|rotation)Scale$/, -12, 12, 0.05],
+            [/^positionOffset/, -20, 20, 0.1],
+            [/^positionScale/, 0, 10, 0.05],
+            [/^scale(Base|Min|Max)$/, 0, 100, 0.1],
+            [/^scale/, 0, 5, 0.01]
+        ];
+
+        // Group fitting keys into collapsible sections (each key goes in the first match)
+        this.fittingGroups = [
+            { title: 'Smoothing', match: key => /Cutoff$|Beta$/.test(key) },
+            { title: 'Scale', match: key => /^scale/.test(key) },
+            { title: 'Position', match: key => /^position|^mirror/.test(key) },
+            { title: 'Rotation', match: () => true }
+        ];
+
+        this.handleCharacterSwitched = this.handleCharacterSwitched.bind(this);
+    }
+
+    /**
+     * Check if the tuning panel was requested (URL flag or WordPress config)
+     */
+    static isEnabled() {
+        if (typeof window === 'undefined') return false;
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('tune')) return true;
+
+        return !!(window.beastsideFiltersConfig && window.beastsideFiltersConfig.tuningPanel);
+    }
+
+    /**
+     * Build the panel and attach listeners
+     */
+    initialize() {
+        console.log('TuningPanel: Initializing...');
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'tuning-panel';
+        this.panel.innerHTML = `
+            <div class="tuning-panel-header">
+                <span class="tuning-panel-title">Tuning</span>
+                <button class="tuning-panel-toggle" aria-label="Collapse tuning panel">–</button>
+            </div>
+            <div class="tuning-panel-actions">
+                <button data-action="export">Export</button>
+                <button data-action="copy">Copy</button>
+                <button data-action="import">Import</button>
+                <button data-action="reset">Reset</button>
+                <input type="file" accept="application/json,.json" hidden />
+            </div>
+            <div class="tuning-panel-body"></div>
+        `;
+
+        this.body = this.panel.querySelector('.tuning-panel-body');
+        this.titleElement = this.panel.querySelector('.tuning-panel-title');
+        this.fileInput = this.panel.querySelector('input[type="file"]');
+
+        // Keep slider drags and arrow keys from reaching the swipe/shortcut handlers
+        ['touchstart', 'touchmove', 'touchend', 'mousedown', 'mouseup', 'keydown', 'click'].forEach(type => {
+            this.panel.addEventListener(type, (e) => e.stopPropagation());
+        });
+
+        this.panel.querySelector('.tuning-panel-toggle').addEventListener('click', () => this.toggle());
+        this.panel.querySelector('[data-action="export"]').addEventListener('click', () => this.downloadProfile());
+        this.panel.querySelector('[data-action="copy"]').addEventListener('click', () => this.copyProfile());
+        this.panel.querySelector('[data-action="import"]').addEventListener('click', () => this.fileInput.click());
+        this.panel.querySelector('[data-action="reset"]').addEventListener('click', () => this.reset());
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            if (file) this.importProfile(file);
+            this.fileInput.value = '';
+        });
+
+        this.container.querySelector('.filter-container').appendChild(this.panel);
+
+        this.events.on('characterSwitched', this.handleCharacterSwitched);
+        this.events.on('calibrationComplete', this.handleCharacterSwitched);
+        this.events.on('trackerBackendChanged', this.handleCharacterSwitched);
+
+        this.render();
+        console.log('TuningPanel: Initialized');
+    }
+
+    /**
+     * Re-render when the character changes (each has its own profile)
+     * or expression calibration / tracker backend changes
+     */
+    handleCharacterSwitched() {
+        this.render();
+    }
+
+    /**
+     * Build all slider sections from current values
+     */
+    render() {
+        const character = this.characterManager.getCurrentCharacter();
+        const characterId = character ? character.id : 'default';
+        const profile = this.characterManager.getFittingProfile();
+
+        if (!this.snapshots[characterId]) {
+            this.snapshots[characterId] = {
+                modelConfig: { ...profile },
+                blendshapeMapper: this.blendshapeMapper.getTuning()
+            };
+        }
+
+        this.titleElement.textContent = `Tuning – ${character ? character.name : 'Default'}`;
+        this.body.innerHTML = '';
+
+        // Tracker backend / blendshape source
+        if (this.faceTracker) {
+            const section = this.createSection('Tracking');
+            section.open = true;
+
+            section.appendChild(this.createSelect('backend', TRACKER_BACKENDS, this.faceTracker.backend, (value, select) => {
+                this.faceTracker.setBackend(value).catch((error) => {
+                    // FaceTracker went back to the previous backend
+                    console.error(`TuningPanel: Could not switch tracker to ${value}`, error);
+                    select.value = this.faceTracker.backend;
+                });
+            }));
+            section.appendChild(this.createSelect('blendshapes', BLENDSHAPE_SOURCES, this.faceTracker.getBlendshapeSource(), (value) => {
+                this.faceTracker.setBlendshapeSource(value);
+            }, this.faceTracker.backend === 'facemesh'));
+
+            this.body.appendChild(section);
+        }
+
+        // Fitting profile sections
+        const groupedKeys = new Map(this.fittingGroups.map(group => [group, []]));
+        Object.keys(profile).forEach(key => {
+            groupedKeys.get(this.fittingGroups.find(group => group.match(key))).push(key);
+        });
+
+        groupedKeys.forEach((keys, group) => {
+            const section = this.createSection(group.title);
+
+            keys.forEach(key => {
+                section.appendChild(this.createControl(key, profile[key], this.getFittingRange(key, profile[key]), (value) => {
+                    this.characterManager.setFittingProfile({ [key]: value });
+                }));
+            });
+
+            this.body.appendChild(section);
+        });
+
+        // BlendshapeMapper sections
+        const tuning = this.blendshapeMapper.getTuning();
+
+        ['baseline', 'sensitivity'].forEach(group => {
+            const section = this.createSection(group === 'baseline' ? 'Expression Baseline' : 'Expression Sensitivity');
+
+            Object.entries(tuning[group]).forEach(([key, value]) => {
+                section.appendChild(this.createControl(key, value, this.getMapperRange(value), (newValue) => {
+                    this.blendshapeMapper.applyTuning({ [group]: { [key]: newValue } });
+                }));
+            });
+
+            this.body.appendChild(section);
+        });
+    }
+
+    /**
+     * Create a collapsible section
+     */
+    createSection(title) {
+        const section = document.createElement('details');
+        section.className = 'tuning-section';
+
+        const summary = document.createElement('summary');
+        summary.textContent = title;
+        section.appendChild(summary);
+
+        return section;
+    }
+
+    /**
+     * Create a slider (or checkbox for booleans) bound to a value
+     * @param {string} key - Setting name
+     * @param {number|boolean} value - Current value
+     * @param {Object} range - { min, max, step }
+     * @param {Function} onChange - Called with the new value
+     */
+    createControl(key, value, range, onChange) {
+        const row = document.createElement('label');
+        row.className = 'tuning-row';
+
+        const name = document.createElement('span');
+        name.className = 'tuning-row-name';
+        name.textContent = key;
+        row.appendChild(name);
+
+        if (typeof value === 'boolean') {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = value;
+            checkbox.addEventListener('change', () => onChange(checkbox.checked));
+            row.appendChild(checkbox);
+            return row;
+        }
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = Math.min(range.min, value);
+        slider.max = Math.max(range.max, value);
+        slider.step = range.step;
+        slider.value = value;
+
+        const output = document.createElement('span');
+        output.className = 'tuning-row-value';
+        output.textContent = this.formatValue(value);
+
+        slider.addEventListener('input', () => {
+            const newValue = parseFloat(slider.value);
+            output.textContent = this.formatValue(newValue);
+            onChange(newValue);
+        });
+
+        row.appendChild(slider);
+        row.appendChild(output);
+        return row;
+    }
+
+    /**
+     * Create a dropdown bound to a value
+     * @param {string} key - Setting name
+     * @param {Array<string>} options - Allowed values
+     * @param {string} value - Current value
+     * @param {Function} onChange - Called with the new value and the select
+     * @param {boolean} disabled - Show but don't allow changes
+     */
+    createSelect(key, options, value, onChange, disabled = false) {
+        const row = document.createElement('label');
+        row.className = 'tuning-row';
+
+        const name = document.createElement('span');
+        name.className = 'tuning-row-name';
+        name.textContent = key;
+        row.appendChild(name);
+
+        const select = document.createElement('select');
+        select.disabled = disabled;
+        options.forEach(option => {
+            const element = document.createElement('option');
+            element.value = option;
+            element.textContent = option;
+            select.appendChild(element);
+        });
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value, select));
+
+        row.appendChild(select);
+        return row;
+    }
+
+    /**
+     * Get slider range for a fitting profile key
+     */
+    getFittingRange(key, value) {
+        const rule = this.fittingRanges.find(([pattern]) => pattern.test(key));
+        if (rule) {
+            return { min: rule[1], max: rule[2], step: rule[3] };
+        }
+        return this.getMapperRange(value);
+    }
+
+    /**
+     * Get slider range for a BlendshapeMapper value (scaled around the default)
+     */
+    getMapperRange(value) {
+        const magnitude = Math.abs(value) || 1;
+        return {
+            min: value < 0 ? -magnitude * 4 : 0,
+            max: magnitude * 4,
+            step: magnitude / 100
+        };
+    }
+
+    /**
+     * Format a value for display
+     */
+    formatValue(value) {
+        return Math.abs(value) < 0.1 ? value.toFixed(4) : value.toFixed(2);
+    }
+
+    /**
+     * Build the exportable profile
+     * modelConfig only contains values that differ from the defaults so it can
+     * be pasted into the roster manifest as-is.
+     */
+    exportProfile() {
+        const character = this.characterManager.getCurrentCharacter();
+        const profile = this.characterManager.getFittingProfile();
+
+        const modelConfig = {};
+        Object.entries(profile).forEach(([key, value]) => {
+            if (DEFAULT_FITTING_PROFILE[key] !== value) {
+                modelConfig[key] = value;
+            }
+        });
+
+        return {
+            character: character ? character.id : null,
+            modelConfig,
+            blendshapeMapper: this.blendshapeMapper.getTuning()
+        };
+    }
+
+    /**
+     * Download the current profile as a JSON file
+     */
+    downloadProfile() {
+        const profile = this.exportProfile();
+        const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `beastside-tuning-${profile.character || 'default'}-${Date.now()}.json`;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        console.log('TuningPanel: Profile exported', profile);
+    }
+
+    /**
+     * Copy the current profile JSON to the clipboard
+     */
+    async copyProfile() {
+        const json = JSON.stringify(this.exportProfile(), null, 2);
+
+        try {
+            await navigator.clipboard.writeText(json);
+            console.log('TuningPanel: Profile copied to clipboard');
+        } catch (error) {
+            console.warn('TuningPanel: Clipboard write failed, logging profile instead', error);
+            console.log(json);
+        }
+    }
+
+    /**
+     * Import a profile from a JSON file
+     * @param {File} file - JSON file exported by this panel
+     */
+    async importProfile(file) {
+        try {
+            const profile = JSON.parse(await file.text());
+            this.applyProfile(profile);
+            console.log('TuningPanel: Profile imported', profile);
+        } catch (error) {
+            console.error('TuningPanel: Failed to import profile', error);
+        }
+    }
+
+    /**
+     * Apply a profile object to the running filter
+     * @param {Object} profile - { modelConfig?, blendshapeMapper? }
+     */
+    applyProfile(profile) {
+        if (!profile || typeof profile !== 'object') return;
+
+        if (profile.modelConfig) {
+            this.characterManager.setFittingProfile(profile.modelConfig);
+        }
+
+        if (profile.blendshapeMapper) {
+            this.blendshapeMapper.applyTuning(profile.blendshapeMapper);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Restore the values the current character had when first shown
+     */
+    reset() {
+        const character = this.characterManager.getCurrentCharacter();
+        const snapshot = this.snapshots[character ? character.id : 'default'];
+        if (!snapshot) return;
+
+        this.applyProfile(snapshot);
+    }
+
+    /**
+     * Collapse/expand the panel
+     */
+    toggle() {
+        this.isOpen = !this.isOpen;
+        this.panel.classList.toggle('collapsed', !this.isOpen);
+        this.panel.querySelector('.tuning-panel-toggle').textContent = this.isOpen ? '–' : '+';
+    }
+
+    /**
+     * Remove the panel
+     */
+    dispose() {
+        this.events.off('characterSwitched', this.handleCharacterSwitched);
+        this.events.off('calibrationComplete', this.handleCharacterSwitched);
+        this.events.off('trackerBackendChanged', this.handleCharacterSwitched);
+
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+
+        console.log('TuningPanel: Disposed');
+    }
+}
+
+export default TuningPanel;
@@ -182,7 +182,11 @@ class UIController {
             case '3':
             case '4':
             case '5':
-                // Direct character selection
+            case '6':
+            case '7':
+            case '8':
+            case '9':
+                // Direct character selection (out-of-range indices are ignored by CharacterManager)
                 const index = parseInt(event.key) - 1;
                 this.switchToCharacter(index);
                 break;
@@ -0,0 +1,367 @@
+/**
+ * VideoTrimmer - Trim and cover frame editor for the video preview
+ *
+ * Adds a filmstrip timeline under the preview video with start/end handles
+ * and a cover marker; the preview loops inside the selection while editing.
+ * Save asks for a re-export ('videoTrimRequested', which FilterApp passes to
+ * MediaCapture.trimVideo); Set cover only records the time
+ * ('videoCoverSelected'), which the capture thumbnail is drawn from.
+ */
+
+import { waitForMediaEvent } from '../utils/waitForMediaEvent.js';
+
+const FILMSTRIP_FRAMES = 8;
+const FILMSTRIP_HEIGHT = 48;
+// Shortest selection the handles allow (seconds)
+const MIN_LENGTH = 0.5;
+// Arrow key step for the handles (seconds)
+const KEY_STEP = 0.1;
+
+function formatTime(seconds) {
+    return `${seconds.toFixed(1)}s`;
+}
+
+class VideoTrimmer {
+    /**
+     * @param {HTMLElement} containerElement - Preview content (the editor is added to it)
+     * @param {HTMLVideoElement} videoElement - Preview video
+     * @param {EventEmitter} eventEmitter
+     */
+    constructor(containerElement, videoElement, eventEmitter) {
+        this.container = containerElement;
+        this.video = videoElement;
+        this.events = eventEmitter;
+
+        this.media = null;
+        this.duration = 0;
+        this.start = 0;
+        this.end = 0;
+        this.coverTime = 0;
+
+        this.isOpen = false;
+        this.isBusy = false;
+        this.dragging = null; // 'start' | 'end' | null
+        this.loopFrame = null;
+        this.filmstripId = 0;
+
+        this.loop = this.loop.bind(this);
+
+        this.build();
+    }
+
+    /**
+     * Create the editor (hidden until open())
+     */
+    build() {
+        this.element = document.createElement('div');
+        this.element.className = 'video-trimmer';
+        this.element.hidden = true;
+        this.element.innerHTML = `
+            <div class="trimmer-timeline">
+                <div class="trimmer-filmstrip"></div>
+                <div class="trimmer-shade trimmer-shade-start"></div>
+                <div class="trimmer-shade trimmer-shade-end"></div>
+                <div class="trimmer-selection"></div>
+                <div class="trimmer-cover-marker" title="Cover frame"></div>
+                <div class="trimmer-playhead"></div>
+                <div class="trimmer-handle trimmer-handle-start" role="slider" tabindex="0" aria-label="Trim start"></div>
+                <div class="trimmer-handle trimmer-handle-end" role="slider" tabindex="0" aria-label="Trim end"></div>
+            </div>
+            <div class="trimmer-footer">
+                <span class="trimmer-time" aria-live="polite"></span>
+                <button class="trimmer-btn trimmer-cover-btn" aria-label="Use current frame as cover">
+                    <i data-lucide="image"></i><span>Set cover</span>
+                </button>
+                <button class="trimmer-btn trimmer-save-btn" aria-label="Save trimmed video">
+                    <i data-lucide="check"></i><span>Save</span>
+                </button>
+            </div>
+        `;
+        this.container.appendChild(this.element);
+
+        this.timeline = this.element.querySelector('.trimmer-timeline');
+        this.filmstrip = this.element.querySelector('.trimmer-filmstrip');
+        this.shadeStart = this.element.querySelector('.trimmer-shade-start');
+        this.shadeEnd = this.element.querySelector('.trimmer-shade-end');
+        this.selection = this.element.querySelector('.trimmer-selection');
+        this.coverMarker = this.element.querySelector('.trimmer-cover-marker');
+        this.playhead = this.element.querySelector('.trimmer-playhead');
+        this.handleStart = this.element.querySelector('.trimmer-handle-start');
+        this.handleEnd = this.element.querySelector('.trimmer-handle-end');
+        this.timeLabel = this.element.querySelector('.trimmer-time');
+        this.coverBtn = this.element.querySelector('.trimmer-cover-btn');
+        this.saveBtn = this.element.querySelector('.trimmer-save-btn');
+
+        [['start', this.handleStart], ['end', this.handleEnd]].forEach(([edge, handle]) => {
+            handle.addEventListener('pointerdown', (e) => {
+                e.stopPropagation();
+                handle.setPointerCapture(e.pointerId);
+                this.dragging = edge;
+                this.video.pause();
+            });
+            handle.addEventListener('keydown', (e) => {
+                const step = e.key === 'ArrowLeft' ? -KEY_STEP : e.key === 'ArrowRight' ? KEY_STEP : 0;
+                if (!step) return;
+                e.preventDefault();
+                this.setEdge(edge, this[edge] + step);
+                this.playFromStart();
+            });
+        });
+
+        this.timeline.addEventListener('pointermove', (e) => {
+            if (this.dragging) {
+                this.setEdge(this.dragging, this.timeFromX(e.clientX));
+            }
+        });
+
+        const endDrag = () => {
+            if (!this.dragging) return;
+            this.dragging = null;
+            this.playFromStart();
+        };
+        this.timeline.addEventListener('pointerup', endDrag);
+        this.timeline.addEventListener('pointercancel', endDrag);
+
+        // Tap the timeline to jump there (inside the selection)
+        this.timeline.addEventListener('click', (e) => {
+            if (e.target.classList.contains('trimmer-handle')) return;
+            const time = Math.min(Math.max(this.timeFromX(e.clientX), this.start), this.end);
+            this.video.currentTime = time;
+        });
+
+        this.coverBtn.addEventListener('click', () => this.selectCover());
+        this.saveBtn.addEventListener('click', () => this.save());
+    }
+
+    /**
+     * Start editing a recorded video
+     * @param {Object} media - Video object from MediaCapture
+     */
+    async open(media) {
+        this.media = media;
+        this.isOpen = true;
+        this.setBusy(false);
+        this.element.hidden = false;
+        this.container.classList.add('trimming');
+
+        if (this.video.readyState < 1) {
+            await waitForMediaEvent(this.video, 'loadedmetadata', 3000).catch(() => {});
+        }
+        if (!this.isOpen || this.media !== media) return;
+
+        // MediaRecorder WebM often reports an Infinity duration - use the recorded length
+        this.duration = Number.isFinite(this.video.duration) ? this.video.duration : media.duration / 1000;
+        this.start = 0;
+        this.end = this.duration;
+        this.coverTime = media.coverTime !== null && media.coverTime !== undefined ? media.coverTime : 0;
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+        this.update();
+        this.buildFilmstrip(media);
+        this.playFromStart();
+
+        if (!this.loopFrame) {
+            this.loopFrame = requestAnimationFrame(this.loop);
+        }
+    }
+
+    /**
+     * Stop editing (the preview keeps playing the whole clip)
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.media = null;
+        this.dragging = null;
+        this.filmstripId++;
+        this.element.hidden = true;
+        this.container.classList.remove('trimming');
+
+        if (this.loopFrame) {
+            cancelAnimationFrame(this.loopFrame);
+            this.loopFrame = null;
+        }
+    }
+
+    /**
+     * Open or close for a video
+     */
+    toggle(media) {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open(media);
+        }
+    }
+
+    /**
+     * Keep playback inside the selection and move the playhead
+     */
+    loop() {
+        this.loopFrame = requestAnimationFrame(this.loop);
+        if (!this.duration) return;
+
+        const time = this.video.currentTime;
+        if (!this.dragging && !this.video.paused && (time >= this.end || time < this.start - 0.05)) {
+            this.video.currentTime = this.start;
+        }
+        this.playhead.style.left = `${(time / this.duration) * 100}%`;
+    }
+
+    playFromStart() {
+        this.video.currentTime = this.start;
+        this.video.play().catch(() => {});
+    }
+
+    /**
+     * Move a handle, keeping at least MIN_LENGTH selected
+     */
+    setEdge(edge, time) {
+        const minLength = Math.min(MIN_LENGTH, this.duration);
+        if (edge === 'start') {
+            this.start = Math.min(Math.max(time, 0), this.end - minLength);
+        } else {
+            this.end = Math.max(Math.min(time, this.duration), this.start + minLength);
+        }
+
+        // Scrub to the edge being moved
+        this.video.currentTime = edge === 'start' ? this.start : this.end;
+        this.update();
+    }
+
+    timeFromX(clientX) {
+        const rect = this.timeline.getBoundingClientRect();
+        return Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1) * this.duration;
+    }
+
+    /**
+     * Redraw handles, shading, cover marker and label
+     */
+    update() {
+        const percent = time => `${(time / this.duration) * 100}%`;
+
+        this.shadeStart.style.width = percent(this.start);
+        this.shadeEnd.style.left = percent(this.end);
+        this.selection.style.left = percent(this.start);
+        this.selection.style.width = percent(this.end - this.start);
+        this.handleStart.style.left = percent(this.start);
+        this.handleEnd.style.left = percent(this.end);
+        this.coverMarker.style.left = percent(this.coverTime);
+        this.coverMarker.classList.toggle('outside', this.coverTime < this.start || this.coverTime > this.end);
+
+        this.handleStart.setAttribute('aria-valuenow', this.start.toFixed(1));
+        this.handleEnd.setAttribute('aria-valuenow', this.end.toFixed(1));
+
+        if (!this.isBusy) {
+            this.timeLabel.textContent = `${formatTime(this.start)} – ${formatTime(this.end)} (${formatTime(this.end - this.start)})`;
+        }
+    }
+
+    /**
+     * Draw evenly spaced frames along the timeline
+     */
+    async buildFilmstrip(media) {
+        const id = ++this.filmstripId;
+        this.filmstrip.innerHTML = '';
+
+        const source = document.createElement('video');
+        source.muted = true;
+        source.playsInline = true;
+        source.preload = 'auto';
+        source.src = media.url;
+
+        try {
+            await waitForMediaEvent(source, 'loadeddata', 5000);
+
+            const height = FILMSTRIP_HEIGHT * (window.devicePixelRatio || 1);
+            const width = Math.round(height * source.videoWidth / source.videoHeight) || height;
+
+            for (let i = 0; i < FILMSTRIP_FRAMES && id === this.filmstripId; i++) {
+                source.currentTime = ((i + 0.5) / FILMSTRIP_FRAMES) * this.duration;
+                await waitForMediaEvent(source, 'seeked', 2000);
+                if (id !== this.filmstripId) break;
+
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+                this.filmstrip.appendChild(canvas);
+            }
+        } catch (error) {
+            console.warn('VideoTrimmer: Could not build filmstrip', error);
+        } finally {
+            source.removeAttribute('src');
+            source.load();
+        }
+    }
+
+    /**
+     * Use the frame on screen as the cover
+     */
+    selectCover() {
+        if (!this.media) return;
+
+        this.coverTime = Math.min(Math.max(this.video.currentTime, this.start), this.end);
+        this.update();
+        this.events.emit('videoCoverSelected', { media: this.media, time: this.coverTime });
+    }
+
+    /**
+     * Re-export the selection (just close when nothing was trimmed)
+     */
+    save() {
+        if (!this.media || this.isBusy) return;
+
+        const trimmed = this.start > 0.05 || this.end < this.duration - 0.05;
+        if (!trimmed) {
+            this.close();
+            return;
+        }
+
+        this.setBusy(true);
+        this.events.emit('videoTrimRequested', {
+            media: this.media,
+            start: this.start,
+            end: this.end,
+            coverTime: this.coverTime
+        });
+    }
+
+    /**
+     * Lock the editor while exporting
+     */
+    setBusy(isBusy) {
+        this.isBusy = isBusy;
+        this.element.classList.toggle('busy', isBusy);
+        this.saveBtn.disabled = isBusy;
+        this.coverBtn.disabled = isBusy;
+        if (isBusy) {
+            this.video.pause();
+            this.setProgress(0);
+        } else if (this.duration) {
+            this.update();
+        }
+    }
+
+    /**
+     * Export progress (0-1)
+     */
+    setProgress(progress) {
+        if (this.isBusy) {
+            this.timeLabel.textContent = `Saving… ${Math.round(progress * 100)}%`;
+        }
+    }
+
+    /**
+     * Remove the editor
+     */
+    dispose() {
+        this.close();
+        this.element.remove();
+    }
+}
+
+export default VideoTrimmer;
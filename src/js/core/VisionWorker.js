@@ -0,0 +1,303 @@
+/**
+ * VisionWorker - Main-thread side of the tracking/segmentation worker
+ *
+ * Grabs frames from the camera video as VideoFrame (or ImageBitmap where
+ * WebCodecs is missing), transfers them to workers/vision.worker.js and hands
+ * results back to FaceTracker and SegmentationManager, which turn them into
+ * the usual faceTracked / segmentationUpdate events.
+ *
+ * Frames are sent from the FrameScheduler 'track' phase, which waits for the
+ * result (up to RESULT_TIMEOUT) so the frame's 3D render uses fresh data.
+ * One frame is in flight at a time, so a slow device drops frames instead
+ * of queueing them.
+ *
+ * Used wherever the browser supports it; ?worker=0 in the URL or
+ * beastsideFiltersConfig.visionWorker = false keeps everything on the main thread.
+ */
+
+// Longest the frame pipeline waits for a worker result before moving on
+const RESULT_TIMEOUT = 100;
+
+class VisionWorker {
+    constructor(videoElement, scheduler) {
+        this.video = videoElement;
+        this.scheduler = scheduler;
+        this.worker = null;
+        this.isRunning = false;
+        this.isBusy = false;
+
+        this.removeFrameCallback = null;
+        // Resolves the pending processFrame() promise when the result arrives
+        this.resolveResult = null;
+        // Gives up waiting after RESULT_TIMEOUT (cleared when the result is first)
+        this.resultTimer = null;
+
+        // Per-task state: loaded in the worker, wanted this frame, result handler
+        this.tasks = {
+            face: { loaded: false, active: false, handler: null },
+            segmentation: { loaded: false, active: false, handler: null }
+        };
+
+        // Pending load() promises by task
+        this.pendingLoads = {};
+
+        // Segmentation runs every N frames (the last mask is reused in between)
+        this.segmentEveryN = 2;
+        this.frameCount = 0;
+
+        this.handleMessage = this.handleMessage.bind(this);
+        this.processFrame = this.processFrame.bind(this);
+    }
+
+    /**
+     * Check browser support (workers with OffscreenCanvas)
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function';
+    }
+
+    /**
+     * Check if the worker is wanted - on unless opted out (URL flag or WordPress config)
+     */
+    static isEnabled() {
+        if (typeof window === 'undefined') return false;
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('worker')) return params.get('worker') !== '0';
+
+        return !(window.beastsideFiltersConfig && window.beastsideFiltersConfig.visionWorker === false);
+    }
+
+    /**
+     * Create the worker on first use
+     */
+    ensureWorker() {
+        if (this.worker) return;
+
+        // Classic worker - see worker.format in vite.config.js
+        this.worker = new Worker(new URL('../workers/vision.worker.js', import.meta.url));
+        this.worker.addEventListener('message', this.handleMessage);
+        this.worker.addEventListener('error', (error) => {
+            console.error('VisionWorker: Worker error', error);
+            Object.keys(this.pendingLoads).forEach(task => this.rejectLoad(task, error));
+            this.finishFrame();
+        });
+    }
+
+    /**
+     * Load a task's model in the worker
+     * @param {string} task - 'face' or 'segmentation'
+     */
+    load(task) {
+        if (this.tasks[task].loaded) return Promise.resolve();
+        if (this.pendingLoads[task]) return this.pendingLoads[task].promise;
+
+        this.ensureWorker();
+
+        const pending = {};
+        pending.promise = new Promise((resolve, reject) => {
+            pending.resolve = resolve;
+            pending.reject = reject;
+        });
+        this.pendingLoads[task] = pending;
+
+        console.log(`VisionWorker: Loading ${task} model...`);
+        this.worker.postMessage({ type: 'load', task });
+        return pending.promise;
+    }
+
+    /**
+     * Release a task's model in the worker
+     */
+    unload(task) {
+        this.setActive(task, false);
+        this.tasks[task].loaded = false;
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'unload', task });
+        }
+    }
+
+    rejectLoad(task, error) {
+        const pending = this.pendingLoads[task];
+        if (!pending) return;
+
+        delete this.pendingLoads[task];
+        pending.reject(error instanceof Error ? error : new Error(error));
+    }
+
+    /**
+     * Set the result handler for a task
+     * face handler: ({ landmarks, blendshapes, matrix } | null) - null when no face
+     * segmentation handler: (ImageBitmap) - caller closes the bitmap
+     */
+    setHandler(task, handler) {
+        this.tasks[task].handler = handler;
+    }
+
+    /**
+     * Include/exclude a task from the frames sent to the worker
+     */
+    setActive(task, active) {
+        this.tasks[task].active = active;
+    }
+
+    /**
+     * Start sending frames (FrameScheduler 'track' phase)
+     */
+    start() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.removeFrameCallback = this.scheduler.add('track', this.processFrame);
+    }
+
+    /**
+     * Stop sending frames
+     */
+    stop() {
+        this.isRunning = false;
+
+        if (this.removeFrameCallback) {
+            this.removeFrameCallback();
+            this.removeFrameCallback = null;
+        }
+        this.finishFrame();
+    }
+
+    /**
+     * Send the current video frame if the worker is idle
+     * @param {Object} frame - Scheduler frame info
+     * @returns {Promise|null} Resolves when the result has been handled (or timed out)
+     */
+    processFrame(frame) {
+        if (this.isBusy || !frame.isNewVideoFrame || this.video.readyState < 2) return null;
+
+        this.frameCount++;
+
+        const requested = {
+            face: this.tasks.face.loaded && this.tasks.face.active,
+            segmentation: this.tasks.segmentation.loaded && this.tasks.segmentation.active &&
+                this.frameCount % this.segmentEveryN === 0
+        };
+
+        if (!requested.face && !requested.segmentation) return null;
+
+        this.isBusy = true;
+
+        return new Promise((resolve) => {
+            this.resolveResult = resolve;
+            // Don't hold up the render if the worker falls behind - the result still lands later
+            this.resultTimer = setTimeout(resolve, RESULT_TIMEOUT);
+
+            this.sendFrame(requested).catch((error) => {
+                console.error('VisionWorker: Failed to send frame', error);
+                this.finishFrame();
+            });
+        });
+    }
+
+    /**
+     * Transfer the current video frame to the worker
+     */
+    async sendFrame(requested) {
+        const timestamp = performance.now();
+        const frame = await this.grabFrame(timestamp);
+        this.worker.postMessage({ type: 'frame', frame, timestamp, tasks: requested }, [frame]);
+    }
+
+    /**
+     * Mark the in-flight frame as done
+     */
+    finishFrame() {
+        this.isBusy = false;
+
+        if (this.resultTimer) {
+            clearTimeout(this.resultTimer);
+            this.resultTimer = null;
+        }
+
+        if (this.resolveResult) {
+            this.resolveResult();
+            this.resolveResult = null;
+        }
+    }
+
+    /**
+     * Capture the current video frame as a transferable
+     */
+    grabFrame(timestamp) {
+        if (typeof VideoFrame !== 'undefined') {
+            return new VideoFrame(this.video, { timestamp: Math.round(timestamp * 1000) });
+        }
+        return createImageBitmap(this.video);
+    }
+
+    /**
+     * Handle worker messages
+     */
+    handleMessage({ data }) {
+        switch (data.type) {
+            case 'loaded': {
+                this.tasks[data.task].loaded = true;
+                const pending = this.pendingLoads[data.task];
+                delete this.pendingLoads[data.task];
+                if (pending) pending.resolve();
+                console.log(`VisionWorker: ${data.task} model loaded`);
+                break;
+            }
+
+            case 'error':
+                if (data.task) {
+                    this.rejectLoad(data.task, data.message);
+                } else {
+                    console.error('VisionWorker:', data.message);
+                }
+                break;
+
+            case 'result':
+                if (data.error) {
+                    console.error('VisionWorker: Frame processing error', data.error);
+                }
+
+                if (data.face !== undefined && this.tasks.face.handler) {
+                    this.tasks.face.handler(data.face);
+                }
+
+                if (data.mask) {
+                    if (this.tasks.segmentation.handler) {
+                        this.tasks.segmentation.handler(data.mask);
+                    } else {
+                        data.mask.close();
+                    }
+                }
+
+                this.finishFrame();
+                break;
+        }
+    }
+
+    /**
+     * Terminate the worker
+     */
+    dispose() {
+        this.stop();
+
+        if (this.worker) {
+            this.worker.removeEventListener('message', this.handleMessage);
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        Object.keys(this.pendingLoads).forEach(task => this.rejectLoad(task, 'Worker disposed'));
+        Object.values(this.tasks).forEach(task => {
+            task.loaded = false;
+            task.active = false;
+            task.handler = null;
+        });
+    }
+}
+
+export default VisionWorker;
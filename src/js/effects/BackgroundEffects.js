@@ -1,103 +1,85 @@
 /**
- * BackgroundEffects - Apply visual effects to background video
+ * BackgroundEffects - Visual effects for the camera/background layer
  *
- * Effects are applied during composite frame rendering for captures.
+ * Effects are described as parameters in the EffectRegistry and rendered by
+ * the Compositor, so the live view and captures use the same pass. This
+ * class tracks the selection and the user's control values (EffectSettings).
  */
 
+import { effectRegistry, resolveEffectParams } from './EffectRegistry.js';
+import EffectSettings from './EffectSettings.js';
+
+// Built-in effects - parameters for the Compositor's post pass:
+//   blur:     camera blur radius in CSS px (matches CSS blur())
+//   bokeh:    lens-style blur radius in CSS px for the background only -
+//             the person stays sharp (needs the segmentation mask)
+//   tint:     [r, g, b, a] color laid over the camera/background layer
+//   vignette: radial darkening - radius as a fraction of the longest side,
+//             inner = fraction of radius where it starts, stops = [[position, alpha], ...]
+const BUILTIN_EFFECTS = {
+    none: {
+        name: 'None',
+        icon: 'circle-off'
+    },
+    blur: {
+        name: 'Blur',
+        icon: 'blur',
+        blur: 8
+    },
+    portrait: {
+        name: 'Portrait',
+        icon: 'focus',
+        bokeh: 12
+    },
+    warmTint: {
+        name: 'Warm',
+        icon: 'sun',
+        tint: [1, 200 / 255, 150 / 255, 0.15]
+    },
+    coolTint: {
+        name: 'Cool',
+        icon: 'snowflake',
+        tint: [150 / 255, 200 / 255, 1, 0.15]
+    },
+    vignette: {
+        name: 'Vignette',
+        icon: 'aperture',
+        vignette: { radius: 0.7, inner: 0.3, stops: [[0.5, 0.1], [1, 0.5]] }
+    },
+    dramatic: {
+        name: 'Dramatic',
+        icon: 'contrast',
+        vignette: { radius: 0.6, inner: 0.2, stops: [[0.6, 0.2], [1, 0.6]] }
+    }
+};
+
+Object.entries(BUILTIN_EFFECTS).forEach(([id, definition]) => {
+    effectRegistry.registerEffect(id, definition);
+});
+
 class BackgroundEffects {
     constructor() {
         this.currentEffect = 'none';
+        this.settings = new EffectSettings('beastside-filters:background-effect-settings');
 
-        // Available effects
-        this.effects = {
-            none: {
-                name: 'None',
-                icon: 'circle-off',
-                apply: (ctx, width, height) => {
-                    // No effect
-                }
-            },
-            blur: {
-                name: 'Blur',
-                icon: 'blur',
-                apply: (ctx, width, height) => {
-                    // Apply blur using CSS filter on the context
-                    ctx.filter = 'blur(8px)';
-                }
-            },
-            warmTint: {
-                name: 'Warm',
-                icon: 'sun',
-                apply: (ctx, width, height) => {
-                    // Apply warm orange overlay
-                    ctx.fillStyle = 'rgba(255, 200, 150, 0.15)';
-                    ctx.fillRect(0, 0, width, height);
-                }
-            },
-            coolTint: {
-                name: 'Cool',
-                icon: 'snowflake',
-                apply: (ctx, width, height) => {
-                    // Apply cool blue overlay
-                    ctx.fillStyle = 'rgba(150, 200, 255, 0.15)';
-                    ctx.fillRect(0, 0, width, height);
-                }
-            },
-            vignette: {
-                name: 'Vignette',
-                icon: 'aperture',
-                apply: (ctx, width, height) => {
-                    // Create radial gradient for vignette
-                    const centerX = width / 2;
-                    const centerY = height / 2;
-                    const radius = Math.max(width, height) * 0.7;
-
-                    const gradient = ctx.createRadialGradient(
-                        centerX, centerY, radius * 0.3,
-                        centerX, centerY, radius
-                    );
-                    gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
-                    gradient.addColorStop(0.5, 'rgba(0, 0, 0, 0.1)');
-                    gradient.addColorStop(1, 'rgba(0, 0, 0, 0.5)');
-
-                    ctx.fillStyle = gradient;
-                    ctx.fillRect(0, 0, width, height);
-                }
-            },
-            dramatic: {
-                name: 'Dramatic',
-                icon: 'contrast',
-                apply: (ctx, width, height) => {
-                    // Combine vignette with slight desaturation
-                    const centerX = width / 2;
-                    const centerY = height / 2;
-                    const radius = Math.max(width, height) * 0.6;
-
-                    const gradient = ctx.createRadialGradient(
-                        centerX, centerY, radius * 0.2,
-                        centerX, centerY, radius
-                    );
-                    gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
-                    gradient.addColorStop(0.6, 'rgba(0, 0, 0, 0.2)');
-                    gradient.addColorStop(1, 'rgba(0, 0, 0, 0.6)');
-
-                    ctx.fillStyle = gradient;
-                    ctx.fillRect(0, 0, width, height);
-                }
-            }
-        };
+        // Params resolved for the current entry/values (read every frame by the Compositor)
+        this.resolved = null;
     }
 
     /**
      * Get all available effects
-     * @returns {Array} Array of effect objects with id, name, and icon
+     * @returns {Array} Array of effect objects with id, name, icon and needsMask
      */
     getEffects() {
-        return Object.entries(this.effects).map(([id, effect]) => ({
-            id,
-            name: effect.name,
-            icon: effect.icon
-        }));
+        return effectRegistry.getEffects().map(({ id, name, icon, needsMask }) => ({ id, name, icon, needsMask }));
+    }
+
+    /**
+     * Whether the current effect needs the segmentation mask
+     * @returns {boolean}
+     */
+    needsMask() {
+        return !!effectRegistry.getEffect(this.currentEffect)?.needsMask;
     }
 
     /**
@@ -105,7 +87,7 @@ class BackgroundEffects {
      * @param {string} effectId - Effect identifier
      */
     setEffect(effectId) {
-        if (this.effects[effectId]) {
+        if (effectRegistry.getEffect(effectId)) {
             this.currentEffect = effectId;
             console.log(`BackgroundEffects: Set effect to ${effectId}`);
         } else {
@@ -122,44 +104,49 @@ class BackgroundEffects {
     }
 
     /**
-     * Apply pre-draw effect (like blur) - call before drawing video
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * Get compositor parameters for the current effect
+     * @returns {Object} { blur?, bokeh?, tint?, vignette? }
      */
-    applyPreEffect(ctx) {
-        if (this.currentEffect === 'blur') {
-            ctx.filter = 'blur(8px)';
-        } else {
-            ctx.filter = 'none';
+    getEffectParams() {
+        const entry = effectRegistry.getEffect(this.currentEffect);
+        if (!entry) return {};
+
+        // Re-resolve after a control change or a re-registration of the effect
+        if (!this.resolved || this.resolved.entry !== entry) {
+            this.resolved = { entry, params: resolveEffectParams(entry, this.settings.getAll(entry)) };
         }
+        return this.resolved.params;
     }
 
     /**
-     * Reset context filter after pre-effect
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * Get the adjustable parameters of the current effect
+     * @returns {Array} Control descriptors (see EffectRegistry)
      */
-    resetPreEffect(ctx) {
-        ctx.filter = 'none';
+    getControls() {
+        return effectRegistry.getEffect(this.currentEffect)?.controls || [];
     }
 
     /**
-     * Apply post-draw effect (overlays) - call after drawing video
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {number} width - Canvas width
-     * @param {number} height - Canvas height
+     * Get a control value for the current effect
+     * @param {string} controlId
      */
-    applyPostEffect(ctx, width, height) {
-        const effect = this.effects[this.currentEffect];
-        if (effect && this.currentEffect !== 'none' && this.currentEffect !== 'blur') {
-            effect.apply(ctx, width, height);
-        }
+    getControlValue(controlId) {
+        const entry = effectRegistry.getEffect(this.currentEffect);
+        return entry ? this.settings.get(entry, controlId) : undefined;
     }
 
     /**
-     * Check if current effect requires pre-draw filter
-     * @returns {boolean}
+     * Set a control value for the current effect (kept for the session)
+     * @param {string} controlId
+     * @param {number|string} value
+     * @returns {number|string|undefined} The stored (clamped) value
      */
-    hasPreEffect() {
-        return this.currentEffect === 'blur';
+    setControlValue(controlId, value) {
+        const entry = effectRegistry.getEffect(this.currentEffect);
+        if (!entry) return undefined;
+
+        this.resolved = null;
+        return this.settings.set(entry, controlId, value);
     }
 }
 
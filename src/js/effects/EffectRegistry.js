@@ -0,0 +1,224 @@
+/**
+ * EffectRegistry - Single source of truth for photo filters and background effects
+ *
+ * Everything that shows or renders a look reads it from here: the Effects
+ * dropdown (FilterApp.populateEffects), the Compositor (live view and
+ * captures) and capture metadata. New looks are added with registerFilter()
+ * / registerEffect() - at startup or later, the dropdown picks them up.
+ *
+ *   registerFilter('noir', { name: 'Noir', icon: 'moon', filter: 'grayscale(1) contrast(1.5)' });
+ *   registerFilter('teal', { name: 'Teal', icon: 'palette', lut: '/luts/teal-orange.cube', intensity: 0.8 });
+ *   registerEffect('rose', { name: 'Rose', icon: 'flower', tint: [1, 0.6, 0.7, 0.12] });
+ *
+ * Each entry also gets `controls` - the parameters the dropdown shows
+ * sliders for, derived from the definition (filter intensity, blur radius,
+ * portrait blur strength, tint strength/color, vignette strength/size). The values come from
+ * EffectSettings; resolveEffectParams() turns them into Compositor params.
+ */
+
+import EventEmitter from '../utils/EventEmitter.js';
+import { colorMatrixFromFilter } from '../utils/ColorMatrix.js';
+
+/**
+ * Control descriptors:
+ *   { id, name, type: 'range', min, max, step, unit: '%' | 'px' | undefined, default }
+ *   { id, name, type: 'color', default: '#rrggbb' }
+ * '%' ranges are stored as fractions and shown multiplied by 100.
+ */
+function filterControls(intensity) {
+    return [
+        { id: 'intensity', name: 'Intensity', type: 'range', min: 0, max: 1, step: 0.01, unit: '%', default: intensity }
+    ];
+}
+
+function effectControls({ blur, bokeh, tint, vignette }) {
+    const controls = [];
+    if (blur) {
+        controls.push({ id: 'blurRadius', name: 'Radius', type: 'range', min: 1, max: 24, step: 1, unit: 'px', default: blur });
+    }
+    if (bokeh) {
+        controls.push({ id: 'bokehRadius', name: 'Strength', type: 'range', min: 2, max: 24, step: 1, unit: 'px', default: bokeh });
+    }
+    if (tint) {
+        controls.push({ id: 'tintStrength', name: 'Strength', type: 'range', min: 0, max: 0.5, step: 0.01, unit: '%', default: tint[3] });
+        controls.push({ id: 'tintColor', name: 'Color', type: 'color', default: rgbToHex(tint) });
+    }
+    if (vignette) {
+        // Scales the definition's stop alphas, so 100% is the effect as designed
+        controls.push({ id: 'vignetteStrength', name: 'Strength', type: 'range', min: 0, max: 2, step: 0.05, unit: '%', default: 1 });
+        controls.push({ id: 'vignetteSize', name: 'Size', type: 'range', min: 0.3, max: 1.2, step: 0.05, unit: '%', default: vignette.radius });
+    }
+    return controls;
+}
+
+export function rgbToHex([r, g, b]) {
+    return '#' + [r, g, b].map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+}
+
+export function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16 & 255) / 255, (value >> 8 & 255) / 255, (value & 255) / 255];
+}
+
+/**
+ * Apply control values to an effect's params
+ * @param {Object} entry - Effect entry from the registry
+ * @param {Object} values - { controlId: value } (see EffectSettings.getAll)
+ * @returns {Object} { blur?, bokeh?, tint?, vignette? } for the Compositor
+ */
+export function resolveEffectParams(entry, values) {
+    const { blur, bokeh, tint, vignette } = entry.params;
+    const params = {};
+
+    if (blur) {
+        params.blur = values.blurRadius ?? blur;
+    }
+    if (bokeh) {
+        params.bokeh = values.bokehRadius ?? bokeh;
+    }
+    if (tint) {
+        params.tint = [...(values.tintColor ? hexToRgb(values.tintColor) : tint.slice(0, 3)), values.tintStrength ?? tint[3]];
+    }
+    if (vignette) {
+        const strength = values.vignetteStrength ?? 1;
+        params.vignette = {
+            ...vignette,
+            radius: values.vignetteSize ?? vignette.radius,
+            stops: vignette.stops.map(([position, alpha]) => [position, Math.min(alpha * strength, 1)])
+        };
+    }
+
+    return params;
+}
+
+class EffectRegistry {
+    constructor() {
+        this.filters = new Map();
+        this.effects = new Map();
+        this.events = new EventEmitter();
+    }
+
+    /**
+     * Register (or replace) a photo filter
+     * @param {string} id - Unique filter id
+     * @param {Object} definition
+     * @param {string} definition.name - Label in the dropdown
+     * @param {string} definition.icon - Lucide icon name
+     * @param {string} [definition.filter] - CSS filter string (color functions only, see ColorMatrix)
+     * @param {string} [definition.lut] - URL of a .cube file or HALD CLUT PNG, applied after `filter`
+     * @param {number} [definition.intensity] - Default strength, 0-1 (adjustable per filter in the dropdown)
+     * @returns {Object} The stored filter
+     */
+    registerFilter(id, { name, icon = 'image', filter = 'none', lut = null, intensity = 1 }) {
+        if (!id || !name) {
+            throw new Error('EffectRegistry: Filters need an id and a name');
+        }
+
+        const entry = {
+            id,
+            name,
+            icon,
+            filter,
+            lut,
+            intensity: Math.min(Math.max(intensity, 0), 1),
+            // Precomputed for the Compositor
+            colorMatrix: colorMatrixFromFilter(filter)
+        };
+        // 'Normal'-style entries (no color change) have nothing to adjust
+        entry.controls = filter === 'none' && !lut ? [] : filterControls(entry.intensity);
+
+        this.filters.set(id, entry);
+        this.events.emit('change', { type: 'filter', id });
+        return entry;
+    }
+
+    /**
+     * Register (or replace) a background effect
+     * @param {string} id - Unique effect id
+     * @param {Object} definition
+     * @param {string} definition.name - Label in the dropdown
+     * @param {string} definition.icon - Lucide icon name
+     * @param {number} [definition.blur] - Camera blur radius in CSS px
+     * @param {number} [definition.bokeh] - Background-only blur radius in CSS px (uses the segmentation mask)
+     * @param {Array<number>} [definition.tint] - [r, g, b, a] in 0-1
+     * @param {Object} [definition.vignette] - { radius, inner, stops: [[position, alpha], [1, alpha]] }
+     * @returns {Object} The stored effect
+     */
+    registerEffect(id, { name, icon = 'sparkles', blur, bokeh, tint, vignette }) {
+        if (!id || !name) {
+            throw new Error('EffectRegistry: Effects need an id and a name');
+        }
+
+        const params = {};
+        if (blur) params.blur = blur;
+        if (bokeh) params.bokeh = bokeh;
+        if (tint) params.tint = tint;
+        if (vignette) params.vignette = vignette;
+
+        const entry = {
+            id,
+            name,
+            icon,
+            params,
+            controls: effectControls(params),
+            // Only usable when segmentation is available
+            needsMask: !!bokeh
+        };
+
+        this.effects.set(id, entry);
+        this.events.emit('change', { type: 'effect', id });
+        return entry;
+    }
+
+    /**
+     * Get a filter by id
+     * @returns {Object|undefined}
+     */
+    getFilter(id) {
+        return this.filters.get(id);
+    }
+
+    /**
+     * Get an effect by id
+     * @returns {Object|undefined}
+     */
+    getEffect(id) {
+        return this.effects.get(id);
+    }
+
+    /**
+     * All filters in registration order
+     */
+    getFilters() {
+        return Array.from(this.filters.values());
+    }
+
+    /**
+     * All effects in registration order
+     */
+    getEffects() {
+        return Array.from(this.effects.values());
+    }
+
+    /**
+     * Subscribe to registrations
+     * @param {Function} callback - ({ type: 'filter'|'effect', id })
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(callback) {
+        return this.events.on('change', callback);
+    }
+}
+
+// Create singleton instance
+export const effectRegistry = new EffectRegistry();
+
+export function registerFilter(id, definition) {
+    return effectRegistry.registerFilter(id, definition);
+}
+
+export function registerEffect(id, definition) {
+    return effectRegistry.registerEffect(id, definition);
+}
+
+export default effectRegistry;
@@ -0,0 +1,88 @@
+/**
+ * EffectSettings - User-adjusted control values for filters/effects
+ *
+ * Registry entries describe their adjustable parameters as `controls`
+ * (see EffectRegistry). This keeps what the user picked for each entry,
+ * falls back to the control's default otherwise, and mirrors the values to
+ * sessionStorage so they survive a reload but not a new visit.
+ */
+
+class EffectSettings {
+    /**
+     * @param {string} storageKey - sessionStorage key
+     */
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+        // Entry id → { controlId: value }
+        this.values = this.load();
+    }
+
+    /**
+     * Read saved values for this session
+     */
+    load() {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            // Storage unavailable (private mode, sandboxed iframe) - keep values in memory only
+            console.warn('EffectSettings: Could not load settings', error);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('EffectSettings: Could not save settings', error);
+        }
+    }
+
+    /**
+     * Get a control's value for an entry
+     * @param {Object} entry - Registry entry (with controls)
+     * @param {string} controlId
+     * @returns {number|string|undefined} Saved value, or the control default
+     */
+    get(entry, controlId) {
+        const control = entry.controls.find(c => c.id === controlId);
+        if (!control) return undefined;
+
+        const saved = this.values[entry.id]?.[controlId];
+        return saved !== undefined ? saved : control.default;
+    }
+
+    /**
+     * Get all control values for an entry
+     * @returns {Object} { controlId: value }
+     */
+    getAll(entry) {
+        const values = {};
+        entry.controls.forEach(control => {
+            values[control.id] = this.get(entry, control.id);
+        });
+        return values;
+    }
+
+    /**
+     * Set a control's value for an entry (clamped to the control's range)
+     * @returns {number|string|undefined} The stored value
+     */
+    set(entry, controlId, value) {
+        const control = entry.controls.find(c => c.id === controlId);
+        if (!control) {
+            console.warn(`EffectSettings: ${entry.id} has no control ${controlId}`);
+            return undefined;
+        }
+
+        if (control.type === 'range') {
+            value = Math.min(Math.max(Number(value), control.min), control.max);
+        }
+
+        this.values[entry.id] = { ...this.values[entry.id], [controlId]: value };
+        this.save();
+        return value;
+    }
+}
+
+export default EffectSettings;
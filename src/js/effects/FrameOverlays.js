@@ -0,0 +1,260 @@
+/**
+ * FrameOverlays - Branded frames drawn over the live view and captures
+ *
+ * A frame combines a full-frame PNG border, a logo watermark (corner, size,
+ * opacity) and campaign hashtag text. Frames come from the WordPress plugin
+ * (Settings → BEASTSIDE Frames, inlined in beastsideFiltersConfig.frames);
+ * there are none without it. The selected frame is drawn into a
+ * transparent 2D canvas at the output size, which the Compositor blends over
+ * the filtered image - so photos, videos and GIFs carry it too.
+ */
+
+const NONE_FRAME = { id: 'none', name: 'None', icon: 'circle-off', thumbnail: null };
+
+const LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Spacing from the edges and hashtag size, relative to the shorter side
+const MARGIN = 0.04;
+const HASHTAG_SIZE = 0.05;
+const HASHTAG_FONT = 'Inter, system-ui, sans-serif';
+
+class FrameOverlays {
+    constructor() {
+        this.frames = [NONE_FRAME];
+        this.currentFrame = 'none';
+
+        // Loaded border/logo images by URL
+        this.images = new Map();
+
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        // Set when the frame, its images or fonts change; the canvas is redrawn on the next update()
+        this.dirty = false;
+        // Web fonts already asked for (drawn with a fallback until they load)
+        this.requestedFonts = new Set();
+    }
+
+    /**
+     * Load the catalog and select the default frame, if one is marked
+     */
+    initialize() {
+        const catalog = this.loadCatalog();
+        this.frames = [NONE_FRAME, ...catalog];
+
+        const defaultFrame = catalog.find(frame => frame.default);
+        if (defaultFrame) {
+            this.setFrame(defaultFrame.id);
+        }
+    }
+
+    /**
+     * Read the frames catalog (inlined by the plugin in beastsideFiltersConfig.frames)
+     * @returns {Array} Frame entries
+     */
+    loadCatalog() {
+        const config = (typeof window !== 'undefined' && window.beastsideFiltersConfig) || {};
+        let items = config.frames;
+
+        if (!Array.isArray(items)) {
+            items = [];
+        }
+
+        const entries = items
+            .filter(item => item && item.id && item.id !== 'none' && (item.border || item.logo || item.hashtag))
+            .map(item => ({
+                id: String(item.id),
+                name: item.name || String(item.id),
+                icon: 'frame',
+                thumbnail: item.thumbnail || null,
+                border: item.border || null,
+                logo: item.logo || null,
+                logoPosition: LOGO_POSITIONS.includes(item.logoPosition) ? item.logoPosition : 'bottom-right',
+                logoSize: clamp(Number(item.logoSize) || 20, 1, 100) / 100,
+                logoOpacity: clamp(Number(item.logoOpacity ?? 80), 0, 100) / 100,
+                hashtag: item.hashtag ? String(item.hashtag) : '',
+                hashtagPosition: item.hashtagPosition === 'top' ? 'top' : 'bottom',
+                default: !!item.default
+            }));
+
+        console.log(`FrameOverlays: ${entries.length} frame(s) in catalog`);
+        return entries;
+    }
+
+    /**
+     * Get all frames
+     * @returns {Array} Frame objects with id, name, icon and thumbnail
+     */
+    getFrames() {
+        return this.frames.map(({ id, name, icon, thumbnail }) => ({ id, name, icon, thumbnail }));
+    }
+
+    /**
+     * Get current frame
+     * @returns {string} Frame id
+     */
+    getFrame() {
+        return this.currentFrame;
+    }
+
+    /**
+     * Get the catalog entry for the current frame
+     * @returns {Object}
+     */
+    getCurrentEntry() {
+        return this.frames.find(frame => frame.id === this.currentFrame) || NONE_FRAME;
+    }
+
+    /**
+     * Set current frame
+     * @param {string} frameId
+     */
+    setFrame(frameId) {
+        const frame = this.frames.find(entry => entry.id === frameId);
+        if (!frame) {
+            console.warn(`FrameOverlays: Unknown frame: ${frameId}`);
+            return;
+        }
+
+        this.currentFrame = frameId;
+        this.dirty = true;
+
+        [frame.border, frame.logo].forEach(src => {
+            if (src) this.loadImage(src);
+        });
+        console.log(`FrameOverlays: Set to ${frameId}`);
+    }
+
+    /**
+     * Whether a frame is selected (the Compositor skips the overlay otherwise)
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.currentFrame !== 'none';
+    }
+
+    /**
+     * Load an image once; the overlay is redrawn when it arrives
+     * @param {string} src
+     */
+    loadImage(src) {
+        if (this.images.has(src)) return;
+
+        const image = new Image();
+        // Keeps the output canvas untainted for media served from a CDN
+        image.crossOrigin = 'anonymous';
+        image.decoding = 'async';
+        this.images.set(src, null);
+
+        image.onload = () => {
+            this.images.set(src, image);
+            this.dirty = true;
+        };
+        image.onerror = () => {
+            console.warn('FrameOverlays: Could not load image', src);
+        };
+        image.src = src;
+    }
+
+    /**
+     * Overlay canvas (transparent where the frame draws nothing)
+     * @returns {HTMLCanvasElement}
+     */
+    getCanvas() {
+        return this.canvas;
+    }
+
+    /**
+     * Redraw the overlay if the frame, its images or the output size changed
+     * @param {number} width - Output size in device pixels
+     * @param {number} height
+     * @returns {boolean} True when the canvas was redrawn
+     */
+    update(width, height) {
+        width = Math.max(1, Math.round(width));
+        height = Math.max(1, Math.round(height));
+
+        if (!this.dirty && this.canvas.width === width && this.canvas.height === height) {
+            return false;
+        }
+
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.dirty = false;
+        this.draw(this.getCurrentEntry(), width, height);
+        return true;
+    }
+
+    /**
+     * Draw border, logo and hashtag
+     */
+    draw(frame, width, height) {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        if (frame.id === 'none') return;
+
+        const margin = Math.round(Math.min(width, height) * MARGIN);
+        const fontSize = Math.max(12, Math.round(Math.min(width, height) * HASHTAG_SIZE));
+        const border = frame.border && this.images.get(frame.border);
+        const logo = frame.logo && this.images.get(frame.logo);
+
+        // Borders are made for the full frame - stretch rather than crop
+        if (border) {
+            ctx.drawImage(border, 0, 0, width, height);
+        }
+
+        if (logo) {
+            const logoWidth = width * frame.logoSize;
+            const logoHeight = logoWidth * logo.naturalHeight / logo.naturalWidth;
+            const [vertical, horizontal] = frame.logoPosition.split('-');
+            const x = horizontal === 'left' ? margin : width - margin - logoWidth;
+            // Keep clear of a hashtag on the same edge
+            const hashtagSpace = frame.hashtag && frame.hashtagPosition === vertical ? fontSize * 1.2 + margin / 2 : 0;
+            const y = vertical === 'top' ? margin + hashtagSpace : height - margin - hashtagSpace - logoHeight;
+
+            ctx.globalAlpha = frame.logoOpacity;
+            ctx.drawImage(logo, x, y, logoWidth, logoHeight);
+            ctx.globalAlpha = 1;
+        }
+
+        if (frame.hashtag) {
+            const top = frame.hashtagPosition === 'top';
+            const font = `700 ${fontSize}px ${HASHTAG_FONT}`;
+            this.requestFont(font, frame.hashtag);
+
+            ctx.save();
+            ctx.font = font;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = top ? 'top' : 'bottom';
+            ctx.fillStyle = '#ffffff';
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+            ctx.shadowBlur = fontSize * 0.25;
+            ctx.shadowOffsetY = fontSize * 0.05;
+            ctx.fillText(frame.hashtag, width / 2, top ? margin : height - margin, width - margin * 2);
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Redraw once a web font used by the overlay has loaded
+     * @param {string} font - CSS font shorthand
+     * @param {string} text
+     */
+    requestFont(font, text) {
+        if (typeof document === 'undefined' || !document.fonts || this.requestedFonts.has(font)) return;
+
+        this.requestedFonts.add(font);
+        if (document.fonts.check(font, text)) return;
+
+        document.fonts.load(font, text)
+            .then(() => {
+                this.dirty = true;
+            })
+            .catch(() => {});
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+export default FrameOverlays;
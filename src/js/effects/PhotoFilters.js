@@ -1,56 +1,110 @@
 /**
- * PhotoFilters - Apply color filters to captured photos
+ * PhotoFilters - Color filters for the live view and captures
  *
- * Filters are applied using canvas 2D filter property before blob creation.
+ * Filters are written as CSS filter strings and/or 3D LUTs and registered
+ * in the EffectRegistry, which converts the strings to the color matrix the
+ * Compositor applies to the whole frame. This class tracks the selection and
+ * each filter's control values (intensity, via EffectSettings).
+ *
+ * LUT filters come from the WordPress plugin (Settings → BEASTSIDE Color
+ * Grades, inlined in beastsideFiltersConfig.luts), or the bundled sample grade
+ * without it.
+ */
+
+import { effectRegistry } from './EffectRegistry.js';
+import EffectSettings from './EffectSettings.js';
+
+// Built-in filters (CSS filter syntax)
+const BUILTIN_FILTERS = {
+    none: {
+        name: 'Normal',
+        icon: 'image',
+        filter: 'none'
+    },
+    vintage: {
+        name: 'Vintage',
+        icon: 'film',
+        filter: 'sepia(0.3) contrast(1.1) brightness(0.95)'
+    },
+    bw: {
+        name: 'B&W',
+        icon: 'circle-half',
+        filter: 'grayscale(1) contrast(1.2)'
+    },
+    highContrast: {
+        name: 'Vivid',
+        icon: 'zap',
+        filter: 'contrast(1.4) saturate(1.2)'
+    },
+    warm: {
+        name: 'Warm',
+        icon: 'sun',
+        filter: 'sepia(0.1) saturate(1.2) brightness(1.05)'
+    },
+    cool: {
+        name: 'Cool',
+        icon: 'snowflake',
+        filter: 'saturate(0.9) brightness(1.05) hue-rotate(10deg)'
+    },
+    fade: {
+        name: 'Fade',
+        icon: 'sunset',
+        filter: 'contrast(0.9) brightness(1.1) saturate(0.8)'
+    },
+    drama: {
+        name: 'Drama',
+        icon: 'flame',
+        filter: 'contrast(1.3) brightness(0.95) saturate(1.1)'
+    }
+};
+
+// LUT filters offered without the plugin (bare file names are in public/assets/luts/)
+const DEFAULT_LUTS = [
+    { id: 'teal-orange', name: 'Teal & Orange', src: 'teal-orange.cube', intensity: 0.8 }
+];
+
+const LUTS_BASE_PATH = '/assets/luts/';
+
+Object.entries(BUILTIN_FILTERS).forEach(([id, definition]) => {
+    effectRegistry.registerFilter(id, definition);
+});
+
+loadLutCatalog().forEach(({ id, ...definition }) => {
+    effectRegistry.registerFilter(id, definition);
+});
+
+/**
+ * Read the LUT filters (inlined by the plugin in beastsideFiltersConfig.luts)
+ * Ids get a 'lut-' prefix so a grade never replaces a built-in filter.
+ * @returns {Array} { id, name, icon, lut, intensity } entries
  */
+function loadLutCatalog() {
+    const config = (typeof window !== 'undefined' && window.beastsideFiltersConfig) || {};
+    let items = config.luts;
+
+    if (!Array.isArray(items)) {
+        items = DEFAULT_LUTS;
+    }
+
+    const entries = items
+        .filter(item => item && item.id && item.src)
+        .map(item => ({
+            id: `lut-${item.id}`,
+            name: item.name || String(item.id),
+            icon: 'palette',
+            // URLs and absolute paths are used as-is
+            lut: /^([a-z][a-z0-9+.-]*:|\/)/i.test(item.src) ? item.src : LUTS_BASE_PATH + item.src,
+            intensity: Number.isFinite(item.intensity) ? item.intensity : 1
+        }));
+
+    console.log(`PhotoFilters: ${entries.length} LUT filter(s) in catalog`);
+    return entries;
+}
 
 class PhotoFilters {
     constructor() {
         this.currentFilter = 'none';
-
-        // Available filters using CSS filter syntax
-        this.filters = {
-            none: {
-                name: 'Normal',
-                icon: 'image',
-                filter: 'none'
-            },
-            vintage: {
-                name: 'Vintage',
-                icon: 'film',
-                filter: 'sepia(0.3) contrast(1.1) brightness(0.95)'
-            },
-            bw: {
-                name: 'B&W',
-                icon: 'circle-half',
-                filter: 'grayscale(1) contrast(1.2)'
-            },
-            highContrast: {
-                name: 'Vivid',
-                icon: 'zap',
-                filter: 'contrast(1.4) saturate(1.2)'
-            },
-            warm: {
-                name: 'Warm',
-                icon: 'sun',
-                filter: 'sepia(0.1) saturate(1.2) brightness(1.05)'
-            },
-            cool: {
-                name: 'Cool',
-                icon: 'snowflake',
-                filter: 'saturate(0.9) brightness(1.05) hue-rotate(10deg)'
-            },
-            fade: {
-                name: 'Fade',
-                icon: 'sunset',
-                filter: 'contrast(0.9) brightness(1.1) saturate(0.8)'
-            },
-            drama: {
-                name: 'Drama',
-                icon: 'flame',
-                filter: 'contrast(1.3) brightness(0.95) saturate(1.1)'
-            }
-        };
+        this.settings = new EffectSettings('beastside-filters:photo-filter-settings');
     }
 
     /**
@@ -58,11 +112,15 @@ class PhotoFilters {
      * @returns {Array} Array of filter objects with id, name, and icon
      */
     getFilters() {
-        return Object.entries(this.filters).map(([id, filter]) => ({
-            id,
-            name: filter.name,
-            icon: filter.icon
-        }));
+        return effectRegistry.getFilters().map(({ id, name, icon }) => ({ id, name, icon }));
+    }
+
+    /**
+     * Get the registry entry for the current filter
+     * @returns {Object}
+     */
+    getCurrentEntry() {
+        return effectRegistry.getFilter(this.currentFilter) || effectRegistry.getFilter('none');
     }
 
     /**
@@ -70,7 +128,7 @@ class PhotoFilters {
      * @param {string} filterId - Filter identifier
      */
     setFilter(filterId) {
-        if (this.filters[filterId]) {
+        if (effectRegistry.getFilter(filterId)) {
             this.currentFilter = filterId;
             console.log(`PhotoFilters: Set filter to ${filterId}`);
         } else {
@@ -91,42 +149,58 @@ class PhotoFilters {
      * @returns {string} CSS filter string
      */
     getFilterString() {
-        return this.filters[this.currentFilter]?.filter || 'none';
+        return effectRegistry.getFilter(this.currentFilter)?.filter || 'none';
+    }
+
+    /**
+     * Get the current filter as an affine color transform (for the Compositor)
+     * Returns the same object until the filter changes or is re-registered.
+     * @returns {Object} { matrix: number[9], offset: number[3] }
+     */
+    getColorMatrix() {
+        return this.getCurrentEntry().colorMatrix;
+    }
+
+    /**
+     * Get the current filter's LUT URL
+     * @returns {string|null}
+     */
+    getLut() {
+        return this.getCurrentEntry().lut;
+    }
+
+    /**
+     * Get the current filter's intensity (0 = unfiltered, 1 = full grade)
+     * @returns {number}
+     */
+    getIntensity() {
+        return this.getControlValue('intensity') ?? 1;
     }
 
     /**
-     * Apply filter to a canvas context
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * Get the adjustable parameters of the current filter
+     * @returns {Array} Control descriptors (see EffectRegistry)
      */
-    applyFilter(ctx) {
-        ctx.filter = this.getFilterString();
+    getControls() {
+        return this.getCurrentEntry().controls;
     }
 
     /**
-     * Reset context filter
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * Get a control value for the current filter
+     * @param {string} controlId
      */
-    resetFilter(ctx) {
-        ctx.filter = 'none';
+    getControlValue(controlId) {
+        return this.settings.get(this.getCurrentEntry(), controlId);
     }
 
     /**
-     * Create a filtered version of an image/canvas
-     * @param {HTMLCanvasElement|HTMLImageElement} source - Source image or canvas
-     * @returns {HTMLCanvasElement} New canvas with filter applied
+     * Set a control value for the current filter (kept for the session)
+     * @param {string} controlId
+     * @param {number|string} value
+     * @returns {number|string|undefined} The stored (clamped) value
      */
-    createFilteredCanvas(source) {
-        const canvas = document.createElement('canvas');
-        canvas.width = source.width;
-        canvas.height = source.height;
-        const ctx = canvas.getContext('2d');
-
-        // Apply filter
-        ctx.filter = this.getFilterString();
-        ctx.drawImage(source, 0, 0);
-        ctx.filter = 'none';
-
-        return canvas;
+    setControlValue(controlId, value) {
+        return this.settings.set(this.getCurrentEntry(), controlId, value);
     }
 }
 
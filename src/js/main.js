@@ -5,8 +5,17 @@
  */
 
 import FilterApp from './core/FilterApp.js';
+import { registerFilter, registerEffect } from './effects/EffectRegistry.js';
 import '../css/main.css';
 
+/**
+ * Public API for adding looks from theme/plugin scripts:
+ *   window.BeastsideFilters.registerFilter('noir', { name: 'Noir', icon: 'moon', filter: 'grayscale(1) contrast(1.5)' });
+ */
+window.BeastsideFilters = { registerFilter, registerEffect };
+
+export { registerFilter, registerEffect };
+
 /**
  * Initialize the application when DOM is ready
  */
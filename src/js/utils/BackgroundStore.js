@@ -0,0 +1,103 @@
+/**
+ * BackgroundStore - IndexedDB persistence for user-uploaded backgrounds
+ *
+ * Keeps the file itself (as a Blob), its thumbnail and the fit the user
+ * picked, so custom backgrounds come back on the next visit. Every call
+ * resolves even when IndexedDB is unavailable (private mode, blocked
+ * storage) - uploads then just last for the current page.
+ */
+
+const DB_NAME = 'beastside-filters';
+const DB_VERSION = 1;
+const STORE = 'custom-backgrounds';
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class BackgroundStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create/upgrade) the database once
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE)) {
+                        db.createObjectStore(STORE, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('BackgroundStore: IndexedDB unavailable', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the store
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @param {*} fallback - Result when storage is unavailable or fails
+     */
+    async run(mode, operation, fallback) {
+        const db = await this.open();
+        if (!db) return fallback;
+
+        try {
+            const store = db.transaction(STORE, mode).objectStore(STORE);
+            return await promisify(operation(store));
+        } catch (error) {
+            console.warn('BackgroundStore: Request failed', error);
+            return fallback;
+        }
+    }
+
+    /**
+     * All saved backgrounds, oldest first (upload order, like the live list)
+     * @returns {Promise<Array>} Records: { id, name, type, blob, thumbnail, fit, addedAt }
+     */
+    async getAll() {
+        const records = await this.run('readonly', store => store.getAll(), []);
+        return records.sort((a, b) => a.addedAt - b.addedAt);
+    }
+
+    /**
+     * Add or update a background
+     * @param {Object} record
+     */
+    put(record) {
+        return this.run('readwrite', store => store.put(record), undefined);
+    }
+
+    /**
+     * Remove a background
+     * @param {string} id
+     */
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id), undefined);
+    }
+}
+
+export default BackgroundStore;
@@ -62,9 +62,20 @@ class BlendshapeMapper {
             rightEyeHeight: 0.012,   // ← Lowered: eyes now appear more open at rest
             mouthHeight: 0.01,       // Closed mouth height
             mouthWidth: 0.15,        // Neutral mouth width
-            faceHeight: 0.35         // Face height reference
+            faceHeight: 0.35,        // Face height reference
+
+            // Resting offsets subtracted before sensitivity is applied
+            // (0 = uncalibrated; set per user by calibrate())
+            browInner: 0,            // Resting inner brow height (left + right)
+            browOuterLeft: 0,        // Resting outer brow height
+            browOuterRight: 0,
+            mouthCornerLeft: 0,      // Resting mouth corner elevation (non-zero for naturally upturned mouths)
+            mouthCornerRight: 0
         };
 
+        // Defaults restored by resetBaseline()
+        this.defaultBaseline = { ...this.baseline };
+
         // =====================================================
         // SENSITIVITY MULTIPLIERS - Tweak these for responsiveness
         // =====================================================
@@ -98,6 +109,8 @@ class BlendshapeMapper {
             cheekSquint: 15,         // Cheek squint sensitivity
             noseSneer: 15            // Nose sneer sensitivity
         };
+
+        this.defaultSensitivity = { ...this.sensitivity };
     }
 
     /**
@@ -131,35 +144,127 @@ class BlendshapeMapper {
     }
 
     /**
-     * Get fixed baseline values for neutral expression
-     * Adjust these if expressions seem too sensitive or not sensitive enough
+     * Measure eye heights (average of 3 lid pairs per eye for stability)
+     */
+    measureEyes(landmarks) {
+        return {
+            leftEyeHeight: this.getAverageEyeHeight(landmarks,
+                [160, 159, 158],  // Upper lid points (inner to outer)
+                [144, 145, 153]   // Lower lid points (inner to outer)
+            ),
+            rightEyeHeight: this.getAverageEyeHeight(landmarks,
+                [385, 386, 387],  // Upper lid points (inner to outer)
+                [373, 374, 380]   // Lower lid points (inner to outer)
+            )
+        };
+    }
+
+    /**
+     * Measure brow heights relative to the forehead/nose-bridge midpoint
+     * Brows raised = more distance from nose bridge to brow
+     */
+    measureBrows(landmarks) {
+        const browBaselineY = (landmarks[10].y + landmarks[6].y) / 2;
+
+        return {
+            browBaselineY,
+            innerLeft: browBaselineY - landmarks[107].y,
+            innerRight: browBaselineY - landmarks[336].y,
+            outerLeft: browBaselineY - landmarks[70].y,
+            outerRight: browBaselineY - landmarks[300].y
+        };
+    }
+
+    /**
+     * Measure mouth corner elevation relative to the upper inner lip
      */
-    getFixedBaseline() {
+    measureMouthCorners(landmarks) {
+        const mouthCenter = landmarks[13];
         return {
-            leftEyeHeight: 0.002,    // Eye open height (lower = eyes appear more open at rest)
-            rightEyeHeight: 0.012,
-            mouthHeight: 0.01,       // Typical closed mouth height
-            mouthWidth: 0.15,        // Typical mouth width
-            faceHeight: 0.35         // Typical face height
+            left: mouthCenter.y - landmarks[61].y,
+            right: mouthCenter.y - landmarks[291].y
+        };
+    }
+
+    /**
+     * Raw measurements used for per-user calibration
+     * @param {Array} landmarks - 468 landmarks
+     * @returns {Object|null} Measurements, or null if landmarks are incomplete
+     */
+    measure(landmarks) {
+        if (!landmarks || landmarks.length < 468) return null;
+
+        const eyes = this.measureEyes(landmarks);
+        const brows = this.measureBrows(landmarks);
+        const corners = this.measureMouthCorners(landmarks);
+        const noseWidth = Math.abs(landmarks[98].x - landmarks[327].x);
+
+        return {
+            leftEyeHeight: eyes.leftEyeHeight,
+            rightEyeHeight: eyes.rightEyeHeight,
+            mouthHeight: this.getVerticalDistance(landmarks, 13, 14),
+            mouthWidth: this.getHorizontalDistance(landmarks, 61, 291),
+            faceHeight: this.getVerticalDistance(landmarks, 10, 152),
+            browInner: brows.innerLeft + brows.innerRight,
+            browOuterLeft: brows.outerLeft,
+            browOuterRight: brows.outerRight,
+            mouthCornerLeft: corners.left,
+            mouthCornerRight: corners.right,
+            cheekRatio: noseWidth > 0 ? Math.abs(landmarks[123].x - landmarks[352].x) / noseWidth : 0
+        };
+    }
+
+    /**
+     * Compute per-user tuning from calibration samples
+     * Each argument is a single aggregated measurement from measure().
+     * @param {Object} neutral - Relaxed face
+     * @param {Object} [mouthOpen] - Mouth opened as wide as comfortable
+     * @param {Object} [browRaise] - Brows raised as high as comfortable
+     * @returns {Object} { baseline, sensitivity } for applyTuning()
+     */
+    calibrate(neutral, mouthOpen = null, browRaise = null) {
+        const baseline = {
+            leftEyeHeight: neutral.leftEyeHeight,
+            rightEyeHeight: neutral.rightEyeHeight,
+            // Closed lips can measure ~0, keep a floor so jawOpen stays finite
+            mouthHeight: Math.max(neutral.mouthHeight, 0.002),
+            mouthWidth: neutral.mouthWidth,
+            faceHeight: neutral.faceHeight,
+            browInner: neutral.browInner,
+            browOuterLeft: neutral.browOuterLeft,
+            browOuterRight: neutral.browOuterRight,
+            mouthCornerLeft: neutral.mouthCornerLeft,
+            mouthCornerRight: neutral.mouthCornerRight
         };
+
+        const sensitivity = {
+            // Resting cheek ratio so cheekPuff reads 0 on this face
+            cheekPuffBaseline: neutral.cheekRatio
+        };
+
+        // Full mouth open should reach jawOpen ≈ 1 (slightly before the max for headroom)
+        if (mouthOpen && mouthOpen.mouthHeight > baseline.mouthHeight) {
+            sensitivity.jawOpen = (mouthOpen.mouthHeight * 0.9) / baseline.mouthHeight;
+        }
+
+        // Full brow raise should reach browInnerUp/browOuterUp ≈ 1
+        if (browRaise) {
+            const innerRange = browRaise.browInner - neutral.browInner;
+            const outerRange = ((browRaise.browOuterLeft - neutral.browOuterLeft) +
+                (browRaise.browOuterRight - neutral.browOuterRight)) / 2;
+
+            if (innerRange > 0.001) sensitivity.browInnerUp = 1 / (innerRange * 0.9);
+            if (outerRange > 0.001) sensitivity.browOuterUp = 1 / (outerRange * 0.9);
+        }
+
+        return { baseline, sensitivity };
     }
 
     /**
      * Calculate eye-related blendshapes
      */
     calculateEyeBlendshapes(landmarks) {
-        // Use multiple landmarks for more accurate eye height measurement
-        // Left eye: average of 3 vertical measurements for stability
-        const leftEyeHeight = this.getAverageEyeHeight(landmarks,
-            [160, 159, 158],  // Upper lid points (inner to outer)
-            [144, 145, 153]   // Lower lid points (inner to outer)
-        );
-
-        // Right eye: use symmetric landmarks
-        const rightEyeHeight = this.getAverageEyeHeight(landmarks,
-            [385, 386, 387],  // Upper lid points (inner to outer)
-            [373, 374, 380]   // Lower lid points (inner to outer)
-        );
+        const { leftEyeHeight, rightEyeHeight } = this.measureEyes(landmarks);
 
         // Ratio of current eye height to baseline
         const leftRatio = leftEyeHeight / this.baseline.leftEyeHeight;
@@ -198,14 +303,14 @@ class BlendshapeMapper {
         // Jaw open: 1 = fully open, 0 = closed
         const jawOpen = Math.min(mouthHeight / (this.baseline.mouthHeight * this.sensitivity.jawOpen), 1);
 
-        // Mouth smile: detect corner elevation
+        // Mouth smile: detect corner elevation (relative to the resting corners)
         const leftCorner = landmarks[61];
         const rightCorner = landmarks[291];
-        const mouthCenter = landmarks[13];
         const noseBottom = landmarks[2];
 
-        const leftElevation = mouthCenter.y - leftCorner.y;
-        const rightElevation = mouthCenter.y - rightCorner.y;
+        const corners = this.measureMouthCorners(landmarks);
+        const leftElevation = corners.left - this.baseline.mouthCornerLeft;
+        const rightElevation = corners.right - this.baseline.mouthCornerRight;
 
         const mouthSmileLeft = this.clamp(leftElevation * this.sensitivity.mouthSmile, 0, 1);
         const mouthSmileRight = this.clamp(rightElevation * this.sensitivity.mouthSmile, 0, 1);
@@ -264,29 +369,19 @@ class BlendshapeMapper {
      * Calculate brow-related blendshapes
      */
     calculateBrowBlendshapes(landmarks) {
-        const browInnerLeft = landmarks[107];
-        const browInnerRight = landmarks[336];
-        const browOuterLeft = landmarks[70];
-        const browOuterRight = landmarks[300];
-        const noseBridge = landmarks[6];  // Use point between eyes
-        const forehead = landmarks[10];
-
-        // Calculate brow height relative to baseline
-        // Brows raised = more distance from nose bridge to brow
-        const browBaselineY = (forehead.y + noseBridge.y) / 2;
-
-        // Inner brows (for surprise, worry)
-        const innerLeftDist = browBaselineY - browInnerLeft.y;
-        const innerRightDist = browBaselineY - browInnerRight.y;
-        const innerUp = (innerLeftDist + innerRightDist) * this.sensitivity.browInnerUp;
+        // Brow heights relative to the forehead/nose-bridge midpoint
+        const brows = this.measureBrows(landmarks);
+
+        // Inner brows (for surprise, worry) - relative to the resting height
+        const innerUp = (brows.innerLeft + brows.innerRight - this.baseline.browInner) * this.sensitivity.browInnerUp;
 
         // Outer brows
-        const outerLeftDist = browBaselineY - browOuterLeft.y;
-        const outerRightDist = browBaselineY - browOuterRight.y;
+        const outerLeftDist = brows.outerLeft - this.baseline.browOuterLeft;
+        const outerRightDist = brows.outerRight - this.baseline.browOuterRight;
 
         // Brow down (frown) - when brows are lower than baseline
-        const browDownLeft = Math.max((browInnerLeft.y - browBaselineY) * this.sensitivity.browDown, 0);
-        const browDownRight = Math.max((browInnerRight.y - browBaselineY) * this.sensitivity.browDown, 0);
+        const browDownLeft = Math.max(-brows.innerLeft * this.sensitivity.browDown, 0);
+        const browDownRight = Math.max(-brows.innerRight * this.sensitivity.browDown, 0);
 
         return {
             browInnerUp: this.clamp(innerUp, 0, 1),
@@ -549,10 +644,38 @@ class BlendshapeMapper {
     }
 
     /**
-     * Reset baseline to fixed values
+     * Get current tuning values (baseline + sensitivity)
+     * @returns {Object} { baseline, sensitivity } copies
+     */
+    getTuning() {
+        return {
+            baseline: { ...this.baseline },
+            sensitivity: { ...this.sensitivity }
+        };
+    }
+
+    /**
+     * Apply tuning values - only known numeric keys are updated
+     * @param {Object} tuning - { baseline?, sensitivity? } partial values
+     */
+    applyTuning(tuning = {}) {
+        ['baseline', 'sensitivity'].forEach(group => {
+            if (!tuning[group]) return;
+
+            Object.entries(tuning[group]).forEach(([key, value]) => {
+                if (key in this[group] && typeof value === 'number' && isFinite(value)) {
+                    this[group][key] = value;
+                }
+            });
+        });
+    }
+
+    /**
+     * Reset baseline and sensitivity to the built-in defaults (drops calibration)
      */
     resetBaseline() {
-        this.baseline = this.getFixedBaseline();
+        this.baseline = { ...this.defaultBaseline };
+        this.sensitivity = { ...this.defaultSensitivity };
     }
 }
 
@@ -0,0 +1,149 @@
+/**
+ * ColorMatrix - CSS filter strings as affine color transforms
+ *
+ * Turns strings like 'sepia(0.3) contrast(1.1) brightness(0.95)' into a
+ * single 3x3 matrix + offset so the compositor can apply PhotoFilters on the
+ * GPU. Uses the matrices from the Filter Effects spec; the only difference
+ * from the browser is that intermediate results aren't clamped between
+ * functions, which is invisible at the strengths our filters use.
+ *
+ * Matrices are row-major: out.r = m[0]*r + m[1]*g + m[2]*b + offset[0]
+ */
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+/**
+ * Parse a CSS number/percentage ('0.3', '30%')
+ */
+function parseAmount(value) {
+    const number = parseFloat(value);
+    return value.trim().endsWith('%') ? number / 100 : number;
+}
+
+/**
+ * Parse a CSS angle in degrees ('10deg', '0.5turn', '1rad')
+ */
+function parseAngle(value) {
+    const number = parseFloat(value);
+    if (value.endsWith('rad')) return number * 180 / Math.PI;
+    if (value.endsWith('turn')) return number * 360;
+    return number;
+}
+
+function saturateMatrix(s) {
+    return [
+        0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s
+    ];
+}
+
+function hueRotateMatrix(degrees) {
+    const a = degrees * Math.PI / 180;
+    const cos = Math.cos(a);
+    const sin = Math.sin(a);
+    return [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+    ];
+}
+
+function sepiaMatrix(amount) {
+    const s = 1 - Math.min(amount, 1);
+    return [
+        0.393 + 0.607 * s, 0.769 - 0.769 * s, 0.189 - 0.189 * s,
+        0.349 - 0.349 * s, 0.686 + 0.314 * s, 0.168 - 0.168 * s,
+        0.272 - 0.272 * s, 0.534 - 0.534 * s, 0.131 + 0.869 * s
+    ];
+}
+
+function grayscaleMatrix(amount) {
+    const g = 1 - Math.min(amount, 1);
+    return [
+        0.2126 + 0.7874 * g, 0.7152 - 0.7152 * g, 0.0722 - 0.0722 * g,
+        0.2126 - 0.2126 * g, 0.7152 + 0.2848 * g, 0.0722 - 0.0722 * g,
+        0.2126 - 0.2126 * g, 0.7152 - 0.7152 * g, 0.0722 + 0.9278 * g
+    ];
+}
+
+/**
+ * Transform for a single filter function
+ * @returns {Object|null} { matrix, offset } or null if unsupported (e.g. blur)
+ */
+function functionTransform(name, argument) {
+    switch (name) {
+        case 'brightness': {
+            const b = parseAmount(argument);
+            return { matrix: [b, 0, 0, 0, b, 0, 0, 0, b], offset: [0, 0, 0] };
+        }
+        case 'contrast': {
+            const c = parseAmount(argument);
+            const intercept = 0.5 - 0.5 * c;
+            return { matrix: [c, 0, 0, 0, c, 0, 0, 0, c], offset: [intercept, intercept, intercept] };
+        }
+        case 'saturate':
+            return { matrix: saturateMatrix(parseAmount(argument)), offset: [0, 0, 0] };
+        case 'grayscale':
+            return { matrix: grayscaleMatrix(parseAmount(argument)), offset: [0, 0, 0] };
+        case 'sepia':
+            return { matrix: sepiaMatrix(parseAmount(argument)), offset: [0, 0, 0] };
+        case 'hue-rotate':
+            return { matrix: hueRotateMatrix(parseAngle(argument.trim())), offset: [0, 0, 0] };
+        case 'invert': {
+            const i = Math.min(parseAmount(argument), 1);
+            const scale = 1 - 2 * i;
+            return { matrix: [scale, 0, 0, 0, scale, 0, 0, 0, scale], offset: [i, i, i] };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Apply `next` after `current`: next.matrix * (current.matrix * c + current.offset) + next.offset
+ */
+function compose(current, next) {
+    const matrix = new Array(9).fill(0);
+    const offset = [0, 0, 0];
+
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 3; col++) {
+            for (let k = 0; k < 3; k++) {
+                matrix[row * 3 + col] += next.matrix[row * 3 + k] * current.matrix[k * 3 + col];
+            }
+        }
+        offset[row] = next.offset[row];
+        for (let k = 0; k < 3; k++) {
+            offset[row] += next.matrix[row * 3 + k] * current.offset[k];
+        }
+    }
+
+    return { matrix, offset };
+}
+
+/**
+ * Convert a CSS filter string into one affine color transform
+ * Unsupported functions (blur, drop-shadow, opacity) are skipped with a warning.
+ * @param {string} filter - e.g. 'contrast(1.4) saturate(1.2)' or 'none'
+ * @returns {Object} { matrix: number[9], offset: number[3] }
+ */
+export function colorMatrixFromFilter(filter) {
+    let result = { matrix: IDENTITY.slice(), offset: [0, 0, 0] };
+    if (!filter || filter === 'none') return result;
+
+    const pattern = /([a-z-]+)\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(filter)) !== null) {
+        const transform = functionTransform(match[1], match[2]);
+        if (transform) {
+            result = compose(result, transform);
+        } else {
+            console.warn(`ColorMatrix: Unsupported filter function ${match[1]}()`);
+        }
+    }
+
+    return result;
+}
+
+export default colorMatrixFromFilter;
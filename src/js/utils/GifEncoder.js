@@ -0,0 +1,349 @@
+/**
+ * GifEncoder - Animated GIF89a encoding for GIF / Boomerang captures
+ *
+ * Frames share one 256-color palette, built by median cut over pixels
+ * sampled from the whole burst so colors don't flicker between frames.
+ * Each frame is mapped to it with Floyd-Steinberg dithering (smooth skin and
+ * sky gradients band badly otherwise) and LZW-compressed. Encoding yields
+ * between frames so the UI keeps animating.
+ */
+
+const PALETTE_SIZE = 256;
+// Pixels sampled per frame for the palette
+const SAMPLES_PER_FRAME = 4096;
+const MAX_CODE = 4095;
+
+/**
+ * Growable byte buffer
+ */
+class ByteWriter {
+    constructor(capacity = 1 << 20) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + extra) capacity *= 2;
+        const bytes = new Uint8Array(capacity);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+    }
+
+    byte(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value;
+    }
+
+    short(value) {
+        this.byte(value & 255);
+        this.byte(value >> 8 & 255);
+    }
+
+    string(text) {
+        for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+    }
+
+    array(values) {
+        this.ensure(values.length);
+        this.bytes.set(values, this.length);
+        this.length += values.length;
+    }
+
+    result() {
+        return this.bytes.subarray(0, this.length);
+    }
+}
+
+/**
+ * Build a palette by median cut over 5-bit color buckets
+ * @param {ImageData[]} frames
+ * @returns {Uint8Array} PALETTE_SIZE * 3 (rgb)
+ */
+export function buildPalette(frames) {
+    // Histogram of 15-bit colors from a spread of pixels in every frame
+    const counts = new Uint32Array(32768);
+    frames.forEach(({ data }) => {
+        const pixelCount = data.length / 4;
+        const step = Math.max(1, Math.floor(pixelCount / SAMPLES_PER_FRAME));
+        for (let p = 0; p < pixelCount; p += step) {
+            const i = p * 4;
+            counts[(data[i] >> 3) << 10 | (data[i + 1] >> 3) << 5 | data[i + 2] >> 3]++;
+        }
+    });
+
+    const colors = [];
+    counts.forEach((count, key) => {
+        if (count > 0) colors.push({ r: key >> 10, g: key >> 5 & 31, b: key & 31, count });
+    });
+
+    // Split the box with the widest channel range (weighted by population) until full
+    const boxes = [colors];
+    while (boxes.length < PALETTE_SIZE) {
+        let best = -1;
+        let bestScore = 0;
+        let bestChannel = 'r';
+
+        boxes.forEach((box, index) => {
+            if (box.length < 2) return;
+            let population = 0;
+            ['r', 'g', 'b'].forEach((channel) => {
+                let min = 31;
+                let max = 0;
+                box.forEach((color) => {
+                    if (color[channel] < min) min = color[channel];
+                    if (color[channel] > max) max = color[channel];
+                });
+                if (!population) population = box.reduce((sum, color) => sum + color.count, 0);
+                const score = (max - min) * Math.sqrt(population);
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = index;
+                    bestChannel = channel;
+                }
+            });
+        });
+
+        if (best < 0) break;
+
+        // Split at the population median along that channel
+        const box = boxes[best].sort((a, b) => a[bestChannel] - b[bestChannel]);
+        const half = box.reduce((sum, color) => sum + color.count, 0) / 2;
+        let running = 0;
+        let split = 1;
+        for (; split < box.length - 1; split++) {
+            running += box[split - 1].count;
+            if (running >= half) break;
+        }
+        boxes.splice(best, 1, box.slice(0, split), box.slice(split));
+    }
+
+    const palette = new Uint8Array(PALETTE_SIZE * 3);
+    boxes.forEach((box, index) => {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        let total = 0;
+        box.forEach((color) => {
+            r += color.r * color.count;
+            g += color.g * color.count;
+            b += color.b * color.count;
+            total += color.count;
+        });
+        // Bucket centers back to 8 bits
+        palette[index * 3] = total ? Math.round((r / total) * 8 + 4) : 0;
+        palette[index * 3 + 1] = total ? Math.round((g / total) * 8 + 4) : 0;
+        palette[index * 3 + 2] = total ? Math.round((b / total) * 8 + 4) : 0;
+    });
+    return palette;
+}
+
+/**
+ * Map a frame to palette indices with Floyd-Steinberg dithering
+ * @param {ImageData} frame
+ * @param {Uint8Array} palette
+ * @param {Int16Array} cache - Nearest palette index per 15-bit color (-1 = unknown)
+ * @returns {Uint8Array} One index per pixel
+ */
+export function ditherFrame({ data, width, height }, palette, cache) {
+    const indices = new Uint8Array(width * height);
+    // Error carried to this row and the next (rgb per pixel, with a pixel of padding each side)
+    let current = new Float32Array((width + 2) * 3);
+    let next = new Float32Array((width + 2) * 3);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const e = (x + 1) * 3;
+            const r = Math.min(255, Math.max(0, data[i] + current[e]));
+            const g = Math.min(255, Math.max(0, data[i + 1] + current[e + 1]));
+            const b = Math.min(255, Math.max(0, data[i + 2] + current[e + 2]));
+
+            const key = (r >> 3) << 10 | (g >> 3) << 5 | b >> 3;
+            let index = cache[key];
+            if (index < 0) {
+                index = nearestColor(palette, r, g, b);
+                cache[key] = index;
+            }
+            indices[y * width + x] = index;
+
+            const errR = r - palette[index * 3];
+            const errG = g - palette[index * 3 + 1];
+            const errB = b - palette[index * 3 + 2];
+
+            current[e + 3] += errR * 7 / 16;
+            current[e + 4] += errG * 7 / 16;
+            current[e + 5] += errB * 7 / 16;
+            next[e - 3] += errR * 3 / 16;
+            next[e - 2] += errG * 3 / 16;
+            next[e - 1] += errB * 3 / 16;
+            next[e] += errR * 5 / 16;
+            next[e + 1] += errG * 5 / 16;
+            next[e + 2] += errB * 5 / 16;
+            next[e + 3] += errR / 16;
+            next[e + 4] += errG / 16;
+            next[e + 5] += errB / 16;
+        }
+
+        [current, next] = [next, current];
+        next.fill(0);
+    }
+    return indices;
+}
+
+function nearestColor(palette, r, g, b) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < PALETTE_SIZE; i++) {
+        const dr = r - palette[i * 3];
+        const dg = g - palette[i * 3 + 1];
+        const db = b - palette[i * 3 + 2];
+        // Eye is most sensitive to green, least to blue
+        const distance = dr * dr * 3 + dg * dg * 4 + db * db * 2;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i;
+        }
+    }
+    return best;
+}
+
+/**
+ * LZW-compress palette indices into GIF image data sub-blocks
+ * @param {Uint8Array} indices
+ * @param {ByteWriter} out
+ */
+function writeLzw(indices, out) {
+    const minCodeSize = 8;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+
+    // (prefix code, next index) → code, valid only for the current generation
+    const table = new Int16Array(4096 * 256);
+    const generations = new Uint16Array(4096 * 256);
+    let generation = 1;
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+
+    const flushBlock = () => {
+        out.byte(blockLength);
+        out.array(block.subarray(0, blockLength));
+        blockLength = 0;
+    };
+    const writeCode = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block[blockLength++] = bitBuffer & 255;
+            if (blockLength === 255) flushBlock();
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    out.byte(minCodeSize);
+    writeCode(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = prefix << 8 | k;
+
+        if (generations[key] === generation) {
+            prefix = table[key];
+            continue;
+        }
+
+        writeCode(prefix);
+        if (nextCode <= MAX_CODE) {
+            table[key] = nextCode;
+            generations[key] = generation;
+            // The decoder grows its code size one code later than the table fills
+            if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+            nextCode++;
+        } else {
+            // Table full - start over
+            writeCode(clearCode);
+            generation++;
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = k;
+    }
+
+    writeCode(prefix);
+    writeCode(endCode);
+    if (bitCount > 0) {
+        block[blockLength++] = bitBuffer & 255;
+        if (blockLength === 255) flushBlock();
+    }
+    if (blockLength > 0) flushBlock();
+    out.byte(0);
+}
+
+/**
+ * Encode frames as a looping GIF
+ * @param {ImageData[]} frames - Same size, in playback order
+ * @param {Object} options
+ * @param {number} options.delay - Frame duration in ms (GIF stores 1/100 s)
+ * @param {number} [options.loop=0] - Repeat count, 0 = forever
+ * @param {Function} [options.onProgress] - Called with 0-1 after each frame
+ * @returns {Promise<Blob>} image/gif
+ */
+export async function encodeGif(frames, { delay, loop = 0, onProgress = null }) {
+    const { width, height } = frames[0];
+    const palette = buildPalette(frames);
+    const cache = new Int16Array(32768).fill(-1);
+    const out = new ByteWriter(width * height * frames.length / 2);
+
+    // Header + logical screen with a global 256-color table
+    out.string('GIF89a');
+    out.short(width);
+    out.short(height);
+    out.byte(0xf7);
+    out.byte(0);
+    out.byte(0);
+    out.array(palette);
+
+    // NETSCAPE2.0 looping extension
+    out.array([0x21, 0xff, 0x0b]);
+    out.string('NETSCAPE2.0');
+    out.array([0x03, 0x01]);
+    out.short(loop);
+    out.byte(0);
+
+    const delayCs = Math.max(2, Math.round(delay / 10));
+
+    for (let f = 0; f < frames.length; f++) {
+        // Graphic control: keep the previous frame (every frame is full-size anyway)
+        out.array([0x21, 0xf9, 0x04, 0x04]);
+        out.short(delayCs);
+        out.array([0x00, 0x00]);
+
+        // Image descriptor: full frame, global palette
+        out.byte(0x2c);
+        out.short(0);
+        out.short(0);
+        out.short(width);
+        out.short(height);
+        out.byte(0);
+
+        writeLzw(ditherFrame(frames[f], palette, cache), out);
+
+        if (onProgress) onProgress((f + 1) / frames.length);
+        // Let the page breathe between frames
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    out.byte(0x3b);
+    return new Blob([out.result()], { type: 'image/gif' });
+}
+
+export default encodeGif;
@@ -0,0 +1,210 @@
+/**
+ * HeadPoseSolver - Head rotation and translation from face landmarks
+ *
+ * Fits a reference 3D face model to the tracked landmarks (Horn's absolute
+ * orientation method, scaled orthographic camera) and recovers depth from
+ * the fitted scale and the camera intrinsics. When FaceLandmarker provides a
+ * facial transformation matrix, that is decomposed instead.
+ *
+ * Camera space: x right, y up, z toward the viewer (camera looks down -z),
+ * translation in centimetres - the same convention as MediaPipe's matrix.
+ */
+
+import { Euler, Matrix4, Quaternion, Vector3 } from 'three';
+
+// Reference face model (nose tip at origin). Indices are MediaPipe landmarks;
+// 33/61 are on the image-left side of an unmirrored frame.
+const MODEL_POINTS = [
+    { index: 1, point: [0, 0, 0] },              // Nose tip
+    { index: 152, point: [0, -330, -65] },       // Chin
+    { index: 33, point: [-225, 170, -135] },     // Eye outer corner (image left)
+    { index: 263, point: [225, 170, -135] },     // Eye outer corner (image right)
+    { index: 61, point: [-150, -150, -125] },    // Mouth corner (image left)
+    { index: 291, point: [150, -150, -125] }     // Mouth corner (image right)
+];
+
+// Model units to centimetres (outer eye corners ≈ 9cm apart)
+const MODEL_UNIT_CM = 0.02;
+
+// Power iteration steps for the rotation eigenvector (warm-started each frame)
+const POWER_ITERATIONS = 20;
+
+class HeadPoseSolver {
+    /**
+     * @param {Object} options
+     * @param {number} options.fov - Assumed horizontal camera field of view in degrees
+     */
+    constructor(options = {}) {
+        this.fov = options.fov || 60;
+
+        // Model points centred on their centroid
+        const centroid = [0, 0, 0];
+        MODEL_POINTS.forEach(({ point }) => {
+            for (let i = 0; i < 3; i++) centroid[i] += point[i] / MODEL_POINTS.length;
+        });
+        this.modelCentroid = centroid;
+        this.modelPoints = MODEL_POINTS.map(({ point }) => point.map((value, i) => value - centroid[i]));
+        this.modelNorm = this.modelPoints.reduce((sum, p) => sum + p[0] * p[0] + p[1] * p[1] + p[2] * p[2], 0);
+
+        // Previous solution, used to warm-start the eigen solve
+        this.lastQuaternion = [1, 0, 0, 0]; // w, x, y, z
+
+        this._matrix = new Matrix4();
+        this._position = new Vector3();
+        this._quaternion = new Quaternion();
+        this._scale = new Vector3();
+        this._euler = new Euler(0, 0, 0, 'YXZ');
+    }
+
+    /**
+     * Focal length in pixels for a frame width
+     */
+    getFocalLength(width) {
+        return (width / 2) / Math.tan((this.fov / 2) * Math.PI / 180);
+    }
+
+    /**
+     * Solve head pose from normalized landmarks
+     * @param {Array} landmarks - MediaPipe normalized landmarks (x, y in 0-1, z relative depth)
+     * @param {number} width - Video frame width in pixels
+     * @param {number} height - Video frame height in pixels
+     * @returns {Object} { quaternion: {x,y,z,w}, translation: {x,y,z} }
+     */
+    solveFromLandmarks(landmarks, width, height) {
+        // Landmarks to camera-oriented pixel coordinates (origin at image centre).
+        // MediaPipe z uses the same scale as x, smaller = closer to the camera.
+        const observed = MODEL_POINTS.map(({ index }) => {
+            const landmark = landmarks[index];
+            return [
+                (landmark.x - 0.5) * width,
+                -(landmark.y - 0.5) * height,
+                -(landmark.z || 0) * width
+            ];
+        });
+
+        const centroid = [0, 0, 0];
+        observed.forEach(point => {
+            for (let i = 0; i < 3; i++) centroid[i] += point[i] / observed.length;
+        });
+        const centred = observed.map(point => point.map((value, i) => value - centroid[i]));
+
+        // Cross-covariance S = Σ model * observedᵀ
+        const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        let observedNorm = 0;
+        for (let k = 0; k < centred.length; k++) {
+            const a = this.modelPoints[k];
+            const b = centred[k];
+            for (let i = 0; i < 3; i++) {
+                for (let j = 0; j < 3; j++) S[i][j] += a[i] * b[j];
+            }
+            observedNorm += b[0] * b[0] + b[1] * b[1] + b[2] * b[2];
+        }
+
+        const q = this.solveRotation(S);
+
+        // Pixels per model unit
+        const scale = Math.sqrt(observedNorm / this.modelNorm);
+
+        // Nose tip (model origin) in pixels: observed centroid - s * R * modelCentroid
+        this._quaternion.set(q[1], q[2], q[3], q[0]);
+        const offset = new Vector3(...this.modelCentroid).applyQuaternion(this._quaternion).multiplyScalar(scale);
+        const noseX = centroid[0] - offset.x;
+        const noseY = centroid[1] - offset.y;
+
+        // Depth from apparent size: a model unit spans `scale` pixels at distance D
+        const focal = this.getFocalLength(width);
+        const depth = (focal * MODEL_UNIT_CM) / scale;
+
+        return {
+            quaternion: { x: q[1], y: q[2], z: q[3], w: q[0] },
+            translation: {
+                x: (noseX * depth) / focal,
+                y: (noseY * depth) / focal,
+                z: -depth
+            }
+        };
+    }
+
+    /**
+     * Rotation (model → observed) as the dominant eigenvector of Horn's 4x4 matrix
+     * @param {Array} S - 3x3 cross-covariance
+     * @returns {Array} Unit quaternion [w, x, y, z]
+     */
+    solveRotation(S) {
+        const [[Sxx, Sxy, Sxz], [Syx, Syy, Syz], [Szx, Szy, Szz]] = S;
+
+        const N = [
+            [Sxx + Syy + Szz, Syz - Szy, Szx - Sxz, Sxy - Syx],
+            [Syz - Szy, Sxx - Syy - Szz, Sxy + Syx, Szx + Sxz],
+            [Szx - Sxz, Sxy + Syx, -Sxx + Syy - Szz, Syz + Szy],
+            [Sxy - Syx, Szx + Sxz, Syz + Szy, -Sxx - Syy + Szz]
+        ];
+
+        // Shift so every eigenvalue is non-negative and the largest dominates
+        let shift = 0;
+        N.forEach(row => row.forEach(value => { shift += value * value; }));
+        shift = Math.sqrt(shift);
+        for (let i = 0; i < 4; i++) N[i][i] += shift;
+
+        let q = this.lastQuaternion.slice();
+        for (let iteration = 0; iteration < POWER_ITERATIONS; iteration++) {
+            const next = [0, 0, 0, 0];
+            for (let i = 0; i < 4; i++) {
+                for (let j = 0; j < 4; j++) next[i] += N[i][j] * q[j];
+            }
+            const length = Math.hypot(next[0], next[1], next[2], next[3]);
+            if (length === 0) break;
+            q = next.map(value => value / length);
+        }
+
+        // Keep w positive so consecutive frames don't flip sign
+        if (q[0] < 0) q = q.map(value => -value);
+
+        this.lastQuaternion = q;
+        return q;
+    }
+
+    /**
+     * Decompose a FaceLandmarker facial transformation matrix
+     * @param {Array<number>} matrix - Column-major 4x4 (canonical face → camera, cm)
+     * @returns {Object} { quaternion: {x,y,z,w}, translation: {x,y,z} }
+     */
+    fromMatrix(matrix) {
+        this._matrix.fromArray(matrix);
+        this._matrix.decompose(this._position, this._quaternion, this._scale);
+
+        const { x, y, z, w } = this._quaternion;
+        this.lastQuaternion = [w, x, y, z];
+
+        return {
+            quaternion: { x, y, z, w },
+            translation: { x: this._position.x, y: this._position.y, z: this._position.z }
+        };
+    }
+
+    /**
+     * Head rotation angles in radians, in the sign convention CharacterManager expects
+     * (yaw positive = nose toward image left, pitch positive = looking up,
+     * roll positive = image-right eye lower)
+     * @param {Object} quaternion - {x,y,z,w}
+     */
+    toEuler(quaternion) {
+        this._quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+        this._euler.setFromQuaternion(this._quaternion, 'YXZ');
+
+        return {
+            pitch: -this._euler.x,
+            yaw: -this._euler.y,
+            roll: -this._euler.z
+        };
+    }
+
+    /**
+     * Forget the previous solution (e.g. after the face was lost)
+     */
+    reset() {
+        this.lastQuaternion = [1, 0, 0, 0];
+    }
+}
+
+export default HeadPoseSolver;
@@ -0,0 +1,178 @@
+/**
+ * LutLoader - 3D color lookup tables for LUT-based photo filters
+ *
+ * Loads grades exported from grading tools as either:
+ *   - Adobe/Resolve .cube files (LUT_3D_SIZE, optional DOMAIN_MIN/MAX)
+ *   - HALD CLUT PNGs (square image, level^3 px wide, identity = no change)
+ *
+ * Both become an 8-bit RGBA Data3DTexture the Compositor samples with the
+ * sRGB frame color. Loads are cached by URL, so filters sharing a grade and
+ * re-selecting a filter don't fetch or upload it twice.
+ */
+
+import * as THREE from 'three';
+
+const cache = new Map();
+
+/**
+ * Parse a .cube file
+ * @param {string} text - File contents
+ * @returns {Object} { title, size, data: Uint8Array (RGBA), domainMin, domainMax }
+ */
+export function parseCube(text) {
+    let title = null;
+    let size = 0;
+    let domainMin = [0, 0, 0];
+    let domainMax = [1, 1, 1];
+    let data = null;
+    let index = 0;
+
+    const lines = text.split(/\r?\n/);
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const parts = line.split(/\s+/);
+        switch (parts[0]) {
+            case 'TITLE':
+                title = line.slice(5).trim().replace(/^"|"$/g, '');
+                break;
+            case 'LUT_3D_SIZE':
+                size = parseInt(parts[1], 10);
+                data = new Uint8Array(size * size * size * 4);
+                break;
+            case 'LUT_1D_SIZE':
+                throw new Error('LutLoader: 1D .cube LUTs are not supported');
+            case 'DOMAIN_MIN':
+                domainMin = parts.slice(1, 4).map(parseFloat);
+                break;
+            case 'DOMAIN_MAX':
+                domainMax = parts.slice(1, 4).map(parseFloat);
+                break;
+            default: {
+                if (!data) {
+                    // Unknown keyword before the table (e.g. LUT_3D_INPUT_RANGE) - skip
+                    if (isNaN(parseFloat(parts[0]))) continue;
+                    throw new Error('LutLoader: .cube data before LUT_3D_SIZE');
+                }
+                if (index >= data.length) {
+                    throw new Error('LutLoader: .cube has more entries than LUT_3D_SIZE');
+                }
+
+                // Red changes fastest, matching the texture's x axis
+                for (let c = 0; c < 3; c++) {
+                    const value = Math.min(Math.max(parseFloat(parts[c]), 0), 1);
+                    data[index + c] = Math.round(value * 255);
+                }
+                data[index + 3] = 255;
+                index += 4;
+            }
+        }
+    }
+
+    if (!data || index !== data.length) {
+        throw new Error(`LutLoader: .cube expected ${size ** 3} entries, got ${index / 4}`);
+    }
+
+    return { title, size, data, domainMin, domainMax };
+}
+
+/**
+ * Parse a HALD CLUT image
+ * Pixels in raster order are the table with red fastest, so no reshuffling is needed.
+ * @param {HTMLImageElement|ImageBitmap} image
+ * @returns {Object} { title, size, data: Uint8Array (RGBA), domainMin, domainMax }
+ */
+export function parseHald(image) {
+    const { width, height } = image;
+    const size = Math.round(Math.cbrt(width * height));
+
+    if (width !== height || size ** 3 !== width * height) {
+        throw new Error(`LutLoader: ${width}x${height} is not a HALD CLUT (expected level^3 x level^3)`);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0);
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+
+    return {
+        title: null,
+        size,
+        data: new Uint8Array(pixels.buffer.slice(0)),
+        domainMin: [0, 0, 0],
+        domainMax: [1, 1, 1]
+    };
+}
+
+/**
+ * Wrap parsed table data in a 3D texture
+ */
+function createTexture({ size, data }) {
+    const texture = new THREE.Data3DTexture(data, size, size, size);
+    texture.format = THREE.RGBAFormat;
+    texture.type = THREE.UnsignedByteType;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.wrapS = THREE.ClampToEdgeWrapping;
+    texture.wrapT = THREE.ClampToEdgeWrapping;
+    texture.wrapR = THREE.ClampToEdgeWrapping;
+    texture.generateMipmaps = false;
+    texture.unpackAlignment = 1;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`LutLoader: Failed to load ${url}`));
+        image.src = url;
+    });
+}
+
+async function fetchLut(url) {
+    let table;
+
+    if (/\.cube([?#]|$)/i.test(url)) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`LutLoader: Failed to load ${url} (${response.status})`);
+        }
+        table = parseCube(await response.text());
+    } else {
+        table = parseHald(await loadImage(url));
+    }
+
+    console.log(`LutLoader: Loaded ${url} (${table.size}^3)`);
+    return {
+        title: table.title,
+        size: table.size,
+        domainMin: table.domainMin,
+        domainMax: table.domainMax,
+        texture: createTexture(table)
+    };
+}
+
+/**
+ * Load a LUT (.cube by extension, anything else as a HALD image)
+ * @param {string} url
+ * @returns {Promise<Object>} { title, size, domainMin, domainMax, texture: THREE.Data3DTexture }
+ */
+export function loadLut(url) {
+    if (!cache.has(url)) {
+        const promise = fetchLut(url).catch((error) => {
+            // Allow a retry on the next selection
+            cache.delete(url);
+            throw error;
+        });
+        cache.set(url, promise);
+    }
+    return cache.get(url);
+}
+
+export default loadLut;
@@ -0,0 +1,81 @@
+/**
+ * OneEuroFilter - Speed-adaptive low-pass filter for noisy tracking signals
+ *
+ * Casiez et al., "1€ Filter" (CHI 2012). Heavy smoothing while a value is
+ * nearly still (kills jitter), opening up as it moves fast (kills lag).
+ * Uses real timestamps, so behaviour doesn't change with frame rate.
+ *
+ * minCutoff - Cutoff (Hz) at rest. Lower = less jitter, more lag when slow
+ * beta      - How quickly the cutoff rises with speed. Higher = less lag when fast
+ * dCutoff   - Cutoff (Hz) for the speed estimate itself
+ */
+
+class OneEuroFilter {
+    constructor({ minCutoff = 1.0, beta = 0, dCutoff = 1.0 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+
+        this.reset();
+    }
+
+    /**
+     * Update filter parameters without dropping state
+     */
+    setParams({ minCutoff, beta, dCutoff } = {}) {
+        if (minCutoff !== undefined) this.minCutoff = minCutoff;
+        if (beta !== undefined) this.beta = beta;
+        if (dCutoff !== undefined) this.dCutoff = dCutoff;
+    }
+
+    /**
+     * Smoothing factor for a cutoff frequency and time step
+     */
+    alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    /**
+     * Filter a sample
+     * @param {number} value - Raw value
+     * @param {number} timestamp - Sample time in milliseconds
+     * @returns {number} Filtered value
+     */
+    filter(value, timestamp) {
+        // First sample passes through (snaps to the face instead of easing in from 0)
+        if (this.lastTime === null) {
+            this.lastTime = timestamp;
+            this.lastValue = value;
+            this.lastDerivative = 0;
+            return value;
+        }
+
+        const dt = (timestamp - this.lastTime) / 1000;
+
+        // Same frame filtered twice (or clock went backwards) - nothing new to learn
+        if (dt <= 0) {
+            return this.lastValue;
+        }
+
+        const derivative = (value - this.lastValue) / dt;
+        this.lastDerivative += this.alpha(this.dCutoff, dt) * (derivative - this.lastDerivative);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.lastDerivative);
+        this.lastValue += this.alpha(cutoff, dt) * (value - this.lastValue);
+        this.lastTime = timestamp;
+
+        return this.lastValue;
+    }
+
+    /**
+     * Forget history - next sample passes through unfiltered
+     */
+    reset() {
+        this.lastTime = null;
+        this.lastValue = 0;
+        this.lastDerivative = 0;
+    }
+}
+
+export default OneEuroFilter;
@@ -3,14 +3,19 @@
  *
  * Monitors frame rate, memory usage, and detects performance issues.
  * Emits warnings when performance degrades below acceptable thresholds.
+ *
+ * Counts FrameScheduler ticks ('monitor' phase), i.e. frames that made it
+ * through the whole pipeline.
  */
 
 class PerformanceMonitor {
-    constructor(eventEmitter) {
+    constructor(eventEmitter, scheduler) {
         this.events = eventEmitter;
+        this.scheduler = scheduler;
 
         // Performance thresholds
-        this.targetFPS = 30;
+        // Frames are paced by the camera (~30fps), allow for timing jitter
+        this.targetFPS = 27;
         this.warningFPS = 20;
         this.criticalFPS = 15;
 
@@ -32,8 +37,9 @@ class PerformanceMonitor {
         this.lastMemoryCheck = 0;
         this.memoryCheckInterval = 5000; // Check every 5s
 
-        // Animation frame
-        this.rafId = null;
+        // Scheduler registration
+        this.removeFrameCallback = null;
+        this.monitorFrame = this.monitorFrame.bind(this);
     }
 
     /**
@@ -46,7 +52,7 @@ class PerformanceMonitor {
         this.isMonitoring = true;
         this.lastTime = performance.now();
         this.frameCount = 0;
-        this.monitorFrame();
+        this.removeFrameCallback = this.scheduler.add('monitor', this.monitorFrame);
     }
 
     /**
@@ -58,9 +64,9 @@ class PerformanceMonitor {
         console.log('PerformanceMonitor: Stopping...');
         this.isMonitoring = false;
 
-        if (this.rafId) {
-            cancelAnimationFrame(this.rafId);
-            this.rafId = null;
+        if (this.removeFrameCallback) {
+            this.removeFrameCallback();
+            this.removeFrameCallback = null;
         }
     }
 
@@ -104,9 +110,6 @@ class PerformanceMonitor {
             this.checkMemory();
             this.lastMemoryCheck = currentTime;
         }
-
-        // Continue monitoring
-        this.rafId = requestAnimationFrame(() => this.monitorFrame());
     }
 
     /**
@@ -0,0 +1,114 @@
+/**
+ * SmoothingPipeline - Per-channel filter stage for tracking data
+ *
+ * Holds one filter per value (e.g. position.x, jawOpen, landmark 33.y),
+ * grouped into channels that share parameters. Filters are created on first
+ * use. The filter type is pluggable via `createFilter`; the default is a
+ * One Euro filter configured from the channel's params.
+ *
+ * Example:
+ *   const pipeline = new SmoothingPipeline({ rotation: { minCutoff: 1, beta: 1 } });
+ *   const yaw = pipeline.filter('rotation', 'yaw', rawYaw, performance.now());
+ */
+
+import OneEuroFilter from './OneEuroFilter.js';
+
+class SmoothingPipeline {
+    /**
+     * @param {Object} channels - { channelName: { minCutoff, beta, dCutoff, enabled? } }
+     * @param {Object} options
+     * @param {Function} options.createFilter - (params) => filter with filter(value, timestamp), setParams(), reset()
+     */
+    constructor(channels = {}, options = {}) {
+        this.channels = {};
+        this.filters = {};
+        this.createFilter = options.createFilter || ((params) => new OneEuroFilter(params));
+
+        this.configure(channels);
+    }
+
+    /**
+     * Set or update channel parameters (existing filters keep their state)
+     * @param {Object} channels - { channelName: params }
+     */
+    configure(channels) {
+        Object.entries(channels).forEach(([channel, params]) => {
+            this.channels[channel] = { ...this.channels[channel], ...params };
+
+            if (this.filters[channel]) {
+                Object.values(this.filters[channel]).forEach(filter => filter.setParams(this.channels[channel]));
+            }
+        });
+    }
+
+    /**
+     * Filter a single value
+     * Unknown or disabled channels pass values through unchanged.
+     * @param {string} channel - Channel name
+     * @param {string|number} key - Value identifier within the channel
+     * @param {number} value - Raw value
+     * @param {number} timestamp - Sample time in milliseconds
+     * @returns {number} Filtered value
+     */
+    filter(channel, key, value, timestamp) {
+        const params = this.channels[channel];
+        if (!params || params.enabled === false) return value;
+
+        if (!this.filters[channel]) {
+            this.filters[channel] = {};
+        }
+
+        let filter = this.filters[channel][key];
+        if (!filter) {
+            filter = this.createFilter(params);
+            this.filters[channel][key] = filter;
+        }
+
+        return filter.filter(value, timestamp);
+    }
+
+    /**
+     * Filter every numeric property of an object (one filter per property)
+     * @returns {Object} New object with filtered values
+     */
+    filterValues(channel, values, timestamp) {
+        const result = {};
+        Object.entries(values).forEach(([key, value]) => {
+            result[key] = this.filter(channel, key, value, timestamp);
+        });
+        return result;
+    }
+
+    /**
+     * Filter landmark coordinates (x, y, z per point)
+     * @param {string} channel - Channel name
+     * @param {Array} landmarks - [{ x, y, z }]
+     * @param {number} timestamp - Sample time in milliseconds
+     * @returns {Array} New landmark array
+     */
+    filterLandmarks(channel, landmarks, timestamp) {
+        const params = this.channels[channel];
+        if (!params || params.enabled === false) return landmarks;
+
+        return landmarks.map((point, index) => ({
+            ...point,
+            x: this.filter(channel, `${index}x`, point.x, timestamp),
+            y: this.filter(channel, `${index}y`, point.y, timestamp),
+            z: this.filter(channel, `${index}z`, point.z || 0, timestamp)
+        }));
+    }
+
+    /**
+     * Reset filter state (one channel, or all)
+     * @param {string} [channel]
+     */
+    reset(channel) {
+        if (channel) {
+            delete this.filters[channel];
+        } else {
+            this.filters = {};
+        }
+    }
+}
+
+export default SmoothingPipeline;
@@ -0,0 +1,39 @@
+/**
+ * waitForMediaEvent - Promise for a media element event
+ *
+ * Rejects on the element's 'error' event. With a timeout it resolves anyway
+ * once the time is up, for events some browsers skip (e.g. 'seeked' on a
+ * seek to the current position).
+ *
+ * @param {HTMLMediaElement} element
+ * @param {string} type - e.g. 'loadedmetadata', 'seeked'
+ * @param {number} [timeout] - ms (0 = wait indefinitely)
+ * @returns {Promise<void>}
+ */
+export function waitForMediaEvent(element, type, timeout = 0) {
+    return new Promise((resolve, reject) => {
+        let timer = null;
+
+        const cleanup = () => {
+            clearTimeout(timer);
+            element.removeEventListener(type, onEvent);
+            element.removeEventListener('error', onError);
+        };
+        const onEvent = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = () => {
+            cleanup();
+            reject(element.error || new Error(`Media error waiting for ${type}`));
+        };
+
+        element.addEventListener(type, onEvent);
+        element.addEventListener('error', onError);
+        if (timeout > 0) {
+            timer = setTimeout(onEvent, timeout);
+        }
+    });
+}
+
+export default waitForMediaEvent;
@@ -0,0 +1,215 @@
+/**
+ * Vision Worker - Face tracking and person segmentation off the main thread
+ *
+ * Runs MediaPipe Tasks FaceLandmarker and ImageSegmenter on VideoFrame /
+ * ImageBitmap frames transferred from VisionWorker. The legacy Face Mesh and
+ * Selfie Segmentation solutions need a DOM, so the worker uses Tasks Vision.
+ *
+ * Runs as a classic worker: Tasks Vision loads its WASM glue with
+ * importScripts(), which module workers don't allow. Keep this file free of
+ * static imports; Tasks Vision itself comes in through import().
+ *
+ * Messages in:
+ *   { type: 'load', task: 'face' | 'segmentation' }
+ *   { type: 'frame', frame, timestamp, tasks: { face, segmentation } }  (frame is transferred)
+ *   { type: 'unload', task }
+ *
+ * Messages out:
+ *   { type: 'loaded', task }
+ *   { type: 'error', task?, message }
+ *   { type: 'result', timestamp, face?, mask? }  (face null = no face, mask is a transferred ImageBitmap)
+ */
+
+const TASKS_VISION_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14';
+const FACE_LANDMARKER_MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task';
+const SELFIE_SEGMENTER_MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_segmenter_landscape/float16/latest/selfie_segmenter_landscape.tflite';
+
+let vision = null;
+let fileset = null;
+const tasks = { face: null, segmentation: null };
+
+// Each task needs strictly increasing timestamps
+const lastTimestamps = { face: -1, segmentation: -1 };
+
+// Reused for mask conversion
+let maskCanvas = null;
+let maskCtx = null;
+let maskImageData = null;
+
+/**
+ * Load Tasks Vision and the WASM fileset once
+ */
+async function loadVision() {
+    if (!vision) {
+        vision = await import(/* @vite-ignore */ `${TASKS_VISION_URL}/vision_bundle.mjs`);
+        fileset = await vision.FilesetResolver.forVisionTasks(`${TASKS_VISION_URL}/wasm`);
+    }
+    return vision;
+}
+
+/**
+ * Create a task, preferring the GPU delegate
+ */
+async function createTask(TaskClass, options) {
+    try {
+        return await TaskClass.createFromOptions(fileset, {
+            ...options,
+            baseOptions: { ...options.baseOptions, delegate: 'GPU' }
+        });
+    } catch (error) {
+        console.warn('VisionWorker: GPU delegate unavailable, using CPU', error);
+        return TaskClass.createFromOptions(fileset, {
+            ...options,
+            baseOptions: { ...options.baseOptions, delegate: 'CPU' }
+        });
+    }
+}
+
+async function loadTask(task) {
+    if (tasks[task]) return;
+
+    const { FaceLandmarker, ImageSegmenter } = await loadVision();
+
+    if (task === 'face') {
+        tasks.face = await createTask(FaceLandmarker, {
+            baseOptions: { modelAssetPath: FACE_LANDMARKER_MODEL_URL },
+            runningMode: 'VIDEO',
+            numFaces: 1,
+            outputFaceBlendshapes: true,
+            outputFacialTransformationMatrixes: true,
+            minFaceDetectionConfidence: 0.5,
+            minFacePresenceConfidence: 0.5,
+            minTrackingConfidence: 0.5
+        });
+    } else if (task === 'segmentation') {
+        tasks.segmentation = await createTask(ImageSegmenter, {
+            baseOptions: { modelAssetPath: SELFIE_SEGMENTER_MODEL_URL },
+            runningMode: 'VIDEO',
+            outputConfidenceMasks: true,
+            outputCategoryMask: false
+        });
+    } else {
+        throw new Error(`Unknown task "${task}"`);
+    }
+
+    lastTimestamps[task] = -1;
+}
+
+/**
+ * FaceLandmarker result to the plain { landmarks, blendshapes, matrix } shape FaceTracker expects
+ */
+function detectFace(frame, timestamp) {
+    const results = tasks.face.detectForVideo(frame, timestamp);
+
+    if (!results.faceLandmarks || results.faceLandmarks.length === 0) {
+        return null;
+    }
+
+    const blendshapes = {};
+    const categories = results.faceBlendshapes && results.faceBlendshapes[0];
+    if (categories) {
+        categories.categories.forEach(({ categoryName, score }) => {
+            // '_neutral' is not an ARKit shape
+            if (!categoryName.startsWith('_')) blendshapes[categoryName] = score;
+        });
+    }
+
+    const matrix = results.facialTransformationMatrixes && results.facialTransformationMatrixes[0];
+
+    return {
+        landmarks: results.faceLandmarks[0].map(({ x, y, z }) => ({ x, y, z })),
+        blendshapes: categories ? blendshapes : null,
+        matrix: matrix ? Array.from(matrix.data) : null
+    };
+}
+
+/**
+ * Person confidence mask as an ImageBitmap (alpha = confidence)
+ */
+function segment(frame, timestamp) {
+    const result = tasks.segmentation.segmentForVideo(frame, timestamp);
+
+    try {
+        const masks = result.confidenceMasks;
+        if (!masks || masks.length === 0) return null;
+
+        // Single-channel models output person confidence; two-channel put person last
+        const mask = masks[masks.length - 1];
+        const { width, height } = mask;
+        const confidence = mask.getAsFloat32Array();
+
+        if (!maskCanvas || maskCanvas.width !== width || maskCanvas.height !== height) {
+            maskCanvas = new OffscreenCanvas(width, height);
+            maskCtx = maskCanvas.getContext('2d');
+            maskImageData = maskCtx.createImageData(width, height);
+        }
+
+        const pixels = maskImageData.data;
+        for (let i = 0; i < confidence.length; i++) {
+            const offset = i * 4;
+            pixels[offset] = 255;
+            pixels[offset + 1] = 255;
+            pixels[offset + 2] = 255;
+            pixels[offset + 3] = confidence[i] * 255;
+        }
+
+        maskCtx.putImageData(maskImageData, 0, 0);
+        return maskCanvas.transferToImageBitmap();
+    } finally {
+        result.close();
+    }
+}
+
+function processFrame({ frame, timestamp, tasks: requested }) {
+    const message = { type: 'result', timestamp };
+    const transfer = [];
+
+    try {
+        if (requested.face && tasks.face && timestamp > lastTimestamps.face) {
+            lastTimestamps.face = timestamp;
+            message.face = detectFace(frame, timestamp);
+        }
+
+        if (requested.segmentation && tasks.segmentation && timestamp > lastTimestamps.segmentation) {
+            lastTimestamps.segmentation = timestamp;
+            const mask = segment(frame, timestamp);
+            if (mask) {
+                message.mask = mask;
+                transfer.push(mask);
+            }
+        }
+    } catch (error) {
+        message.error = error.message;
+    } finally {
+        frame.close();
+    }
+
+    self.postMessage(message, transfer);
+}
+
+self.onmessage = async ({ data }) => {
+    switch (data.type) {
+        case 'load':
+            try {
+                await loadTask(data.task);
+                self.postMessage({ type: 'loaded', task: data.task });
+            } catch (error) {
+                self.postMessage({ type: 'error', task: data.task, message: error.message });
+            }
+            break;
+
+        case 'frame':
+            processFrame(data);
+            break;
+
+        case 'unload':
+            if (tasks[data.task]) {
+                tasks[data.task].close();
+                tasks[data.task] = null;
+            }
+            break;
+
+        default:
+            self.postMessage({ type: 'error', message: `Unknown message "${data.type}"` });
+    }
+};
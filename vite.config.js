@@ -23,6 +23,11 @@ export default defineConfig({
     sourcemap: false,
     chunkSizeWarningLimit: 600,
   },
+  worker: {
+    // Classic worker: the Tasks Vision WASM loader uses importScripts(), which
+    // throws in module workers (Tasks Vision itself comes in through import())
+    format: 'iife',
+  },
   server: {
     port: 3000,
     open: true,